@@ -3,50 +3,335 @@
  * Provides computer opponent functionality with multiple difficulty levels
  */
 
+// The scripts the AI consults. The page and the worker load them ahead of this one;
+// in Node every script is a module of its own, so they are required here
+const AI_SCRIPTS = typeof module !== 'undefined' && module.exports ? {
+    MOVE_OFFSETS: require('./chess-rules.js').MOVE_OFFSETS,
+    OpeningBook: require('./opening-book.js').OpeningBook,
+    EndgameTables: require('./endgame-tables.js').EndgameTables
+} : { MOVE_OFFSETS, OpeningBook, EndgameTables };
+
+// Search depth in plies for the fixed-depth 'hard' difficulty
+const HARD_SEARCH_DEPTH = 4;
+
+// How much each difficulty varies the opening book moves it plays, as the variety
+// passed to OpeningBook.pickMove(); time-based levels use the 'hard' value
+const BOOK_VARIETY = { easy: 2, medium: 1, hard: 0.5 };
+
+// Deepest iteration a time-limited search will attempt
+const MAX_SEARCH_DEPTH = 64;
+
+// Score for delivering checkmate, reduced by the number of plies needed to reach it
+// Far above any evaluation, which is in centipawns
+const MATE_SCORE = 100000;
+
+// Most plies a mate score can count: the deepest search, ending in a position whose
+// mate the endgame tables know, which is never over 255 plies away
+const MAX_MATE_PLIES = MAX_SEARCH_DEPTH + 255;
+
+// Number of transposition table slots; older entries are overwritten once it fills up
+const TRANSPOSITION_TABLE_SIZE = 1 << 18;
+
+// How a stored score relates to the true value of the position
+const BOUND_EXACT = 0;
+const BOUND_LOWER = 1; // The search failed high, so the true score is at least this
+const BOUND_UPPER = 2; // The search failed low, so the true score is at most this
+
+// Move ordering scores: the stored best move first, then captures and promotions,
+// then quiet moves that caused cutoffs elsewhere, then the rest by history
+const ORDER_TABLE_MOVE = 1000000;
+const ORDER_PV_MOVE = 900000;
+const ORDER_CAPTURE = 100000;
+const ORDER_PROMOTION = 90000;
+const ORDER_KILLER = [80000, 70000];
+const ORDER_HISTORY_MAX = 60000;
+
+// Evaluation weights in centipawns, from the side owning the piece; override with setEvaluationWeights()
+const DEFAULT_EVALUATION_WEIGHTS = {
+    material: { pawn: 100, knight: 320, bishop: 330, rook: 500, queen: 900, king: 0 },
+    pieceSquares: 1, // Multiplier for the piece-square tables
+    doubledPawn: -15, // Per extra pawn on a file
+    isolatedPawn: -15,
+    passedPawn: [0, 10, 20, 35, 60, 100, 150], // By ranks advanced from the pawn's starting rank
+    bishopPair: 30,
+    rookOpenFile: 20, // No pawns on the file
+    rookSemiOpenFile: 10, // No pawns of the rook's own color on the file
+    pawnShield: 10, // Per pawn directly in front of the king, halved one rank further
+    kingOpenFile: -20, // Per file next to the king with no pawn of its own; shield terms fade out in the endgame
+    mobility: { knight: 4, bishop: 4, rook: 2, queen: 1 } // Per square the piece can move to
+};
+
+// Game phase contributed by each piece; 24 is a full middlegame set, 0 a bare pawn endgame
+const PHASE_WEIGHTS = { pawn: 0, knight: 1, bishop: 1, rook: 2, queen: 4, king: 0 };
+const MAX_PHASE = 24;
+
+// Piece-square tables in centipawns for White, indexed by row * 8 + col with row 0
+// being rank 8; Black uses them mirrored. Each piece has a middlegame and an endgame
+// table and the evaluation blends them by game phase. Minor and major pieces like the
+// same squares throughout the game, while pawns should push and the king should come
+// out in the endgame.
+const KNIGHT_SQUARES = [
+    -50, -40, -30, -30, -30, -30, -40, -50,
+    -40, -20,   0,   0,   0,   0, -20, -40,
+    -30,   0,  10,  15,  15,  10,   0, -30,
+    -30,   5,  15,  20,  20,  15,   5, -30,
+    -30,   0,  15,  20,  20,  15,   0, -30,
+    -30,   5,  10,  15,  15,  10,   5, -30,
+    -40, -20,   0,   5,   5,   0, -20, -40,
+    -50, -40, -30, -30, -30, -30, -40, -50
+];
+const BISHOP_SQUARES = [
+    -20, -10, -10, -10, -10, -10, -10, -20,
+    -10,   0,   0,   0,   0,   0,   0, -10,
+    -10,   0,   5,  10,  10,   5,   0, -10,
+    -10,   5,   5,  10,  10,   5,   5, -10,
+    -10,   0,  10,  10,  10,  10,   0, -10,
+    -10,  10,  10,  10,  10,  10,  10, -10,
+    -10,   5,   0,   0,   0,   0,   5, -10,
+    -20, -10, -10, -10, -10, -10, -10, -20
+];
+const ROOK_SQUARES = [
+      0,   0,   0,   0,   0,   0,   0,   0,
+      5,  10,  10,  10,  10,  10,  10,   5,
+     -5,   0,   0,   0,   0,   0,   0,  -5,
+     -5,   0,   0,   0,   0,   0,   0,  -5,
+     -5,   0,   0,   0,   0,   0,   0,  -5,
+     -5,   0,   0,   0,   0,   0,   0,  -5,
+     -5,   0,   0,   0,   0,   0,   0,  -5,
+      0,   0,   0,   5,   5,   0,   0,   0
+];
+const QUEEN_SQUARES = [
+    -20, -10, -10,  -5,  -5, -10, -10, -20,
+    -10,   0,   0,   0,   0,   0,   0, -10,
+    -10,   0,   5,   5,   5,   5,   0, -10,
+     -5,   0,   5,   5,   5,   5,   0,  -5,
+      0,   0,   5,   5,   5,   5,   0,  -5,
+    -10,   5,   5,   5,   5,   5,   0, -10,
+    -10,   0,   5,   0,   0,   0,   0, -10,
+    -20, -10, -10,  -5,  -5, -10, -10, -20
+];
+const PIECE_SQUARE_TABLES = {
+    pawn: {
+        middlegame: [
+              0,   0,   0,   0,   0,   0,   0,   0,
+             50,  50,  50,  50,  50,  50,  50,  50,
+             10,  10,  20,  30,  30,  20,  10,  10,
+              5,   5,  10,  25,  25,  10,   5,   5,
+              0,   0,   0,  20,  20,   0,   0,   0,
+              5,  -5, -10,   0,   0, -10,  -5,   5,
+              5,  10,  10, -20, -20,  10,  10,   5,
+              0,   0,   0,   0,   0,   0,   0,   0
+        ],
+        endgame: [
+              0,   0,   0,   0,   0,   0,   0,   0,
+             80,  80,  80,  80,  80,  80,  80,  80,
+             50,  50,  50,  50,  50,  50,  50,  50,
+             30,  30,  30,  30,  30,  30,  30,  30,
+             20,  20,  20,  20,  20,  20,  20,  20,
+             10,  10,  10,  10,  10,  10,  10,  10,
+             10,  10,  10,  10,  10,  10,  10,  10,
+              0,   0,   0,   0,   0,   0,   0,   0
+        ]
+    },
+    knight: { middlegame: KNIGHT_SQUARES, endgame: KNIGHT_SQUARES },
+    bishop: { middlegame: BISHOP_SQUARES, endgame: BISHOP_SQUARES },
+    rook: { middlegame: ROOK_SQUARES, endgame: ROOK_SQUARES },
+    queen: { middlegame: QUEEN_SQUARES, endgame: QUEEN_SQUARES },
+    king: {
+        middlegame: [
+            -30, -40, -40, -50, -50, -40, -40, -30,
+            -30, -40, -40, -50, -50, -40, -40, -30,
+            -30, -40, -40, -50, -50, -40, -40, -30,
+            -30, -40, -40, -50, -50, -40, -40, -30,
+            -20, -30, -30, -40, -40, -30, -30, -20,
+            -10, -20, -20, -20, -20, -20, -20, -10,
+             20,  20,   0,   0,   0,   0,  20,  20,
+             20,  30,  10,   0,   0,  10,  30,  20
+        ],
+        endgame: [
+            -50, -40, -30, -20, -20, -30, -40, -50,
+            -30, -20, -10,   0,   0, -10, -20, -30,
+            -30, -10,  20,  30,  30,  20, -10, -30,
+            -30, -10,  30,  40,  40,  30, -10, -30,
+            -30, -10,  30,  40,  40,  30, -10, -30,
+            -30, -10,  20,  30,  30,  20, -10, -30,
+            -30, -30,   0,   0,   0,   0, -30, -30,
+            -50, -30, -30, -30, -30, -30, -30, -50
+        ]
+    }
+};
+
 class ChessAI {
     /**
      * Initialize the Chess AI
-     * @param {string} difficulty - AI difficulty level: 'easy', 'medium', or 'hard'
+     * @param {string} difficulty - AI difficulty level: 'easy', 'medium', 'hard',
+     *     or 'time-N' to search for N seconds per move
      */
     constructor(difficulty = 'medium') {
         this.difficulty = difficulty;
+        this.onProgress = null; // Called with (bestMove, {depth, score, nodes}) after each completed search depth
+        this.moveOrdering = true; // Turn off to compare node counts without move ordering
+        this.timeBudget = null; // Milliseconds the next search may take when playing on a clock, or null
+        this.weights = this.mergeWeights(DEFAULT_EVALUATION_WEIGHTS, {});
+        this.useBook = true; // Turn off to search from the first move instead of playing book moves
+        this.bookVariety = { ...BOOK_VARIETY }; // Per difficulty, how much the book moves played vary
+        this.book = null; // OpeningBook, loaded on first use
+        this.useTables = true; // Turn off to search the endgames the tables cover instead of playing them perfectly
+        this.tables = null; // EndgameTables, loaded on first use
+        
+        // Search state
+        this.deadline = Infinity;
+        this.timeUp = false;
+        this.nodeCount = 0; // Positions visited by the last search, quiescence included
+        this.quiescenceNodeCount = 0; // How many of those were in the quiescence search
+        this.principalVariation = [];
+        this.killerMoves = []; // Per ply, the last two quiet moves that caused a cutoff
+        this.historyScores = {}; // Per color and from/to square pair, how often a quiet move caused a cutoff
+        
+        // Positions already searched, indexed by Zobrist key; kept between moves
+        this.transpositionTable = new Array(TRANSPOSITION_TABLE_SIZE);
     }
 
     /**
      * Set the AI difficulty level
-     * @param {string} difficulty - 'easy', 'medium', or 'hard'
+     * @param {string} difficulty - 'easy', 'medium', 'hard' or 'time-N'
      */
     setDifficulty(difficulty) {
         this.difficulty = difficulty;
     }
 
+    /**
+     * Change some of the evaluation weights, keeping the rest
+     * For example setEvaluationWeights({bishopPair: 50, mobility: {knight: 6}})
+     * @param {Object} weights - Weights to override, shaped like DEFAULT_EVALUATION_WEIGHTS
+     */
+    setEvaluationWeights(weights) {
+        this.weights = this.mergeWeights(this.weights, weights);
+        
+        // Cached scores were computed with the old weights
+        this.transpositionTable = new Array(TRANSPOSITION_TABLE_SIZE);
+    }
+
+    /**
+     * Copy a set of weights with some of them overridden
+     * Nested objects such as material are merged key by key; arrays are replaced
+     * @param {Object} base - Complete weights
+     * @param {Object} overrides - Weights to change
+     * @returns {Object} - New weights
+     */
+    mergeWeights(base, overrides) {
+        const merged = {};
+        for (const [name, value] of Object.entries(base)) {
+            const override = overrides[name];
+            if (override === undefined) {
+                merged[name] = Array.isArray(value) ? [...value] : (typeof value === 'object' ? { ...value } : value);
+            } else if (typeof value === 'object' && !Array.isArray(value)) {
+                merged[name] = { ...value, ...override };
+            } else {
+                merged[name] = Array.isArray(override) ? [...override] : override;
+            }
+        }
+        return merged;
+    }
+
     /**
      * Get the best move for the current position
-     * @param {ChessGame} game - The current game state
+     * @param {ChessPosition} position - The current position
      * @param {string} aiColor - The color the AI is playing ('white' or 'black')
-     * @returns {Object} - The selected move {fromRow, fromCol, toRow, toCol}
+     * @returns {Object} - The selected move {fromRow, fromCol, toRow, toCol, promotion?}
      */
-    getBestMove(game, aiColor) {
+    getBestMove(position, aiColor) {
+        // Play from the opening book while the game is in it, without searching
+        const bookMove = this.getBookMove(position, aiColor);
+        if (bookMove) return bookMove;
+        
+        // Play the endgames the tables cover perfectly
+        const tableMove = this.getTableMove(position, aiColor);
+        if (tableMove) return tableMove;
+        
         switch (this.difficulty) {
             case 'easy':
-                return this.getRandomMove(game, aiColor);
+                return this.getRandomMove(position, aiColor);
             case 'medium':
-                return this.getMediumMove(game, aiColor);
+                return this.getMediumMove(position, aiColor);
             case 'hard':
-                return this.getHardMove(game, aiColor);
+                return this.getHardMove(position, aiColor, { timeLimit: this.timeBudget !== null ? this.timeBudget : Infinity });
             default:
-                return this.getRandomMove(game, aiColor);
+                // Time-based levels such as 'time-3' search for that many seconds, or less on a clock
+                if (/^time-\d+(\.\d+)?$/.test(this.difficulty)) {
+                    let timeLimit = Number(this.difficulty.slice(5)) * 1000;
+                    if (this.timeBudget !== null) timeLimit = Math.min(timeLimit, this.timeBudget);
+                    return this.getHardMove(position, aiColor, { maxDepth: MAX_SEARCH_DEPTH, timeLimit });
+                }
+                return this.getRandomMove(position, aiColor);
         }
     }
 
+    /**
+     * Get an opening book move for the current position
+     * @param {ChessPosition} position - The current position
+     * @param {string} aiColor - The color the AI is playing
+     * @returns {Object|null} - A book move, or null if the book is off or has no move here
+     */
+    getBookMove(position, aiColor) {
+        if (!this.useBook || position.currentPlayer !== aiColor) return null;
+        
+        if (!this.book) this.book = AI_SCRIPTS.OpeningBook.getDefault();
+        
+        const variety = this.difficulty in this.bookVariety ? this.bookVariety[this.difficulty] : this.bookVariety.hard;
+        return this.book.pickMove(position, variety);
+    }
+
+    /**
+     * Get the endgame tables, loading them on first use
+     * @returns {EndgameTables|null} - The tables, or null if they are turned off
+     */
+    getTables() {
+        if (!this.useTables) return null;
+        
+        if (!this.tables) this.tables = AI_SCRIPTS.EndgameTables.getDefault();
+        return this.tables;
+    }
+
+    /**
+     * Get the endgame table move for the current position
+     * @param {ChessPosition} position - The current position
+     * @param {string} aiColor - The color the AI is playing
+     * @returns {Object|null} - The best move, or null if the tables are off, don't cover the
+     *     position or haven't been generated yet
+     */
+    getTableMove(position, aiColor) {
+        const tables = this.getTables();
+        if (!tables || position.currentPlayer !== aiColor) return null;
+        
+        // Generating a table could take longer than the move may, so search until it is ready
+        if (!tables.probe(position, { generate: false })) return null;
+        return tables.bestMove(position);
+    }
+
+    /**
+     * Decide how long to think about a move when playing on a clock
+     * Plans for about 30 more moves, spends most of the increment, and never
+     * takes more than a quarter of what is left off the clock. Most of the delay
+     * is spent on top, as it costs nothing and can't be saved for later moves.
+     * @param {number} remaining - Time left on the AI's clock in milliseconds
+     * @param {number} [increment=0] - Time added after each move in milliseconds
+     * @param {number} [delay=0] - Time each move may take before the clock runs, in milliseconds
+     * @returns {number} - Time budget for this move in milliseconds
+     */
+    allocateTime(remaining, increment = 0, delay = 0) {
+        const budget = remaining / 30 + increment * 0.8;
+        return Math.max(Math.min(budget, remaining / 4), 10) + delay * 0.8;
+    }
+
     /**
      * Get a random legal move (Easy difficulty)
-     * @param {ChessGame} game - The current game state
+     * @param {ChessPosition} position - The current position
      * @param {string} aiColor - The color the AI is playing
      * @returns {Object} - The selected move
      */
-    getRandomMove(game, aiColor) {
-        const moves = this.getAllLegalMoves(game, aiColor);
+    getRandomMove(position, aiColor) {
+        const moves = this.getAllLegalMoves(position, aiColor);
         
         if (moves.length === 0) return null;
         
@@ -57,12 +342,12 @@ class ChessAI {
 
     /**
      * Get a move with basic evaluation (Medium difficulty)
-     * @param {ChessGame} game - The current game state
+     * @param {ChessPosition} position - The current position
      * @param {string} aiColor - The color the AI is playing
      * @returns {Object} - The selected move
      */
-    getMediumMove(game, aiColor) {
-        const moves = this.getAllLegalMoves(game, aiColor);
+    getMediumMove(position, aiColor) {
+        const moves = this.getAllLegalMoves(position, aiColor);
         
         if (moves.length === 0) return null;
         
@@ -70,29 +355,23 @@ class ChessAI {
         const scoredMoves = moves.map(move => {
             let score = 0;
             
-            // Check if it's a capture move
-            const targetPiece = game.board[move.toRow][move.toCol];
-            if (targetPiece) {
-                // Assign value to captured piece
-                score += this.getPieceValue(targetPiece.type);
-            }
-            
             // Try the move
-            const originalTarget = game.board[move.toRow][move.toCol];
-            const movingPiece = game.board[move.fromRow][move.fromCol];
+            const { capturedPiece } = position.applyMove(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
             
-            game.board[move.toRow][move.toCol] = movingPiece;
-            game.board[move.fromRow][move.fromCol] = null;
+            // Check if it's a capture move (including en passant)
+            if (capturedPiece) {
+                // Assign value to captured piece
+                score += this.getPieceValue(capturedPiece.type);
+            }
             
             // Check if move puts opponent in check
             const opponentColor = aiColor === 'white' ? 'black' : 'white';
-            if (game.isKingInCheck(opponentColor)) {
+            if (position.isKingInCheck(opponentColor)) {
                 score += 10; // Bonus for check
             }
             
             // Undo the move
-            game.board[move.fromRow][move.fromCol] = movingPiece;
-            game.board[move.toRow][move.toCol] = originalTarget;
+            position.unmakeMove();
             
             return { move, score };
         });
@@ -110,68 +389,453 @@ class ChessAI {
     }
 
     /**
-     * Get the best move using minimax algorithm (Hard difficulty)
-     * @param {ChessGame} game - The current game state
+     * Get the best move using iterative deepening minimax (Hard and time-based difficulties)
+     * Searches one ply deeper at a time, starting each depth with the previous
+     * principal variation, until the depth or time limit is reached
+     * @param {ChessPosition} position - The current position
      * @param {string} aiColor - The color the AI is playing
-     * @returns {Object} - The selected move
+     * @param {Object} [options] - Search limits
+     * @param {number} [options.maxDepth] - Deepest search in plies
+     * @param {number} [options.timeLimit] - Time budget in milliseconds
+     * @returns {Object} - The best move from the last completed depth
      */
-    getHardMove(game, aiColor) {
-        const moves = this.getAllLegalMoves(game, aiColor);
+    getHardMove(position, aiColor, { maxDepth = HARD_SEARCH_DEPTH, timeLimit = Infinity } = {}) {
+        let moves = this.getAllLegalMoves(position, aiColor);
         
         if (moves.length === 0) return null;
         
+        // Nothing to think about with a single legal move
+        if (moves.length === 1) return moves[0];
+        
+        this.startSearch(timeLimit);
+        moves = this.orderMoves(position, moves, 0);
         let bestMove = null;
-        let bestScore = -Infinity;
         
-        // Evaluate each move using minimax
+        for (let depth = 1; depth <= maxDepth; depth++) {
+            const result = this.searchRoot(position, aiColor, moves, depth);
+            
+            // An unfinished depth is unreliable, so keep the last completed one
+            if (this.timeUp) break;
+            
+            bestMove = result.move;
+            this.principalVariation = result.pv;
+            
+            // Search the best move first at the next depth
+            moves = [bestMove, ...moves.filter(move => move !== bestMove)];
+            
+            if (this.onProgress) {
+                this.onProgress(bestMove, { depth, score: result.score, nodes: this.nodeCount });
+            }
+            
+            // A forced mate either way won't change with a deeper search
+            if (Math.abs(result.score) >= MATE_SCORE - MAX_MATE_PLIES) break;
+        }
+        
+        // Fall back to the first move if not even depth 1 finished in time
+        return bestMove || moves[0];
+    }
+
+    /**
+     * Analyze a position for the side to move, scoring its best few moves
+     * Deepens one ply at a time like getHardMove(), reporting each completed depth
+     * @param {ChessPosition} position - Position to analyze
+     * @param {Object} [options] - Analysis settings
+     * @param {number} [options.multiPV=1] - How many of the best moves to score exactly
+     * @param {number} [options.maxDepth] - Deepest search in plies
+     * @param {number} [options.timeLimit] - Time budget in milliseconds
+     * @param {Function} [options.onDepth] - Called with the analysis after each completed depth
+     * @returns {Object|null} - {depth, nodes, lines} from the last completed depth, or null if
+     *     there are no legal moves or not even depth 1 finished in time. Lines are {move, pv, score, mate}, best first, with score in
+     *     centipawns and mate in moves (negative when Black mates, null if no mate is found),
+     *     both from White's side. Positions the endgame tables cover are read from them
+     *     instead, with tablebase set, depth null and the lines running to mate.
+     */
+    analyze(position, { onDepth = null, ...options } = {}) {
+        let analysis = null;
+        for (const depthAnalysis of this.analyzeByDepth(position, options)) {
+            analysis = depthAnalysis;
+            if (onDepth) onDepth(analysis);
+        }
+        return analysis;
+    }
+
+    /**
+     * Analyze a position one depth at a time, as analyze() does
+     * The search pauses after each depth until the next is asked for, so a worker can
+     * take messages in between, and simply stops if no more depths are asked for
+     * @param {ChessPosition} position - Position to analyze; left unchanged between depths
+     * @param {Object} [options] - multiPV, maxDepth and timeLimit, as for analyze()
+     * @yields {Object} - The analysis after each completed depth, as returned by analyze()
+     */
+    *analyzeByDepth(position, { multiPV = 1, maxDepth = MAX_SEARCH_DEPTH, timeLimit = Infinity } = {}) {
+        const color = position.currentPlayer;
+        let moves = this.getAllLegalMoves(position, color);
+        if (moves.length === 0) return;
+        
+        const tableAnalysis = this.analyzeFromTables(position, multiPV);
+        if (tableAnalysis) {
+            yield tableAnalysis;
+            return;
+        }
+        
+        this.startSearch(timeLimit);
+        moves = this.orderMoves(position, moves, 0);
+        
+        // Scores are searched from the side to move and reported from White's side
+        const sign = color === 'white' ? 1 : -1;
+        
+        for (let depth = 1; depth <= maxDepth; depth++) {
+            const lines = this.searchRootLines(position, color, moves, depth, multiPV);
+            if (this.timeUp) break;
+            
+            yield {
+                depth,
+                nodes: this.nodeCount,
+                lines: lines.map(({ move, score, pv }) => {
+                    const mate = this.getMateDistance(score);
+                    return { move, pv, score: score * sign, mate: mate === null ? null : mate * sign };
+                })
+            };
+            
+            // Search the best lines first at the next depth
+            const best = lines.map(line => line.move);
+            moves = [...best, ...moves.filter(move => !best.includes(move))];
+            
+            // Deeper searches won't change lines that all end in mate
+            if (lines.every(line => this.getMateDistance(line.score) !== null)) break;
+        }
+    }
+
+    /**
+     * Analyze a position the endgame tables cover, in the same form as analyze()
+     * @param {ChessPosition} position - Position to analyze
+     * @param {number} multiPV - How many of the best moves to list
+     * @returns {Object|null} - {depth, nodes, lines, tablebase}, or null if the tables are off,
+     *     don't cover the position or haven't been generated yet
+     */
+    analyzeFromTables(position, multiPV) {
+        const tables = this.getTables();
+        if (!tables || !tables.probe(position, { generate: false })) return null;
+        
+        const sign = position.currentPlayer === 'white' ? 1 : -1;
+        const lines = tables.rankMoves(position).slice(0, multiPV).map(({ move, outcome, plies }) => {
+            if (outcome === 'draw') {
+                return { move, pv: [move], score: 0, mate: null };
+            }
+            
+            // Scored like a mate found by the search, plies away
+            const won = outcome === 'win' ? 1 : -1;
+            return {
+                move,
+                pv: tables.getLine(position, move),
+                score: (MATE_SCORE - plies) * won * sign,
+                mate: Math.ceil(plies / 2) * won * sign
+            };
+        });
+        
+        return { depth: null, nodes: 0, lines, tablebase: true };
+    }
+
+    /**
+     * Reset the search state before a new search
+     * @param {number} timeLimit - Time budget in milliseconds
+     */
+    startSearch(timeLimit) {
+        this.deadline = Date.now() + timeLimit;
+        this.timeUp = false;
+        this.nodeCount = 0;
+        this.quiescenceNodeCount = 0;
+        this.principalVariation = [];
+        this.killerMoves = [];
+        this.historyScores = { white: new Array(4096).fill(0), black: new Array(4096).fill(0) };
+    }
+
+    /**
+     * Search every root move to a fixed depth
+     * @param {ChessPosition} position - The current position
+     * @param {string} aiColor - The color the AI is playing
+     * @param {Array} moves - Legal root moves, best candidates first
+     * @param {number} depth - Search depth in plies
+     * @returns {Object} - {move, score, pv} for the best root move
+     */
+    searchRoot(position, aiColor, moves, depth) {
+        const [best] = this.searchRootLines(position, aiColor, moves, depth, 1);
+        return best || { move: null, score: -Infinity, pv: [] };
+    }
+
+    /**
+     * Search every root move to a fixed depth, keeping exact scores for the best few
+     * Once there are enough lines, the rest are searched with the weakest line's score as
+     * alpha, so they are only bounded unless they beat it
+     * @param {ChessPosition} position - The current position
+     * @param {string} aiColor - The color the AI is playing
+     * @param {Array} moves - Legal root moves, best candidates first
+     * @param {number} depth - Search depth in plies
+     * @param {number} count - How many lines to keep
+     * @returns {Array} - Up to count {move, score, pv} lines, best first
+     */
+    searchRootLines(position, aiColor, moves, depth, count) {
+        const lines = [];
+        
         for (const move of moves) {
-            // Try the move
-            const originalTarget = game.board[move.toRow][move.toCol];
-            const movingPiece = game.board[move.fromRow][move.fromCol];
+            const alpha = lines.length < count ? -Infinity : lines[count - 1].score;
             
-            game.board[move.toRow][move.toCol] = movingPiece;
-            game.board[move.fromRow][move.fromCol] = null;
+            // Try the move
+            position.applyMove(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
             
             // Evaluate position with minimax
-            const score = this.minimax(game, 3, -Infinity, Infinity, false, aiColor);
+            const line = [];
+            const score = this.minimax(position, depth - 1, alpha, Infinity, false, aiColor, 1, line);
             
             // Undo the move
-            game.board[move.fromRow][move.fromCol] = movingPiece;
-            game.board[move.toRow][move.toCol] = originalTarget;
+            position.unmakeMove();
             
-            if (score > bestScore) {
-                bestScore = score;
-                bestMove = move;
+            if (this.timeUp) break;
+            
+            if (score > alpha) {
+                lines.push({ move, score, pv: [move, ...line] });
+                lines.sort((a, b) => b.score - a.score);
+                lines.length = Math.min(lines.length, count);
             }
         }
         
-        return bestMove;
+        return lines;
+    }
+
+    /**
+     * Convert a mate score to the number of moves until mate
+     * @param {number} score - Search score from the side to move
+     * @returns {number|null} - Moves until mate, negative if the side to move is mated,
+     *     or null if the score isn't a mate score
+     */
+    getMateDistance(score) {
+        if (Math.abs(score) < MATE_SCORE - MAX_MATE_PLIES) return null;
+        
+        const plies = MATE_SCORE - Math.abs(score);
+        return score > 0 ? Math.ceil(plies / 2) : -Math.ceil(plies / 2);
+    }
+
+    /**
+     * Check whether the search has used up its time budget
+     * Only looks at the clock every 1024 calls to keep the check cheap
+     * @returns {boolean} - Whether the search must stop
+     */
+    isTimeUp() {
+        if (!this.timeUp && (++this.nodeCount & 1023) === 0 && Date.now() > this.deadline) {
+            this.timeUp = true;
+        }
+        return this.timeUp;
+    }
+
+    /**
+     * Sort moves so the ones most likely to cause a cutoff are searched first:
+     * the best move from the transposition table, the previous principal
+     * variation, captures by most valuable victim and least valuable attacker,
+     * promotions, killer moves and finally quiet moves by history score
+     * @param {ChessPosition} position - The current position
+     * @param {Array} moves - Legal moves
+     * @param {number} ply - Distance from the root
+     * @param {Object} [tableMove] - Best move stored for this position, if any
+     * @returns {Array} - The moves, reordered
+     */
+    orderMoves(position, moves, ply, tableMove = null) {
+        if (!this.moveOrdering) return moves;
+        
+        const pvMove = this.principalVariation[ply];
+        const killers = this.killerMoves[ply] || [];
+        const scored = moves.map(move => {
+            let score = 0;
+            if (tableMove && this.isSameMove(move, tableMove)) {
+                score = ORDER_TABLE_MOVE;
+            } else if (pvMove && this.isSameMove(move, pvMove)) {
+                score = ORDER_PV_MOVE;
+            } else if (this.isCapture(position, move)) {
+                const victim = position.board[move.toRow][move.toCol] || { type: 'pawn' }; // Empty for en passant
+                const attacker = position.board[move.fromRow][move.fromCol];
+                score = ORDER_CAPTURE + this.getPieceValue(victim.type) * 100 - this.getPieceValue(attacker.type);
+            } else if (move.promotion) {
+                score = ORDER_PROMOTION + this.getPieceValue(move.promotion);
+            } else {
+                const killerIndex = killers.findIndex(killer => killer && this.isSameMove(move, killer));
+                if (killerIndex !== -1) {
+                    score = ORDER_KILLER[killerIndex];
+                } else {
+                    const color = position.board[move.fromRow][move.fromCol].color;
+                    score = Math.min(this.getHistoryScore(color, move), ORDER_HISTORY_MAX);
+                }
+            }
+            return { move, score };
+        });
+        
+        scored.sort((a, b) => b.score - a.score);
+        return scored.map(({ move }) => move);
+    }
+
+    /**
+     * Check whether a move captures a piece, including en passant
+     * @param {ChessPosition} position - The current position
+     * @param {Object} move - Legal move
+     * @returns {boolean} - Whether the move is a capture
+     */
+    isCapture(position, move) {
+        if (position.board[move.toRow][move.toCol]) return true;
+        
+        // A pawn moving diagonally to an empty square captures en passant
+        return move.fromCol !== move.toCol && position.board[move.fromRow][move.fromCol].type === 'pawn';
+    }
+
+    /**
+     * Get how often a quiet move has caused a cutoff in the current search
+     * @param {string} color - Color making the move
+     * @param {Object} move - The move
+     * @returns {number} - History score
+     */
+    getHistoryScore(color, move) {
+        const scores = this.historyScores[color];
+        return scores ? scores[(move.fromRow * 8 + move.fromCol) * 64 + move.toRow * 8 + move.toCol] : 0;
+    }
+
+    /**
+     * Remember a quiet move that caused a beta cutoff, as a killer move for
+     * this ply and in the history table weighted by the depth searched
+     * @param {string} color - Color making the move
+     * @param {Object} move - The move
+     * @param {number} depth - Remaining depth when the cutoff happened
+     * @param {number} ply - Distance from the root
+     */
+    recordCutoff(color, move, depth, ply) {
+        const killers = this.killerMoves[ply] || (this.killerMoves[ply] = []);
+        if (!killers[0] || !this.isSameMove(killers[0], move)) {
+            killers[1] = killers[0];
+            killers[0] = move;
+        }
+        
+        if (this.historyScores[color]) {
+            this.historyScores[color][(move.fromRow * 8 + move.fromCol) * 64 + move.toRow * 8 + move.toCol] += depth * depth;
+        }
+    }
+
+    /**
+     * Look up a position in the transposition table
+     * @param {number} key - Zobrist key of the position
+     * @param {number} ply - Distance from the root, to turn stored mate scores back into mate-in-N from the root
+     * @param {string} aiColor - The color the AI is playing
+     * @returns {Object|null} - {depth, score, bound, bestMove} with the score from the AI's side, or null
+     */
+    probeTable(key, ply, aiColor) {
+        const entry = this.transpositionTable[key % TRANSPOSITION_TABLE_SIZE];
+        if (!entry || entry.key !== key) return null;
+        
+        // Entries are stored from White's side, so they stay valid whichever color the AI plays
+        let score = aiColor === 'white' ? entry.score : -entry.score;
+        let bound = entry.bound;
+        if (aiColor === 'black' && bound !== BOUND_EXACT) {
+            bound = bound === BOUND_LOWER ? BOUND_UPPER : BOUND_LOWER;
+        }
+        
+        if (score >= MATE_SCORE - MAX_MATE_PLIES && score <= MATE_SCORE) score -= ply;
+        if (score <= -(MATE_SCORE - MAX_MATE_PLIES) && score >= -MATE_SCORE) score += ply;
+        
+        return { depth: entry.depth, score, bound, bestMove: entry.bestMove };
+    }
+
+    /**
+     * Store a search result in the transposition table
+     * A slot holding a different position is always overwritten, while the same
+     * position keeps whichever result came from the deeper search
+     * @param {number} key - Zobrist key of the position
+     * @param {number} depth - Depth the position was searched to
+     * @param {number} score - Score from the AI's side
+     * @param {number} bound - BOUND_EXACT, BOUND_LOWER or BOUND_UPPER
+     * @param {Object|null} bestMove - Best move found, if any
+     * @param {number} ply - Distance from the root
+     * @param {string} aiColor - The color the AI is playing
+     */
+    storeTable(key, depth, score, bound, bestMove, ply, aiColor) {
+        const index = key % TRANSPOSITION_TABLE_SIZE;
+        const existing = this.transpositionTable[index];
+        if (existing && existing.key === key && existing.depth > depth) return;
+        
+        // Mate scores are stored as mate-in-N from this position rather than from the root
+        if (score >= MATE_SCORE - MAX_MATE_PLIES && score <= MATE_SCORE) score += ply;
+        if (score <= -(MATE_SCORE - MAX_MATE_PLIES) && score >= -MATE_SCORE) score -= ply;
+        
+        if (aiColor === 'black') {
+            score = -score;
+            if (bound !== BOUND_EXACT) bound = bound === BOUND_LOWER ? BOUND_UPPER : BOUND_LOWER;
+        }
+        
+        this.transpositionTable[index] = { key, depth, score, bound, bestMove };
+    }
+
+    /**
+     * Check whether two move objects describe the same move
+     * @param {Object} a - First move
+     * @param {Object} b - Second move
+     * @returns {boolean} - Whether the moves are the same
+     */
+    isSameMove(a, b) {
+        return a.fromRow === b.fromRow && a.fromCol === b.fromCol &&
+            a.toRow === b.toRow && a.toCol === b.toCol && a.promotion === b.promotion;
     }
 
     /**
      * Minimax algorithm with alpha-beta pruning
-     * @param {ChessGame} game - The current game state
+     * @param {ChessPosition} position - The current position
      * @param {number} depth - Search depth
      * @param {number} alpha - Alpha value for pruning
      * @param {number} beta - Beta value for pruning
      * @param {boolean} isMaximizing - Whether current player is maximizing
      * @param {string} aiColor - The color the AI is playing
+     * @param {number} [ply=0] - Distance from the root, for move ordering and mate distance
+     * @param {Array} [pvLine=[]] - Filled with the best line found from this position
      * @returns {number} - Evaluation score
      */
-    minimax(game, depth, alpha, beta, isMaximizing, aiColor) {
-        // Base case: reached maximum depth or game over
-        if (depth === 0 || game.gameOver) {
-            return this.evaluatePosition(game, aiColor);
+    minimax(position, depth, alpha, beta, isMaximizing, aiColor, ply = 0, pvLine = []) {
+        // Give up once the time budget is spent; the caller discards the unfinished depth
+        if (this.isTimeUp()) return 0;
+        
+        // A repetition or the fifty-move rule draws whatever the position is worth, and
+        // depends on how it was reached, so it comes before the transposition table
+        if (ply > 0 && this.isSearchDraw(position)) return 0;
+        
+        // The endgame tables know the exact result; at depth 0 the quiescence search looks them up
+        if (depth > 0) {
+            const tableScore = this.getTableScore(position, isMaximizing, ply);
+            if (tableScore !== null) return tableScore;
+        }
+        
+        // Reuse an earlier search of this position if it went deep enough, or at
+        // least narrowed the window far enough to cut off here
+        const key = position.getPositionKey();
+        const entry = this.probeTable(key, ply, aiColor);
+        if (entry && entry.depth >= depth) {
+            if (entry.bound === BOUND_EXACT ||
+                (entry.bound === BOUND_LOWER && entry.score >= beta) ||
+                (entry.bound === BOUND_UPPER && entry.score <= alpha)) {
+                if (entry.bestMove) pvLine.push(entry.bestMove);
+                return entry.score;
+            }
+        }
+        
+        const originalAlpha = alpha;
+        const originalBeta = beta;
+        
+        // Base case: reached maximum depth, so settle any captures before evaluating
+        if (depth === 0) {
+            const score = this.quiescence(position, alpha, beta, isMaximizing, aiColor, ply);
+            this.storeResult(key, 0, score, originalAlpha, originalBeta, null, ply, aiColor);
+            return score;
         }
         
         const currentColor = isMaximizing ? aiColor : (aiColor === 'white' ? 'black' : 'white');
-        const moves = this.getAllLegalMoves(game, currentColor);
+        const moves = this.orderMoves(position, this.getAllLegalMoves(position, currentColor), ply, entry && entry.bestMove);
         
         if (moves.length === 0) {
             // No legal moves - either checkmate or stalemate
-            if (game.isKingInCheck(currentColor)) {
-                // Checkmate
-                return isMaximizing ? -1000 : 1000;
+            if (position.isKingInCheck(currentColor)) {
+                // Checkmate, preferring the quickest mate and the slowest defeat
+                return isMaximizing ? -MATE_SCORE + ply : MATE_SCORE - ply;
             } else {
                 // Stalemate
                 return 0;
@@ -183,94 +847,333 @@ class ChessAI {
             
             for (const move of moves) {
                 // Try the move
-                const originalTarget = game.board[move.toRow][move.toCol];
-                const movingPiece = game.board[move.fromRow][move.fromCol];
-                
-                game.board[move.toRow][move.toCol] = movingPiece;
-                game.board[move.fromRow][move.fromCol] = null;
+                position.applyMove(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
                 
                 // Recursive evaluation
-                const eval = this.minimax(game, depth - 1, alpha, beta, false, aiColor);
+                const line = [];
+                const evaluation = this.minimax(position, depth - 1, alpha, beta, false, aiColor, ply + 1, line);
                 
                 // Undo the move
-                game.board[move.fromRow][move.fromCol] = movingPiece;
-                game.board[move.toRow][move.toCol] = originalTarget;
+                position.unmakeMove();
                 
-                maxEval = Math.max(maxEval, eval);
-                alpha = Math.max(alpha, eval);
+                if (evaluation > maxEval) {
+                    maxEval = evaluation;
+                    pvLine.length = 0;
+                    pvLine.push(move, ...line);
+                }
+                alpha = Math.max(alpha, evaluation);
                 
-                if (beta <= alpha) break; // Alpha-beta pruning
+                // Alpha-beta pruning
+                if (beta <= alpha) {
+                    if (!this.isCapture(position, move)) this.recordCutoff(currentColor, move, depth, ply);
+                    break;
+                }
             }
             
+            this.storeResult(key, depth, maxEval, originalAlpha, originalBeta, pvLine[0], ply, aiColor);
             return maxEval;
         } else {
             let minEval = Infinity;
             
             for (const move of moves) {
                 // Try the move
-                const originalTarget = game.board[move.toRow][move.toCol];
-                const movingPiece = game.board[move.fromRow][move.fromCol];
-                
-                game.board[move.toRow][move.toCol] = movingPiece;
-                game.board[move.fromRow][move.fromCol] = null;
+                position.applyMove(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
                 
                 // Recursive evaluation
-                const eval = this.minimax(game, depth - 1, alpha, beta, true, aiColor);
+                const line = [];
+                const evaluation = this.minimax(position, depth - 1, alpha, beta, true, aiColor, ply + 1, line);
                 
                 // Undo the move
-                game.board[move.fromRow][move.fromCol] = movingPiece;
-                game.board[move.toRow][move.toCol] = originalTarget;
+                position.unmakeMove();
                 
-                minEval = Math.min(minEval, eval);
-                beta = Math.min(beta, eval);
+                if (evaluation < minEval) {
+                    minEval = evaluation;
+                    pvLine.length = 0;
+                    pvLine.push(move, ...line);
+                }
+                beta = Math.min(beta, evaluation);
                 
-                if (beta <= alpha) break; // Alpha-beta pruning
+                // Alpha-beta pruning
+                if (beta <= alpha) {
+                    if (!this.isCapture(position, move)) this.recordCutoff(currentColor, move, depth, ply);
+                    break;
+                }
             }
             
+            this.storeResult(key, depth, minEval, originalAlpha, originalBeta, pvLine[0], ply, aiColor);
             return minEval;
         }
     }
 
     /**
-     * Evaluate the current board position
-     * @param {ChessGame} game - The current game state
+     * Check whether a position the search reached is drawn by how the game got there
+     * One repeat of a position from the game or the search line counts, as a side that
+     * can do better than repeat will, and one that can't can force the same repeats again
+     * @param {ChessPosition} position - The current position
+     * @returns {boolean} - Whether the position repeats an earlier one or the fifty-move rule applies
+     */
+    isSearchDraw(position) {
+        if (position.halfmoveClock >= 100) {
+            // Checkmate on the last move still wins
+            return !(position.isCheck() && !position.hasLegalMoves(position.currentPlayer));
+        }
+        
+        // Only positions since the last capture or pawn move can come again, and only with
+        // the same side to move, which takes at least four plies
+        const history = position.positionHistory;
+        const key = history[history.length - 1];
+        const oldest = Math.max(history.length - 1 - position.halfmoveClock, 0);
+        for (let i = history.length - 5; i >= oldest; i -= 2) {
+            if (history[i] === key) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Score a position from the endgame tables, like a mate found by the search
+     * Only tables already generated are used, as generating one would blow the time budget
+     * @param {ChessPosition} position - The current position
+     * @param {boolean} isMaximizing - Whether the AI is to move
+     * @param {number} ply - Distance from the root
+     * @returns {number|null} - Score from the AI's side, or null if the tables are off,
+     *     don't cover the position or haven't been generated yet
+     */
+    getTableScore(position, isMaximizing, ply) {
+        const tables = this.getTables();
+        const entry = tables && tables.probe(position, { generate: false });
+        if (!entry) return null;
+        if (entry.outcome === 'draw') return 0;
+        
+        const score = entry.outcome === 'win' ? MATE_SCORE - ply - entry.plies : -MATE_SCORE + ply + entry.plies;
+        return isMaximizing ? score : -score;
+    }
+
+    /**
+     * Store a finished minimax search, working out the bound from the window it ran with
+     * Nothing is stored once the time is up, since the score is then meaningless
+     * @param {number} key - Zobrist key of the position
+     * @param {number} depth - Depth the position was searched to
+     * @param {number} score - Score returned by the search
+     * @param {number} alpha - Alpha value the search started with
+     * @param {number} beta - Beta value the search started with
+     * @param {Object} bestMove - Best move found
+     * @param {number} ply - Distance from the root
      * @param {string} aiColor - The color the AI is playing
+     */
+    storeResult(key, depth, score, alpha, beta, bestMove, ply, aiColor) {
+        if (this.timeUp) return;
+        
+        let bound = BOUND_EXACT;
+        if (score <= alpha) {
+            bound = BOUND_UPPER;
+        } else if (score >= beta) {
+            bound = BOUND_LOWER;
+        }
+        
+        this.storeTable(key, depth, score, bound, bestMove, ply, aiColor);
+    }
+
+    /**
+     * Quiescence search: keep playing captures and promotions until the position
+     * is quiet, so the evaluation never stops halfway through an exchange
+     * The side to move may also "stand pat" and keep the static evaluation,
+     * since it isn't forced to capture
+     * @param {ChessPosition} position - The current position
+     * @param {number} alpha - Alpha value for pruning
+     * @param {number} beta - Beta value for pruning
+     * @param {boolean} isMaximizing - Whether current player is maximizing
+     * @param {string} aiColor - The color the AI is playing
+     * @param {number} ply - Distance from the root
      * @returns {number} - Evaluation score
      */
-    evaluatePosition(game, aiColor) {
-        let score = 0;
+    quiescence(position, alpha, beta, isMaximizing, aiColor, ply) {
+        if (this.isTimeUp()) return 0;
+        this.quiescenceNodeCount++;
+        
+        const tableScore = this.getTableScore(position, isMaximizing, ply);
+        if (tableScore !== null) return tableScore;
+        
+        // Standing pat is no way out of check, so spot checkmate before trusting the evaluation
+        const currentColor = isMaximizing ? aiColor : (aiColor === 'white' ? 'black' : 'white');
+        if (position.isKingInCheck(currentColor) && !position.hasLegalMoves(currentColor)) {
+            return isMaximizing ? -MATE_SCORE + ply : MATE_SCORE - ply;
+        }
+        
+        const standPat = this.evaluatePosition(position, aiColor);
+        if (isMaximizing) {
+            if (standPat >= beta) return standPat;
+            alpha = Math.max(alpha, standPat);
+        } else {
+            if (standPat <= alpha) return standPat;
+            beta = Math.min(beta, standPat);
+        }
+        
+        const moves = position.legalCapturesAndPromotions(currentColor)
+            .filter(move => !move.promotion || move.promotion === 'queen');
+        
+        let best = standPat;
+        for (const move of this.orderMoves(position, moves, ply)) {
+            position.applyMove(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
+            const evaluation = this.quiescence(position, alpha, beta, !isMaximizing, aiColor, ply + 1);
+            position.unmakeMove();
+            
+            if (isMaximizing) {
+                best = Math.max(best, evaluation);
+                alpha = Math.max(alpha, evaluation);
+            } else {
+                best = Math.min(best, evaluation);
+                beta = Math.min(beta, evaluation);
+            }
+            
+            if (beta <= alpha) break;
+        }
+        
+        return best;
+    }
+
+    /**
+     * Evaluate the current board position
+     * @param {ChessPosition} position - The current position
+     * @param {string} aiColor - The color the AI is playing
+     * @returns {number} - Evaluation score in centipawns, positive when the AI is better
+     */
+    evaluatePosition(position, aiColor) {
+        const { total } = this.evaluationBreakdown(position);
+        return aiColor === 'white' ? total : -total;
+    }
+
+    /**
+     * Evaluate a position term by term, to see why the engine likes it
+     * Every term is in centipawns from White's side, so positive favors White
+     * @param {ChessPosition} position - The position to evaluate
+     * @returns {Object} - {material, pieceSquares, pawnStructure, bishopPair,
+     *     rookFiles, kingSafety, mobility, total, phase} where phase runs from
+     *     24 in the opening down to 0 in a pawn endgame
+     */
+    evaluationBreakdown(position) {
+        const weights = this.weights;
+        const board = position.board;
+        const terms = { material: 0, pieceSquares: 0, pawnStructure: 0, bishopPair: 0, rookFiles: 0, kingSafety: 0, mobility: 0 };
+        
+        // Pawns per file, needed by the pawn, rook and king terms
+        const pawnFiles = { white: new Array(8).fill(0), black: new Array(8).fill(0) };
+        const bishops = { white: 0, black: 0 };
+        let phase = 0;
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = board[row][col];
+                if (!piece) continue;
+                
+                if (piece.type === 'pawn') pawnFiles[piece.color][col]++;
+                if (piece.type === 'bishop') bishops[piece.color]++;
+                phase += PHASE_WEIGHTS[piece.type];
+            }
+        }
+        phase = Math.min(phase, MAX_PHASE);
         
-        // Material value
+        let middlegameSquares = 0;
+        let endgameSquares = 0;
+        let kingSafety = 0;
         for (let row = 0; row < 8; row++) {
             for (let col = 0; col < 8; col++) {
-                const piece = game.board[row][col];
-                if (piece) {
-                    const pieceValue = this.getPieceValue(piece.type);
-                    if (piece.color === aiColor) {
-                        score += pieceValue;
-                    } else {
-                        score -= pieceValue;
+                const piece = board[row][col];
+                if (!piece) continue;
+                
+                const sign = piece.color === 'white' ? 1 : -1;
+                const index = piece.color === 'white' ? row * 8 + col : (7 - row) * 8 + col;
+                terms.material += sign * weights.material[piece.type];
+                middlegameSquares += sign * PIECE_SQUARE_TABLES[piece.type].middlegame[index];
+                endgameSquares += sign * PIECE_SQUARE_TABLES[piece.type].endgame[index];
+                
+                if (piece.type === 'pawn') {
+                    terms.pawnStructure += sign * this.evaluatePawn(board, pawnFiles, piece.color, row, col);
+                } else if (piece.type === 'king') {
+                    kingSafety += sign * this.evaluateKingShelter(board, pawnFiles, piece.color, row, col);
+                } else {
+                    terms.mobility += sign * weights.mobility[piece.type] * this.countMobility(board, piece, row, col);
+                }
+                
+                if (piece.type === 'rook') {
+                    const opponent = piece.color === 'white' ? 'black' : 'white';
+                    if (!pawnFiles[piece.color][col]) {
+                        terms.rookFiles += sign * (pawnFiles[opponent][col] ? weights.rookSemiOpenFile : weights.rookOpenFile);
                     }
                 }
             }
         }
         
-        // Check and checkmate
-        const opponentColor = aiColor === 'white' ? 'black' : 'white';
+        // Doubled pawns are counted per file rather than per pawn
+        for (let col = 0; col < 8; col++) {
+            terms.pawnStructure += weights.doubledPawn * (Math.max(pawnFiles.white[col] - 1, 0) - Math.max(pawnFiles.black[col] - 1, 0));
+        }
+        
+        if (bishops.white >= 2) terms.bishopPair += weights.bishopPair;
+        if (bishops.black >= 2) terms.bishopPair -= weights.bishopPair;
         
-        if (game.isKingInCheck(opponentColor)) {
-            score += 50; // Bonus for putting opponent in check
-            
-            if (game.isCheckmate(opponentColor)) {
-                score += 1000; // Huge bonus for checkmate
+        // Blend middlegame and endgame tables by phase; king shelter only matters while there are pieces to attack it.
+        // Rounding toward zero keeps mirrored positions scoring exactly opposite.
+        terms.pieceSquares = Math.trunc(weights.pieceSquares * (middlegameSquares * phase + endgameSquares * (MAX_PHASE - phase)) / MAX_PHASE);
+        terms.kingSafety = Math.trunc(kingSafety * phase / MAX_PHASE);
+        
+        const total = Object.values(terms).reduce((sum, value) => sum + value, 0);
+        return { ...terms, total, phase };
+    }
+
+    /**
+     * Score a pawn's isolated and passed pawn terms
+     * @param {Array} board - Board array
+     * @param {Object} pawnFiles - Pawn counts per file for each color
+     * @param {string} color - Color of the pawn
+     * @param {number} row - Row of the pawn
+     * @param {number} col - Column of the pawn
+     * @returns {number} - Score for the pawn's own side
+     */
+    evaluatePawn(board, pawnFiles, color, row, col) {
+        let score = 0;
+        
+        const ownFiles = pawnFiles[color];
+        if (!(col > 0 && ownFiles[col - 1]) && !(col < 7 && ownFiles[col + 1])) {
+            score += this.weights.isolatedPawn;
+        }
+        
+        // Passed if no enemy pawn stands ahead of it on its own or an adjacent file
+        const direction = color === 'white' ? -1 : 1;
+        for (let r = row + direction; r > 0 && r < 7; r += direction) {
+            for (let c = Math.max(col - 1, 0); c <= Math.min(col + 1, 7); c++) {
+                const piece = board[r][c];
+                if (piece && piece.type === 'pawn' && piece.color !== color) return score;
             }
         }
+        const ranksAdvanced = color === 'white' ? 6 - row : row - 1;
+        return score + (this.weights.passedPawn[ranksAdvanced] || 0);
+    }
+
+    /**
+     * Score the pawn shelter in front of a king
+     * @param {Array} board - Board array
+     * @param {Object} pawnFiles - Pawn counts per file for each color
+     * @param {string} color - Color of the king
+     * @param {number} row - Row of the king
+     * @param {number} col - Column of the king
+     * @returns {number} - Score for the king's own side, before scaling by game phase
+     */
+    evaluateKingShelter(board, pawnFiles, color, row, col) {
+        let score = 0;
+        const direction = color === 'white' ? -1 : 1;
         
-        if (game.isKingInCheck(aiColor)) {
-            score -= 50; // Penalty for being in check
+        for (let c = Math.max(col - 1, 0); c <= Math.min(col + 1, 7); c++) {
+            if (!pawnFiles[color][c]) {
+                score += this.weights.kingOpenFile;
+                continue;
+            }
             
-            if (game.isCheckmate(aiColor)) {
-                score -= 1000; // Huge penalty for being checkmated
+            for (const [distance, bonus] of [[1, this.weights.pawnShield], [2, this.weights.pawnShield / 2]]) {
+                const r = row + direction * distance;
+                const piece = r >= 0 && r < 8 ? board[r][c] : null;
+                if (piece && piece.type === 'pawn' && piece.color === color) {
+                    score += bonus;
+                    break;
+                }
             }
         }
         
@@ -278,63 +1181,56 @@ class ChessAI {
     }
 
     /**
-     * Get the value of a chess piece
+     * Count the squares a knight, bishop, rook or queen can move to, ignoring pins
+     * @param {Array} board - Board array
+     * @param {Object} piece - Piece object {type, color}
+     * @param {number} row - Row of the piece
+     * @param {number} col - Column of the piece
+     * @returns {number} - Number of empty or enemy-occupied squares it reaches
+     */
+    countMobility(board, piece, row, col) {
+        const slides = piece.type !== 'knight';
+        let count = 0;
+        
+        for (const [rowStep, colStep] of AI_SCRIPTS.MOVE_OFFSETS[piece.type]) {
+            let r = row + rowStep;
+            let c = col + colStep;
+            while (r >= 0 && r < 8 && c >= 0 && c < 8) {
+                const target = board[r][c];
+                if (target && target.color === piece.color) break;
+                
+                count++;
+                if (target || !slides) break;
+                r += rowStep;
+                c += colStep;
+            }
+        }
+        
+        return count;
+    }
+
+    /**
+     * Get the value of a chess piece in pawns, from the material weights
      * @param {string} pieceType - The type of piece
-     * @returns {number} - The piece value
+     * @returns {number} - The piece value; 0 for the king, which is never traded
      */
     getPieceValue(pieceType) {
-        switch (pieceType) {
-            case 'pawn': return 1;
-            case 'knight': return 3;
-            case 'bishop': return 3;
-            case 'rook': return 5;
-            case 'queen': return 9;
-            case 'king': return 100;
-            default: return 0;
-        }
+        const material = this.weights.material;
+        return (material[pieceType] || 0) / material.pawn;
     }
 
     /**
      * Get all legal moves for a given color
-     * @param {ChessGame} game - The current game state
+     * @param {ChessPosition} position - The current position
      * @param {string} color - The color to get moves for
-     * @returns {Array} - Array of legal moves
+     * @returns {Array} - Array of legal moves; promotions carry a `promotion` piece type
      */
-    getAllLegalMoves(game, color) {
-        const moves = [];
-        
-        // Check all pieces of the given color
-        for (let fromRow = 0; fromRow < 8; fromRow++) {
-            for (let fromCol = 0; fromCol < 8; fromCol++) {
-                const piece = game.board[fromRow][fromCol];
-                
-                if (piece && piece.color === color) {
-                    // Check all possible destination squares
-                    for (let toRow = 0; toRow < 8; toRow++) {
-                        for (let toCol = 0; toCol < 8; toCol++) {
-                            if (game.isValidMove(fromRow, fromCol, toRow, toCol)) {
-                                // Try the move to see if it leaves the king in check
-                                const originalTarget = game.board[toRow][toCol];
-                                game.board[toRow][toCol] = piece;
-                                game.board[fromRow][fromCol] = null;
-                                
-                                const kingInCheck = game.isKingInCheck(color);
-                                
-                                // Undo the move
-                                game.board[fromRow][fromCol] = piece;
-                                game.board[toRow][toCol] = originalTarget;
-                                
-                                // Only add legal moves that don't leave the king in check
-                                if (!kingInCheck) {
-                                    moves.push({ fromRow, fromCol, toRow, toCol });
-                                }
-                            }
-                        }
-                    }
-                }
-            }
-        }
-        
-        return moves;
+    getAllLegalMoves(position, color) {
+        return position.legalMoves(color);
     }
 }
+
+// Allow the AI to be loaded with require() in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChessAI };
+}
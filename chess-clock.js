@@ -0,0 +1,156 @@
+/**
+ * Chess Clock
+ * Keeps both players' remaining time with an increment or delay per move
+ * The game UI polls it to draw the clocks and catch a fallen flag
+ */
+
+/**
+ * Chess clock class
+ * Only the side to move has its clock running. Times are in milliseconds.
+ *
+ * Time controls are written as 'M+S' for M minutes plus an S second increment
+ * after each move (e.g. '3+2'), or 'MdS' for M minutes with an S second delay,
+ * during which the clock doesn't count down at the start of each move (e.g. '5d3').
+ */
+class ChessClock {
+    /**
+     * Create a clock with both players at the base time, not yet running
+     * @param {Object} timeControl - {base, increment, delay} in milliseconds, as from parse()
+     */
+    constructor({ base, increment = 0, delay = 0 }) {
+        this.base = base;
+        this.increment = increment;
+        this.delay = delay;
+        this.remaining = { 'white': base, 'black': base };
+        this.running = null; // Color whose clock is counting down, or null while paused
+        this.turnStartedAt = 0; // When the running clock was started
+    }
+
+    /**
+     * Parse a time control such as '3+2' or '5d3'
+     * @param {string} text - Time control, or 'none' for no clock
+     * @returns {Object|null} {base, increment, delay} in milliseconds, or null for no clock
+     * @throws {Error} If the text isn't a valid time control
+     */
+    static parse(text) {
+        if (!text || text === 'none') return null;
+        
+        const match = /^(\d+(?:\.\d+)?)([+d])(\d+)$/.exec(String(text).trim());
+        if (!match || Number(match[1]) <= 0) {
+            throw new Error(`Invalid time control '${text}'`);
+        }
+        
+        const base = Number(match[1]) * 60000;
+        const extra = Number(match[3]) * 1000;
+        return match[2] === '+' ? { base, increment: extra, delay: 0 } : { base, increment: 0, delay: extra };
+    }
+
+    /**
+     * Describe a time control in PGN tags: TimeControl as seconds plus increment, e.g.
+     * '180+2', and a TimeDelay tag in seconds for a delay, which TimeControl has no form for
+     * @param {Object} timeControl - {base, increment, delay} in milliseconds
+     * @returns {Object} Tag values by tag name
+     */
+    static toPGNTags({ base, increment, delay = 0 }) {
+        const tags = { TimeControl: `${base / 1000}+${increment / 1000}` };
+        if (delay > 0) tags.TimeDelay = `${delay / 1000}`;
+        return tags;
+    }
+
+    /**
+     * Get a player's remaining time, including the move in progress
+     * @param {string} color - 'white' or 'black'
+     * @param {number} [now] - Current time, for tests
+     * @returns {number} Remaining milliseconds, never below zero
+     */
+    getRemaining(color, now = Date.now()) {
+        let remaining = this.remaining[color];
+        if (this.running === color) {
+            remaining -= Math.max(now - this.turnStartedAt - this.delay, 0);
+        }
+        return Math.max(remaining, 0);
+    }
+
+    /**
+     * Get the color whose time has run out
+     * @param {number} [now] - Current time, for tests
+     * @returns {string|null} The running color if its time is up, otherwise null
+     */
+    getFlaggedColor(now = Date.now()) {
+        return this.running && this.getRemaining(this.running, now) === 0 ? this.running : null;
+    }
+
+    /**
+     * Start or continue a player's clock
+     * @param {string} color - Color to move
+     * @param {number} [now] - Current time, for tests
+     */
+    start(color, now = Date.now()) {
+        this.pause(now);
+        this.running = color;
+        this.turnStartedAt = now;
+    }
+
+    /**
+     * Stop the running clock, charging the time used so far
+     * @param {number} [now] - Current time, for tests
+     */
+    pause(now = Date.now()) {
+        if (!this.running) return;
+        
+        this.remaining[this.running] = this.getRemaining(this.running, now);
+        this.running = null;
+    }
+
+    /**
+     * Finish a player's move: charge the time used, add the increment and start
+     * the opponent's clock
+     * The first move of a game, made while the clock is paused, costs no time
+     * @param {string} color - Color that just moved
+     * @param {number} [now] - Current time, for tests
+     */
+    press(color, now = Date.now()) {
+        if (this.running === color) {
+            this.pause(now);
+            this.remaining[color] += this.increment;
+        }
+        
+        this.start(color === 'white' ? 'black' : 'white', now);
+    }
+
+    /**
+     * Copy both players' remaining times, to restore them after an undo
+     * @returns {Object} {white, black} in milliseconds
+     */
+    snapshot() {
+        return { 'white': this.getRemaining('white'), 'black': this.getRemaining('black') };
+    }
+
+    /**
+     * Pause the clock and set both players' remaining times
+     * @param {Object} times - {white, black} in milliseconds, as from snapshot()
+     */
+    restore(times) {
+        this.running = null;
+        this.remaining = { 'white': times.white, 'black': times.black };
+    }
+
+    /**
+     * Format a time for display as m:ss, with tenths of a second under ten seconds
+     * @param {number} ms - Time in milliseconds
+     * @returns {string} Formatted time
+     */
+    static format(ms) {
+        if (ms < 10000) {
+            return `0:0${(Math.floor(ms / 100) / 10).toFixed(1)}`;
+        }
+        
+        const seconds = Math.floor(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+}
+
+// Allow the clock to be loaded with require() in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChessClock };
+}
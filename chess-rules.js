@@ -0,0 +1,1498 @@
+/**
+ * Chess Rules Engine
+ * Headless position and move rules with no DOM access
+ * Shared by the game UI and the AI, and usable from Node, workers and tests
+ */
+
+// Pieces a pawn can promote to, in the order they are offered
+const PROMOTION_PIECES = ['queen', 'rook', 'bishop', 'knight'];
+
+// Single-letter piece codes (uppercase for white, as in FEN)
+const PIECE_LETTERS = {
+    'king': 'k',
+    'queen': 'q',
+    'rook': 'r',
+    'bishop': 'b',
+    'knight': 'n',
+    'pawn': 'p'
+};
+
+// FEN of the standard starting position
+const STARTING_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+// Directions each piece moves in, as [row, col] steps; bishops, rooks and queens
+// keep going until they are blocked
+const MOVE_OFFSETS = {
+    knight: [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]],
+    bishop: [[-1, -1], [-1, 1], [1, -1], [1, 1]],
+    rook: [[-1, 0], [1, 0], [0, -1], [0, 1]],
+    queen: [[-1, -1], [-1, 1], [1, -1], [1, 1], [-1, 0], [1, 0], [0, -1], [0, 1]],
+    king: [[-1, -1], [-1, 1], [1, -1], [1, 1], [-1, 0], [1, 0], [0, -1], [0, 1]]
+};
+
+// Zobrist keys: a random [low, high] pair of 32-bit words for every piece on every
+// square, Black to move, each set of castling rights and each en passant file.
+// A fixed seed keeps hashes identical in the page, the worker and Node.
+const ZOBRIST_KEYS = (() => {
+    let seed = 0x2545f491;
+    const random = () => {
+        // xorshift32
+        seed ^= seed << 13;
+        seed ^= seed >>> 17;
+        seed ^= seed << 5;
+        return seed >>> 0;
+    };
+    const randomPairs = count => Array.from({ length: count }, () => [random(), random()]);
+    
+    const pieces = {};
+    for (const color of ['white', 'black']) {
+        pieces[color] = {};
+        for (const type of Object.keys(PIECE_LETTERS)) {
+            pieces[color][type] = randomPairs(64);
+        }
+    }
+    
+    return {
+        pieces,
+        blackToMove: randomPairs(1)[0],
+        castling: randomPairs(16), // Indexed by K=1, Q=2, k=4, q=8
+        enPassant: randomPairs(8)
+    };
+})();
+
+/**
+ * Chess position class
+ * Holds the board and everything needed to apply the rules to it
+ *
+ * Public API:
+ *   legalMoves()  - all legal moves for the side to move
+ *   legalCapturesAndPromotions() - just the captures and promotions
+ *   makeMove()    - play a legal move
+ *   unmakeMove()  - take back the last move
+ *   isCheck()     - whether the side to move is in check
+ *   getAttackers() - the pieces of a color attacking a square
+ *   result()      - how the game ended, or null while it is in progress
+ *   fromFEN()     - build a position from a FEN string (static)
+ *   toFEN()       - serialize the position as FEN
+ *   toSAN()       - describe a move in Standard Algebraic Notation
+ *   moveFromSAN() - find the legal move a SAN string describes
+ *   fromPGN()     - replay a PGN game (static)
+ *   toPGN()       - export the game so far as PGN
+ *   serialize()   - plain-object copy of the game, restored by deserialize() (static)
+ *
+ * Moves are plain objects {fromRow, fromCol, toRow, toCol, promotion?}, with
+ * row 0 being Black's back rank and column 0 the a-file.
+ */
+class ChessPosition {
+    /**
+     * Create a position set up for the start of a game
+     */
+    constructor() {
+        this.board = this.createBoard();
+        this.currentPlayer = 'white';
+        this.moveHistory = [];
+        this.castlingRights = this.createCastlingRights();
+        this.enPassantTarget = null; // Square skipped by a two-square pawn push
+        this.halfmoveClock = 0; // Moves since the last capture or pawn move, for the fifty-move rule
+        this.fullmoveNumber = 1; // Incremented after each Black move
+        this.startFEN = STARTING_FEN; // Where moveHistory starts, for replaying the game
+        this.kingSquares = { white: null, black: null }; // Last known king squares, see findKing()
+        this.computeHash();
+        this.positionHistory = [this.getPositionKey()]; // For threefold repetition
+    }
+
+    /**
+     * Create a position from a FEN string
+     * The string is fully validated before any position is built, so a bad FEN
+     * never leaves a half-initialized board behind
+     * @param {string} fen - Forsyth-Edwards Notation of the position
+     * @returns {ChessPosition} The new position
+     * @throws {Error} If the FEN is malformed or describes an illegal position
+     */
+    static fromFEN(fen) {
+        const fields = String(fen).trim().split(/\s+/);
+        if (fields.length < 4 || fields.length > 6) {
+            throw new Error('FEN must have 4 to 6 space-separated fields');
+        }
+        
+        const [placement, side, castling, enPassant, halfmove = '0', fullmove = '1'] = fields;
+        const position = new ChessPosition();
+        
+        // Piece placement, from rank 8 down to rank 1
+        const ranks = placement.split('/');
+        if (ranks.length !== 8) {
+            throw new Error(`Piece placement must have 8 ranks, found ${ranks.length}`);
+        }
+        
+        const pieceTypes = {};
+        for (const type in PIECE_LETTERS) {
+            pieceTypes[PIECE_LETTERS[type]] = type;
+        }
+        
+        const board = Array(8).fill().map(() => Array(8).fill(null));
+        const kingCount = { 'white': 0, 'black': 0 };
+        
+        ranks.forEach((rank, row) => {
+            let col = 0;
+            for (const char of rank) {
+                if (/[1-8]/.test(char)) {
+                    col += Number(char);
+                    continue;
+                }
+                
+                const type = pieceTypes[char.toLowerCase()];
+                if (!type) {
+                    throw new Error(`Unknown piece '${char}' on rank ${8 - row}`);
+                }
+                const color = char === char.toUpperCase() ? 'white' : 'black';
+                if (type === 'pawn' && (row === 0 || row === 7)) {
+                    throw new Error(`Pawn on rank ${8 - row}`);
+                }
+                if (type === 'king') kingCount[color]++;
+                
+                if (col < 8) board[row][col] = { type, color };
+                col++;
+            }
+            if (col !== 8) {
+                throw new Error(`Rank ${8 - row} describes ${col > 8 ? 'more' : 'fewer'} than 8 squares`);
+            }
+        });
+        
+        for (const color of ['white', 'black']) {
+            if (kingCount[color] !== 1) {
+                throw new Error(`Position must have exactly one ${color} king, found ${kingCount[color]}`);
+            }
+        }
+        
+        // Side to move
+        if (side !== 'w' && side !== 'b') {
+            throw new Error(`Side to move must be 'w' or 'b', found '${side}'`);
+        }
+        
+        // Castling rights, which need the king and rook still on their home squares
+        if (!/^(-|K?Q?k?q?)$/.test(castling) || castling === '') {
+            throw new Error(`Invalid castling rights '${castling}'`);
+        }
+        
+        const castlingRights = {
+            'white': { kingside: castling.includes('K'), queenside: castling.includes('Q') },
+            'black': { kingside: castling.includes('k'), queenside: castling.includes('q') }
+        };
+        
+        for (const color of ['white', 'black']) {
+            const homeRow = color === 'white' ? 7 : 0;
+            for (const [sideName, rookCol] of [['kingside', 7], ['queenside', 0]]) {
+                if (!castlingRights[color][sideName]) continue;
+                
+                const king = board[homeRow][4];
+                const rook = board[homeRow][rookCol];
+                if (!king || king.type !== 'king' || king.color !== color ||
+                    !rook || rook.type !== 'rook' || rook.color !== color) {
+                    throw new Error(`${color.charAt(0).toUpperCase() + color.slice(1)} cannot castle ${sideName} without its king and rook on their home squares`);
+                }
+            }
+        }
+        
+        // En passant target, which must lie behind a pawn that just made a two-square push
+        const currentPlayer = side === 'w' ? 'white' : 'black';
+        let enPassantTarget = null;
+        if (enPassant !== '-') {
+            enPassantTarget = ChessPosition.parseSquare(enPassant);
+            const expectedRow = currentPlayer === 'white' ? 2 : 5;
+            if (!enPassantTarget || enPassantTarget.row !== expectedRow) {
+                throw new Error(`Invalid en passant square '${enPassant}'`);
+            }
+            
+            const pawnRow = currentPlayer === 'white' ? 3 : 4;
+            const pawn = board[pawnRow][enPassantTarget.col];
+            if (!pawn || pawn.type !== 'pawn' || pawn.color === currentPlayer ||
+                board[enPassantTarget.row][enPassantTarget.col]) {
+                throw new Error(`En passant square '${enPassant}' does not follow a two-square pawn push`);
+            }
+        }
+        
+        // Move clocks
+        if (!/^\d+$/.test(halfmove) || !/^\d+$/.test(fullmove) || Number(fullmove) < 1) {
+            throw new Error('Move clocks must be a non-negative halfmove count and a positive move number');
+        }
+        
+        position.board = board;
+        position.currentPlayer = currentPlayer;
+        position.castlingRights = castlingRights;
+        position.enPassantTarget = enPassantTarget;
+        position.halfmoveClock = Number(halfmove);
+        position.fullmoveNumber = Number(fullmove);
+        position.computeHash();
+        position.positionHistory = [position.getPositionKey()];
+        position.startFEN = position.toFEN();
+        
+        // The side that just moved can't have left its own king in check
+        if (position.isKingInCheck(position.getOpponentColor())) {
+            throw new Error(`The side not to move (${position.getOpponentColor()}) is in check`);
+        }
+        
+        return position;
+    }
+
+    /**
+     * Convert the position to a FEN string
+     * @returns {string} Forsyth-Edwards Notation of the position
+     */
+    toFEN() {
+        const ranks = this.board.map(row => {
+            let rank = '';
+            let empty = 0;
+            
+            for (const piece of row) {
+                if (!piece) {
+                    empty++;
+                    continue;
+                }
+                if (empty > 0) {
+                    rank += empty;
+                    empty = 0;
+                }
+                const letter = PIECE_LETTERS[piece.type];
+                rank += piece.color === 'white' ? letter.toUpperCase() : letter;
+            }
+            
+            return empty > 0 ? rank + empty : rank;
+        });
+        
+        let castling = '';
+        if (this.castlingRights.white.kingside) castling += 'K';
+        if (this.castlingRights.white.queenside) castling += 'Q';
+        if (this.castlingRights.black.kingside) castling += 'k';
+        if (this.castlingRights.black.queenside) castling += 'q';
+        
+        const enPassant = this.enPassantTarget
+            ? ChessPosition.squareName(this.enPassantTarget.row, this.enPassantTarget.col)
+            : '-';
+        
+        return [
+            ranks.join('/'),
+            this.currentPlayer === 'white' ? 'w' : 'b',
+            castling || '-',
+            enPassant,
+            this.halfmoveClock,
+            this.fullmoveNumber
+        ].join(' ');
+    }
+
+    /**
+     * Get the algebraic name of a square
+     * @param {number} row - Row index (0 is rank 8)
+     * @param {number} col - Column index (0 is the a-file)
+     * @returns {string} Square name such as 'e4'
+     */
+    static squareName(row, col) {
+        return String.fromCharCode(97 + col) + (8 - row);
+    }
+
+    /**
+     * Parse an algebraic square name
+     * @param {string} name - Square name such as 'e4'
+     * @returns {Object|null} {row, col}, or null if the name is not a square
+     */
+    static parseSquare(name) {
+        if (!/^[a-h][1-8]$/.test(name)) return null;
+        return { row: 8 - Number(name[1]), col: name.charCodeAt(0) - 97 };
+    }
+
+    /**
+     * Describe a legal move in Standard Algebraic Notation
+     * Includes disambiguation, captures, castling, promotion and check/mate suffixes
+     * @param {Object} move - Move {fromRow, fromCol, toRow, toCol, promotion?}
+     * @returns {string} SAN such as 'Nbd7', 'exd6', 'O-O' or 'e8=Q#'
+     */
+    toSAN(move) {
+        const { fromRow, fromCol, toRow, toCol } = move;
+        const piece = this.board[fromRow][fromCol];
+        const target = ChessPosition.squareName(toRow, toCol);
+        let san;
+        
+        if (piece.type === 'king' && Math.abs(toCol - fromCol) === 2) {
+            san = toCol > fromCol ? 'O-O' : 'O-O-O';
+        } else if (piece.type === 'pawn') {
+            // Pawn captures (including en passant) name the file the pawn came from
+            san = fromCol !== toCol ? `${String.fromCharCode(97 + fromCol)}x${target}` : target;
+            if (toRow === 0 || toRow === 7) {
+                san += `=${PIECE_LETTERS[move.promotion || 'queen'].toUpperCase()}`;
+            }
+        } else {
+            // Name the from-file, from-rank or both if another piece of the same type could go there
+            const rivals = [];
+            for (let row = 0; row < 8; row++) {
+                for (let col = 0; col < 8; col++) {
+                    const other = this.board[row][col];
+                    if ((row !== fromRow || col !== fromCol) && other &&
+                        other.type === piece.type && other.color === piece.color &&
+                        this.isLegalMove(row, col, toRow, toCol)) {
+                        rivals.push({ row, col });
+                    }
+                }
+            }
+            
+            const from = ChessPosition.squareName(fromRow, fromCol);
+            let disambiguation = '';
+            if (rivals.length > 0) {
+                if (rivals.every(rival => rival.col !== fromCol)) {
+                    disambiguation = from[0];
+                } else if (rivals.every(rival => rival.row !== fromRow)) {
+                    disambiguation = from[1];
+                } else {
+                    disambiguation = from;
+                }
+            }
+            
+            const capture = this.board[toRow][toCol] ? 'x' : '';
+            san = `${PIECE_LETTERS[piece.type].toUpperCase()}${disambiguation}${capture}${target}`;
+        }
+        
+        // Play the move to see whether it gives check or mate
+        this.applyMove(fromRow, fromCol, toRow, toCol, move.promotion || 'queen');
+        if (this.isCheck()) {
+            san += this.hasLegalMoves(this.currentPlayer) ? '+' : '#';
+        }
+        this.unmakeMove();
+        
+        return san;
+    }
+
+    /**
+     * Find the legal move described by a SAN string
+     * Check, mate and annotation suffixes are ignored, and '0-0' is accepted for castling
+     * @param {string} san - Move in Standard Algebraic Notation
+     * @returns {Object} Move {fromRow, fromCol, toRow, toCol, promotion?}
+     * @throws {Error} If the string is not SAN or matches no legal move or several
+     */
+    moveFromSAN(san) {
+        const text = String(san).trim().replace(/(e\.p\.)?[+#!?]*$/, '');
+        const legalMoves = this.legalMoves();
+        let candidates;
+        
+        if (/^(O-O|0-0)$/.test(text) || /^(O-O-O|0-0-0)$/.test(text)) {
+            const toCol = text.length === 3 ? 6 : 2;
+            candidates = legalMoves.filter(move => {
+                const piece = this.board[move.fromRow][move.fromCol];
+                return piece.type === 'king' && move.fromCol === 4 && move.toCol === toCol;
+            });
+        } else {
+            const match = text.match(/^([KQRBN])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([QRBN]))?$/);
+            if (!match) {
+                throw new Error(`'${san}' is not a move in algebraic notation`);
+            }
+            
+            const [, pieceLetter, fromFile, fromRank, targetName, promotionLetter] = match;
+            const type = pieceLetter ? Object.keys(PIECE_LETTERS).find(t => PIECE_LETTERS[t] === pieceLetter.toLowerCase()) : 'pawn';
+            const target = ChessPosition.parseSquare(targetName);
+            const promotion = promotionLetter
+                ? Object.keys(PIECE_LETTERS).find(t => PIECE_LETTERS[t] === promotionLetter.toLowerCase())
+                : undefined;
+            
+            candidates = legalMoves.filter(move => {
+                const from = ChessPosition.squareName(move.fromRow, move.fromCol);
+                return this.board[move.fromRow][move.fromCol].type === type &&
+                    move.toRow === target.row && move.toCol === target.col &&
+                    (!fromFile || from[0] === fromFile) &&
+                    (!fromRank || from[1] === fromRank) &&
+                    move.promotion === promotion;
+            });
+        }
+        
+        if (candidates.length === 0) {
+            throw new Error(`'${san}' is not a legal move for ${this.currentPlayer}`);
+        }
+        if (candidates.length > 1) {
+            throw new Error(`'${san}' is ambiguous`);
+        }
+        
+        return candidates[0];
+    }
+
+    /**
+     * Convert the game to a plain object that can be sent to a worker or stored
+     * @returns {Object} {startFEN, moves} with moves as {fromRow, fromCol, toRow, toCol, promotion}
+     */
+    serialize() {
+        return {
+            startFEN: this.startFEN,
+            moves: this.moveHistory.map(({ fromRow, fromCol, toRow, toCol, promotion }) => (
+                { fromRow, fromCol, toRow, toCol, promotion }
+            ))
+        };
+    }
+
+    /**
+     * Rebuild a game from serialize() output, replaying and checking every move
+     * @param {Object} data - {startFEN, moves} as returned by serialize()
+     * @returns {ChessPosition} The position after the last move
+     * @throws {Error} If the FEN is invalid or a move is illegal
+     */
+    static deserialize(data) {
+        const position = ChessPosition.fromFEN(data.startFEN);
+        for (const move of data.moves) {
+            position.makeMove(move);
+        }
+        return position;
+    }
+
+    /**
+     * Get the moves played so far in Standard Algebraic Notation
+     * @returns {Array} SAN strings, one per move in moveHistory
+     */
+    getSANHistory() {
+        // Replay the history from the start to describe each move in its own position
+        const replay = ChessPosition.fromFEN(this.startFEN);
+        return this.moveHistory.map(entry => {
+            const san = replay.toSAN(entry);
+            replay.makeMove(entry);
+            return san;
+        });
+    }
+
+    /**
+     * Build a separate copy of the position after the first moves of the game
+     * @param {number} ply - Number of moves from moveHistory to replay
+     * @returns {ChessPosition} The position after that many moves
+     */
+    positionAt(ply) {
+        const replay = ChessPosition.fromFEN(this.startFEN);
+        for (const entry of this.moveHistory.slice(0, ply)) {
+            replay.makeMove(entry);
+        }
+        return replay;
+    }
+
+    /**
+     * Replay a PGN game
+     * Reads the first game in the text; comments, variations and annotation
+     * glyphs are skipped and every move is checked against the rules
+     * @param {string} pgn - Portable Game Notation text
+     * @returns {Object} {position, tags} with the position after the last move
+     * @throws {Error} If a tag or move can't be read or a move is illegal
+     */
+    static fromPGN(pgn) {
+        const text = String(pgn);
+        const tags = {};
+        
+        // Tag pairs such as [White "Kasparov"]
+        const tagPattern = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]\s*$/;
+        const lines = text.split(/\r?\n/);
+        let lineIndex = 0;
+        for (; lineIndex < lines.length; lineIndex++) {
+            const line = lines[lineIndex];
+            if (line.trim() === '') {
+                if (Object.keys(tags).length > 0) break;
+                continue;
+            }
+            if (!line.trim().startsWith('[')) break;
+            
+            const match = line.match(tagPattern);
+            if (!match) {
+                throw new Error(`Invalid PGN tag: ${line.trim()}`);
+            }
+            tags[match[1]] = match[2].replace(/\\(.)/g, '$1');
+        }
+        
+        // Movetext without comments, variations, annotation glyphs and move numbers
+        let movetext = lines.slice(lineIndex).join('\n')
+            .replace(/\{[^}]*\}/g, ' ')
+            .replace(/;[^\n]*/g, ' ');
+        while (/\([^()]*\)/.test(movetext)) {
+            movetext = movetext.replace(/\([^()]*\)/g, ' ');
+        }
+        
+        const tokens = movetext
+            .replace(/\$\d+/g, ' ')
+            .replace(/\d+\.(\.\.)?/g, ' ')
+            .split(/\s+/)
+            .filter(token => token !== '');
+        
+        const position = tags.FEN ? ChessPosition.fromFEN(tags.FEN) : new ChessPosition();
+        
+        for (const token of tokens) {
+            if (['1-0', '0-1', '1/2-1/2', '*'].includes(token)) break;
+            
+            let move;
+            try {
+                move = position.moveFromSAN(token);
+            } catch (error) {
+                const moveNumber = `${position.fullmoveNumber}${position.currentPlayer === 'white' ? '.' : '...'}`;
+                throw new Error(`Move ${moveNumber} ${token}: ${error.message}`);
+            }
+            position.makeMove(move);
+        }
+        
+        return { position, tags };
+    }
+
+    /**
+     * Export the game so far as PGN with the Seven Tag Roster
+     * @param {Object} [tags] - Tag values overriding the defaults, e.g. {White: 'Alice'}
+     * @returns {string} Portable Game Notation text
+     */
+    toPGN(tags = {}) {
+        const outcome = this.result();
+        let result = '*';
+        if (outcome) {
+            result = outcome.winner === 'white' ? '1-0' : outcome.winner === 'black' ? '0-1' : '1/2-1/2';
+        }
+        
+        const today = new Date();
+        const date = [
+            today.getFullYear(),
+            String(today.getMonth() + 1).padStart(2, '0'),
+            String(today.getDate()).padStart(2, '0')
+        ].join('.');
+        
+        const allTags = {
+            Event: 'Casual game',
+            Site: 'Minimal Chess',
+            Date: date,
+            Round: '-',
+            White: '?',
+            Black: '?',
+            Result: result,
+            ...tags
+        };
+        if (this.startFEN !== STARTING_FEN) {
+            allTags.SetUp = '1';
+            allTags.FEN = this.startFEN;
+        }
+        
+        // Number the moves, starting with '...' if Black moved first
+        const start = ChessPosition.fromFEN(this.startFEN);
+        const tokens = [];
+        this.getSANHistory().forEach((san, ply) => {
+            const isWhite = (ply % 2 === 0) === (start.currentPlayer === 'white');
+            const moveNumber = start.fullmoveNumber + Math.floor((ply + (start.currentPlayer === 'black' ? 1 : 0)) / 2);
+            if (isWhite) {
+                tokens.push(`${moveNumber}.`);
+            } else if (ply === 0) {
+                tokens.push(`${moveNumber}...`);
+            }
+            tokens.push(san);
+        });
+        tokens.push(allTags.Result);
+        
+        // Wrap movetext lines at 80 characters
+        const movetextLines = [];
+        let line = '';
+        for (const token of tokens) {
+            if (line && line.length + token.length + 1 > 80) {
+                movetextLines.push(line);
+                line = token;
+            } else {
+                line = line ? `${line} ${token}` : token;
+            }
+        }
+        movetextLines.push(line);
+        
+        const tagLines = Object.keys(allTags).map(name => {
+            const value = String(allTags[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+            return `[${name} "${value}"]`;
+        });
+        
+        return `${tagLines.join('\n')}\n\n${movetextLines.join('\n')}\n`;
+    }
+
+    /**
+     * Create the initial chess board setup
+     * @returns {Array} 2D array representing the chess board
+     */
+    createBoard() {
+        // Initialize empty 8x8 board
+        const board = Array(8).fill().map(() => Array(8).fill(null));
+        
+        // Set up pawns
+        for (let i = 0; i < 8; i++) {
+            board[1][i] = { type: 'pawn', color: 'black' };
+            board[6][i] = { type: 'pawn', color: 'white' };
+        }
+        
+        // Set up other pieces
+        const backRowPieces = ['rook', 'knight', 'bishop', 'queen', 'king', 'bishop', 'knight', 'rook'];
+        for (let i = 0; i < 8; i++) {
+            board[0][i] = { type: backRowPieces[i], color: 'black' };
+            board[7][i] = { type: backRowPieces[i], color: 'white' };
+        }
+        
+        return board;
+    }
+
+    /**
+     * Create the initial castling rights
+     * A right is lost once the king or the corresponding rook has moved
+     * @returns {Object} Castling rights per color and side
+     */
+    createCastlingRights() {
+        return {
+            'white': { kingside: true, queenside: true },
+            'black': { kingside: true, queenside: true }
+        };
+    }
+
+    /**
+     * List all legal moves
+     * @param {string} [color] - Color to move, defaults to the side to move
+     * @returns {Array} Moves {fromRow, fromCol, toRow, toCol, promotion?}; a pawn
+     *     reaching the last rank gives one move per promotion piece
+     */
+    legalMoves(color = this.currentPlayer) {
+        return this.pseudoLegalMoves(color).filter(move => this.keepsKingSafe(move));
+    }
+
+    /**
+     * List the legal captures (including en passant) and promotions
+     * @param {string} [color] - Color to move, defaults to the side to move
+     * @returns {Array} Moves {fromRow, fromCol, toRow, toCol, promotion?}
+     */
+    legalCapturesAndPromotions(color = this.currentPlayer) {
+        return this.pseudoLegalMoves(color).filter(move => {
+            const isCapture = this.board[move.toRow][move.toCol] ||
+                (move.fromCol !== move.toCol && this.board[move.fromRow][move.fromCol].type === 'pawn');
+            return (isCapture || move.promotion) && this.keepsKingSafe(move);
+        });
+    }
+
+    /**
+     * List the moves each piece can make by its own movement rules, without
+     * checking whether they leave the king in check
+     * Pieces walk their offsets and rays from MOVE_OFFSETS instead of trying
+     * every square on the board. Castling is only generated when it is legal.
+     * @param {string} [color] - Color to move, defaults to the side to move
+     * @returns {Array} Moves {fromRow, fromCol, toRow, toCol, promotion?}
+     */
+    pseudoLegalMoves(color = this.currentPlayer) {
+        const moves = [];
+        
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = this.board[row][col];
+                if (!piece || piece.color !== color) continue;
+                
+                if (piece.type === 'pawn') {
+                    this.addPawnMoves(moves, row, col, color);
+                    continue;
+                }
+                
+                const slides = piece.type === 'bishop' || piece.type === 'rook' || piece.type === 'queen';
+                for (const [rowStep, colStep] of MOVE_OFFSETS[piece.type]) {
+                    let toRow = row + rowStep;
+                    let toCol = col + colStep;
+                    while (toRow >= 0 && toRow < 8 && toCol >= 0 && toCol < 8) {
+                        const target = this.board[toRow][toCol];
+                        if (target && target.color === color) break;
+                        
+                        moves.push({ fromRow: row, fromCol: col, toRow, toCol });
+                        if (target || !slides) break;
+                        toRow += rowStep;
+                        toCol += colStep;
+                    }
+                }
+                
+                if (piece.type === 'king') {
+                    for (const toCol of [col + 2, col - 2]) {
+                        if (this.isValidCastling(row, col, row, toCol)) {
+                            moves.push({ fromRow: row, fromCol: col, toRow: row, toCol });
+                        }
+                    }
+                }
+            }
+        }
+        
+        return moves;
+    }
+
+    /**
+     * Add a pawn's pushes, captures and en passant captures to a move list
+     * @param {Array} moves - Move list to add to
+     * @param {number} row - Row of the pawn
+     * @param {number} col - Column of the pawn
+     * @param {string} color - Color of the pawn
+     */
+    addPawnMoves(moves, row, col, color) {
+        const direction = color === 'white' ? -1 : 1;
+        const startRow = color === 'white' ? 6 : 1;
+        const toRow = row + direction;
+        if (toRow < 0 || toRow > 7) return;
+        
+        // A pawn reaching the last rank gives one move per promotion piece
+        const addMove = (toRow, toCol) => {
+            if (toRow === 0 || toRow === 7) {
+                for (const promotion of PROMOTION_PIECES) {
+                    moves.push({ fromRow: row, fromCol: col, toRow, toCol, promotion });
+                }
+            } else {
+                moves.push({ fromRow: row, fromCol: col, toRow, toCol });
+            }
+        };
+        
+        // One square forward, or two from the starting rank
+        if (!this.board[toRow][col]) {
+            addMove(toRow, col);
+            if (row === startRow && !this.board[toRow + direction][col]) {
+                addMove(toRow + direction, col);
+            }
+        }
+        
+        // Diagonal captures, including en passant right after an enemy pawn's two-square push
+        const target = this.enPassantTarget;
+        for (const toCol of [col - 1, col + 1]) {
+            if (toCol < 0 || toCol > 7) continue;
+            
+            const captured = this.board[toRow][toCol];
+            const passedPawn = this.board[row][toCol];
+            if (captured ? captured.color !== color :
+                target && target.row === toRow && target.col === toCol &&
+                passedPawn && passedPawn.type === 'pawn' && passedPawn.color !== color) {
+                addMove(toRow, toCol);
+            }
+        }
+    }
+
+    /**
+     * Play a move for the side to move
+     * @param {Object} move - Move {fromRow, fromCol, toRow, toCol, promotion?}
+     * @returns {Object} The recorded move history entry
+     * @throws {Error} If the move is not legal in this position
+     */
+    makeMove(move) {
+        const { fromRow, fromCol, toRow, toCol } = move;
+        const promotion = move.promotion || 'queen';
+        const piece = this.board[fromRow] && this.board[fromRow][fromCol];
+        
+        if (!piece || piece.color !== this.currentPlayer ||
+            !PROMOTION_PIECES.includes(promotion) ||
+            !this.isLegalMove(fromRow, fromCol, toRow, toCol)) {
+            throw new Error(`Illegal move: ${JSON.stringify(move)}`);
+        }
+        
+        return this.applyMove(fromRow, fromCol, toRow, toCol, promotion);
+    }
+
+    /**
+     * Check if the side to move is in check
+     * @returns {boolean} Whether the side to move is in check
+     */
+    isCheck() {
+        return this.isKingInCheck(this.currentPlayer);
+    }
+
+    /**
+     * Get the result of the game in this position
+     * @returns {Object|null} {winner, reason} where winner is 'white', 'black' or
+     *     null for a draw and reason is 'checkmate', 'stalemate', 'fifty-move rule',
+     *     'threefold repetition' or 'insufficient material'; null while the game goes on
+     */
+    result() {
+        if (!this.hasLegalMoves(this.currentPlayer)) {
+            return this.isCheck()
+                ? { winner: this.getOpponentColor(), reason: 'checkmate' }
+                : { winner: null, reason: 'stalemate' };
+        }
+        
+        const drawReason = this.getDrawReason();
+        return drawReason ? { winner: null, reason: drawReason } : null;
+    }
+
+    /**
+     * Check if a move is valid
+     * @param {number} fromRow - Starting row
+     * @param {number} fromCol - Starting column
+     * @param {number} toRow - Target row
+     * @param {number} toCol - Target column
+     * @returns {boolean} Whether the move is valid
+     */
+    isValidMove(fromRow, fromCol, toRow, toCol) {
+        const piece = this.board[fromRow][fromCol];
+        if (!piece) return false;
+        
+        // Can't move to a square with own piece
+        const targetPiece = this.board[toRow][toCol];
+        if (targetPiece && targetPiece.color === piece.color) return false;
+        
+        // Check specific piece movement rules
+        switch (piece.type) {
+            case 'pawn':
+                return this.isValidPawnMove(fromRow, fromCol, toRow, toCol);
+            case 'rook':
+                return this.isValidRookMove(fromRow, fromCol, toRow, toCol);
+            case 'knight':
+                return this.isValidKnightMove(fromRow, fromCol, toRow, toCol);
+            case 'bishop':
+                return this.isValidBishopMove(fromRow, fromCol, toRow, toCol);
+            case 'queen':
+                return this.isValidQueenMove(fromRow, fromCol, toRow, toCol);
+            case 'king':
+                return this.isValidKingMove(fromRow, fromCol, toRow, toCol);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Check if a move is valid and does not leave the mover's king in check
+     * @param {number} fromRow - Starting row
+     * @param {number} fromCol - Starting column
+     * @param {number} toRow - Target row
+     * @param {number} toCol - Target column
+     * @returns {boolean} Whether the move is legal
+     */
+    isLegalMove(fromRow, fromCol, toRow, toCol) {
+        return this.isValidMove(fromRow, fromCol, toRow, toCol) &&
+            this.keepsKingSafe({ fromRow, fromCol, toRow, toCol });
+    }
+
+    /**
+     * Check that a move doesn't leave the mover's own king in check
+     * @param {Object} move - A move that is valid by the piece's movement rules
+     * @returns {boolean} Whether the king is safe after the move
+     */
+    keepsKingSafe(move) {
+        // Try the move and see if it leaves the king in check
+        const color = this.board[move.fromRow][move.fromCol].color;
+        this.applyMove(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
+        const kingInCheck = this.isKingInCheck(color);
+        this.unmakeMove();
+        
+        return !kingInCheck;
+    }
+
+    /**
+     * Check if a pawn move is valid
+     */
+    isValidPawnMove(fromRow, fromCol, toRow, toCol) {
+        const piece = this.board[fromRow][fromCol];
+        const direction = piece.color === 'white' ? -1 : 1;
+        
+        // Moving forward one square
+        if (fromCol === toCol && toRow === fromRow + direction && !this.board[toRow][toCol]) {
+            return true;
+        }
+        
+        // Moving forward two squares from starting position
+        const startRow = piece.color === 'white' ? 6 : 1;
+        if (fromCol === toCol && fromRow === startRow && toRow === fromRow + 2 * direction && 
+            !this.board[fromRow + direction][fromCol] && !this.board[toRow][toCol]) {
+            return true;
+        }
+        
+        // Capturing diagonally
+        if (Math.abs(fromCol - toCol) === 1 && toRow === fromRow + direction && 
+            this.board[toRow][toCol] && this.board[toRow][toCol].color !== piece.color) {
+            return true;
+        }
+        
+        // Capturing en passant right after an enemy pawn's two-square push
+        const target = this.enPassantTarget;
+        const passedPawn = this.board[fromRow][toCol];
+        if (target && toRow === target.row && toCol === target.col &&
+            Math.abs(fromCol - toCol) === 1 && toRow === fromRow + direction &&
+            passedPawn && passedPawn.type === 'pawn' && passedPawn.color !== piece.color) {
+            return true;
+        }
+        
+        return false;
+    }
+
+    /**
+     * Check if a rook move is valid
+     */
+    isValidRookMove(fromRow, fromCol, toRow, toCol) {
+        // Rook moves horizontally or vertically
+        if (fromRow !== toRow && fromCol !== toCol) return false;
+        
+        // Check if path is clear
+        if (fromRow === toRow) {
+            // Horizontal move
+            const start = Math.min(fromCol, toCol);
+            const end = Math.max(fromCol, toCol);
+            for (let c = start + 1; c < end; c++) {
+                if (this.board[fromRow][c]) return false;
+            }
+        } else {
+            // Vertical move
+            const start = Math.min(fromRow, toRow);
+            const end = Math.max(fromRow, toRow);
+            for (let r = start + 1; r < end; r++) {
+                if (this.board[r][fromCol]) return false;
+            }
+        }
+        
+        return true;
+    }
+
+    /**
+     * Check if a knight move is valid
+     */
+    isValidKnightMove(fromRow, fromCol, toRow, toCol) {
+        // Knight moves in L-shape: 2 squares in one direction and 1 in perpendicular
+        const rowDiff = Math.abs(fromRow - toRow);
+        const colDiff = Math.abs(fromCol - toCol);
+        
+        return (rowDiff === 2 && colDiff === 1) || (rowDiff === 1 && colDiff === 2);
+    }
+
+    /**
+     * Check if a bishop move is valid
+     */
+    isValidBishopMove(fromRow, fromCol, toRow, toCol) {
+        // Bishop moves diagonally
+        const rowDiff = Math.abs(fromRow - toRow);
+        const colDiff = Math.abs(fromCol - toCol);
+        
+        if (rowDiff !== colDiff) return false;
+        
+        // Check if path is clear
+        const rowDirection = toRow > fromRow ? 1 : -1;
+        const colDirection = toCol > fromCol ? 1 : -1;
+        
+        for (let i = 1; i < rowDiff; i++) {
+            if (this.board[fromRow + i * rowDirection][fromCol + i * colDirection]) {
+                return false;
+            }
+        }
+        
+        return true;
+    }
+
+    /**
+     * Check if a queen move is valid
+     */
+    isValidQueenMove(fromRow, fromCol, toRow, toCol) {
+        // Queen can move like a rook or bishop
+        return this.isValidRookMove(fromRow, fromCol, toRow, toCol) || 
+               this.isValidBishopMove(fromRow, fromCol, toRow, toCol);
+    }
+
+    /**
+     * Check if a king move is valid
+     */
+    isValidKingMove(fromRow, fromCol, toRow, toCol) {
+        // King moves one square in any direction
+        const rowDiff = Math.abs(fromRow - toRow);
+        const colDiff = Math.abs(fromCol - toCol);
+        
+        if (rowDiff <= 1 && colDiff <= 1) return true;
+        
+        // Or two squares sideways when castling
+        return this.isValidCastling(fromRow, fromCol, toRow, toCol);
+    }
+
+    /**
+     * Check if a king move is a legal castling move
+     * The king and rook must not have moved, the squares between them must be
+     * empty and the king may not castle out of, through or into check
+     */
+    isValidCastling(fromRow, fromCol, toRow, toCol) {
+        const king = this.board[fromRow][fromCol];
+        const homeRow = king.color === 'white' ? 7 : 0;
+        
+        if (fromRow !== homeRow || toRow !== homeRow || fromCol !== 4 || Math.abs(toCol - fromCol) !== 2) {
+            return false;
+        }
+        
+        const side = toCol > fromCol ? 'kingside' : 'queenside';
+        if (!this.castlingRights[king.color][side]) return false;
+        
+        const rookCol = side === 'kingside' ? 7 : 0;
+        const rook = this.board[homeRow][rookCol];
+        if (!rook || rook.type !== 'rook' || rook.color !== king.color) return false;
+        
+        // Squares between king and rook must be empty
+        for (let c = Math.min(fromCol, rookCol) + 1; c < Math.max(fromCol, rookCol); c++) {
+            if (this.board[homeRow][c]) return false;
+        }
+        
+        // King's start, transit and destination squares must not be attacked
+        const opponentColor = king.color === 'white' ? 'black' : 'white';
+        const step = side === 'kingside' ? 1 : -1;
+        for (let c = fromCol; c !== toCol + step; c += step) {
+            if (this.isSquareAttacked(homeRow, c, opponentColor)) return false;
+        }
+        
+        return true;
+    }
+
+    /**
+     * Apply a move to the board and record it in the move history
+     * Updates the board, castling rights, en passant target, move counters
+     * and current player. The move is not validated, so callers must only pass
+     * moves that passed isValidMove(); use makeMove() for untrusted input
+     * @param {number} fromRow - Starting row
+     * @param {number} fromCol - Starting column
+     * @param {number} toRow - Target row
+     * @param {number} toCol - Target column
+     * @param {string} [promotion='queen'] - Piece type a pawn promotes to
+     * @returns {Object} The recorded move history entry
+     */
+    applyMove(fromRow, fromCol, toRow, toCol, promotion = 'queen') {
+        const piece = this.board[fromRow][fromCol];
+        let capturedPiece = this.board[toRow][toCol];
+        const hashLow = this.hashLow;
+        const hashHigh = this.hashHigh;
+        
+        // Take the side to move, castling rights and en passant file out of the hash
+        // before they change; toggleStateHash() puts the new ones back in at the end
+        this.toggleStateHash();
+        
+        // An en passant capture takes the pawn beside the moving pawn, not on the target square
+        const isEnPassant = piece.type === 'pawn' && fromCol !== toCol && !capturedPiece;
+        if (isEnPassant) {
+            capturedPiece = this.board[fromRow][toCol];
+            this.board[fromRow][toCol] = null;
+            this.togglePieceHash(capturedPiece, fromRow, toCol);
+        } else if (capturedPiece) {
+            this.togglePieceHash(capturedPiece, toRow, toCol);
+        }
+        
+        // Save move to history
+        const move = {
+            fromRow,
+            fromCol,
+            toRow,
+            toCol,
+            piece,
+            capturedPiece,
+            promotion: null,
+            castling: null,
+            enPassant: isEnPassant,
+            castlingRights: {
+                'white': { ...this.castlingRights.white },
+                'black': { ...this.castlingRights.black }
+            },
+            enPassantTarget: this.enPassantTarget,
+            halfmoveClock: this.halfmoveClock,
+            fullmoveNumber: this.fullmoveNumber,
+            hashLow,
+            hashHigh
+        };
+        this.moveHistory.push(move);
+        
+        // Move the piece, replacing a pawn that reaches the last rank with the promoted piece
+        if (piece.type === 'pawn' && (toRow === 0 || toRow === 7)) {
+            this.board[toRow][toCol] = { type: promotion, color: piece.color };
+            move.promotion = promotion;
+        } else {
+            this.board[toRow][toCol] = piece;
+        }
+        this.board[fromRow][fromCol] = null;
+        this.togglePieceHash(piece, fromRow, fromCol);
+        if (piece.type === 'king') this.kingSquares[piece.color] = { row: toRow, col: toCol };
+        this.togglePieceHash(this.board[toRow][toCol], toRow, toCol);
+        
+        // Castling also moves the rook next to the king
+        if (piece.type === 'king' && Math.abs(toCol - fromCol) === 2) {
+            const rookFromCol = toCol > fromCol ? 7 : 0;
+            const rookToCol = toCol > fromCol ? 5 : 3;
+            const rook = this.board[toRow][rookFromCol];
+            this.board[toRow][rookToCol] = rook;
+            this.board[toRow][rookFromCol] = null;
+            this.togglePieceHash(rook, toRow, rookFromCol);
+            this.togglePieceHash(rook, toRow, rookToCol);
+            move.castling = { rookFromCol, rookToCol };
+        }
+        
+        // Moving the king or a rook, or capturing a rook, loses castling rights
+        if (piece.type === 'king') {
+            this.castlingRights[piece.color].kingside = false;
+            this.castlingRights[piece.color].queenside = false;
+        }
+        for (const [row, col] of [[fromRow, fromCol], [toRow, toCol]]) {
+            if ((row === 0 || row === 7) && (col === 0 || col === 7)) {
+                const color = row === 7 ? 'white' : 'black';
+                this.castlingRights[color][col === 7 ? 'kingside' : 'queenside'] = false;
+            }
+        }
+        
+        // A two-square pawn push can be captured en passant on the next move only
+        if (piece.type === 'pawn' && Math.abs(toRow - fromRow) === 2) {
+            this.enPassantTarget = { row: (fromRow + toRow) / 2, col: fromCol };
+        } else {
+            this.enPassantTarget = null;
+        }
+        
+        // Captures and pawn moves reset the fifty-move counter
+        this.halfmoveClock = piece.type === 'pawn' || capturedPiece ? 0 : this.halfmoveClock + 1;
+        if (piece.color === 'black') this.fullmoveNumber++;
+        
+        this.currentPlayer = this.currentPlayer === 'white' ? 'black' : 'white';
+        this.toggleStateHash();
+        this.positionHistory.push(this.getPositionKey());
+        
+        return move;
+    }
+
+    /**
+     * Take back the last move in the move history
+     * Restores the board, castling rights, en passant target, move counters
+     * and current player
+     * @returns {Object|null} The removed move history entry, or null if there was none
+     */
+    unmakeMove() {
+        if (this.moveHistory.length === 0) return null;
+        
+        const lastMove = this.moveHistory.pop();
+        
+        // Restore the moved piece, turning a promoted piece back into a pawn
+        if (lastMove.promotion) {
+            this.board[lastMove.fromRow][lastMove.fromCol] = { type: 'pawn', color: lastMove.piece.color };
+        } else {
+            this.board[lastMove.fromRow][lastMove.fromCol] = lastMove.piece;
+        }
+        if (lastMove.piece.type === 'king') {
+            this.kingSquares[lastMove.piece.color] = { row: lastMove.fromRow, col: lastMove.fromCol };
+        }
+        
+        // Restore the captured piece (if any), beside the target square for en passant
+        if (lastMove.enPassant) {
+            this.board[lastMove.toRow][lastMove.toCol] = null;
+            this.board[lastMove.fromRow][lastMove.toCol] = lastMove.capturedPiece;
+        } else {
+            this.board[lastMove.toRow][lastMove.toCol] = lastMove.capturedPiece;
+        }
+        
+        // Put the rook back in its corner after castling
+        if (lastMove.castling) {
+            const { rookFromCol, rookToCol } = lastMove.castling;
+            this.board[lastMove.toRow][rookFromCol] = this.board[lastMove.toRow][rookToCol];
+            this.board[lastMove.toRow][rookToCol] = null;
+        }
+        
+        this.castlingRights = lastMove.castlingRights;
+        this.enPassantTarget = lastMove.enPassantTarget;
+        this.halfmoveClock = lastMove.halfmoveClock;
+        this.fullmoveNumber = lastMove.fullmoveNumber;
+        this.hashLow = lastMove.hashLow;
+        this.hashHigh = lastMove.hashHigh;
+        this.positionHistory.pop();
+        
+        // Switch back to previous player
+        this.currentPlayer = this.currentPlayer === 'white' ? 'black' : 'white';
+        
+        return lastMove;
+    }
+
+    /**
+     * Get the opponent's color
+     * @returns {string} Opponent's color ('white' or 'black')
+     */
+    getOpponentColor() {
+        return this.currentPlayer === 'white' ? 'black' : 'white';
+    }
+
+    /**
+     * Check if a king is in check
+     * @param {string} color - Color of the king to check
+     * @returns {boolean} Whether the king is in check
+     */
+    isKingInCheck(color) {
+        const king = this.findKing(color);
+        
+        // No king on the board means there is nothing to attack
+        if (!king) return false;
+        
+        // Check if any opponent piece attacks the king
+        const opponentColor = color === 'white' ? 'black' : 'white';
+        return this.isSquareAttacked(king.row, king.col, opponentColor);
+    }
+
+    /**
+     * Find a king on the board
+     * applyMove() and unmakeMove() keep track of the kings, so the board is only
+     * searched if the king is no longer where it was last seen
+     * @param {string} color - Color of the king
+     * @returns {Object|null} The king's square {row, col}, or null if there is no king
+     */
+    findKing(color) {
+        const known = this.kingSquares[color];
+        if (known) {
+            const piece = this.board[known.row][known.col];
+            if (piece && piece.type === 'king' && piece.color === color) return known;
+        }
+        
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = this.board[row][col];
+                if (piece && piece.type === 'king' && piece.color === color) {
+                    this.kingSquares[color] = { row, col };
+                    return this.kingSquares[color];
+                }
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Check if a square is attacked by any piece of the given color
+     * Works outwards from the square, looking for a pawn, knight or king one
+     * step away and along each ray for the first piece that slides that way
+     * Unlike isValidMove this also covers empty squares, so pawns only attack diagonally
+     * @param {number} row - Row of the square
+     * @param {number} col - Column of the square
+     * @param {string} byColor - Color of the attacking side
+     * @returns {boolean} Whether the square is attacked
+     */
+    isSquareAttacked(row, col, byColor) {
+        const isAttacker = (r, c, types) => {
+            if (r < 0 || r > 7 || c < 0 || c > 7) return false;
+            const piece = this.board[r][c];
+            return piece !== null && piece.color === byColor && types.includes(piece.type);
+        };
+        
+        // Pawns attack diagonally forward, so look one row behind the square from their side
+        const pawnRow = byColor === 'white' ? row + 1 : row - 1;
+        if (isAttacker(pawnRow, col - 1, ['pawn']) || isAttacker(pawnRow, col + 1, ['pawn'])) return true;
+        
+        for (const [rowStep, colStep] of MOVE_OFFSETS.knight) {
+            if (isAttacker(row + rowStep, col + colStep, ['knight'])) return true;
+        }
+        for (const [rowStep, colStep] of MOVE_OFFSETS.king) {
+            if (isAttacker(row + rowStep, col + colStep, ['king'])) return true;
+        }
+        
+        // The first piece along each ray attacks the square if it slides that way
+        for (const [rowStep, colStep] of MOVE_OFFSETS.queen) {
+            const sliders = rowStep !== 0 && colStep !== 0 ? ['bishop', 'queen'] : ['rook', 'queen'];
+            let r = row + rowStep;
+            let c = col + colStep;
+            while (r >= 0 && r < 8 && c >= 0 && c < 8) {
+                if (this.board[r][c]) {
+                    if (isAttacker(r, c, sliders)) return true;
+                    break;
+                }
+                r += rowStep;
+                c += colStep;
+            }
+        }
+        
+        return false;
+    }
+
+    /**
+     * Find every piece of the given color that attacks a square
+     * Looks the same way as isSquareAttacked, but collects the attackers instead of
+     * stopping at the first; a square's own color finds the pieces defending it
+     * @param {number} row - Row of the square
+     * @param {number} col - Column of the square
+     * @param {string} byColor - Color of the attacking side
+     * @returns {Array} Squares {row, col} of the attacking pieces
+     */
+    getAttackers(row, col, byColor) {
+        const attackers = [];
+        const addAttacker = (r, c, types) => {
+            if (r < 0 || r > 7 || c < 0 || c > 7) return;
+            const piece = this.board[r][c];
+            if (piece !== null && piece.color === byColor && types.includes(piece.type)) {
+                attackers.push({ row: r, col: c });
+            }
+        };
+        
+        const pawnRow = byColor === 'white' ? row + 1 : row - 1;
+        addAttacker(pawnRow, col - 1, ['pawn']);
+        addAttacker(pawnRow, col + 1, ['pawn']);
+        
+        for (const [rowStep, colStep] of MOVE_OFFSETS.knight) {
+            addAttacker(row + rowStep, col + colStep, ['knight']);
+        }
+        for (const [rowStep, colStep] of MOVE_OFFSETS.king) {
+            addAttacker(row + rowStep, col + colStep, ['king']);
+        }
+        
+        for (const [rowStep, colStep] of MOVE_OFFSETS.queen) {
+            const sliders = rowStep !== 0 && colStep !== 0 ? ['bishop', 'queen'] : ['rook', 'queen'];
+            let r = row + rowStep;
+            let c = col + colStep;
+            while (r >= 0 && r < 8 && c >= 0 && c < 8) {
+                if (this.board[r][c]) {
+                    addAttacker(r, c, sliders);
+                    break;
+                }
+                r += rowStep;
+                c += colStep;
+            }
+        }
+        
+        return attackers;
+    }
+
+    /**
+     * Check if a player is in checkmate
+     * @param {string} color - Color of the player to check
+     * @returns {boolean} Whether the player is in checkmate
+     */
+    isCheckmate(color) {
+        // If not in check, can't be checkmate
+        if (!this.isKingInCheck(color)) return false;
+        
+        // Check if any move can get out of check
+        return !this.hasLegalMoves(color);
+    }
+
+    /**
+     * Check if a player has any legal move
+     * @param {string} color - Color of the player to check
+     * @returns {boolean} Whether the player can move
+     */
+    hasLegalMoves(color) {
+        return this.pseudoLegalMoves(color).some(move => this.keepsKingSafe(move));
+    }
+
+    /**
+     * Get the reason the current position is drawn, apart from stalemate
+     * @returns {string|null} 'fifty-move rule', 'threefold repetition',
+     *     'insufficient material' or null if the game goes on
+     */
+    getDrawReason() {
+        if (this.halfmoveClock >= 100) {
+            return 'fifty-move rule';
+        }
+        
+        const currentKey = this.positionHistory[this.positionHistory.length - 1];
+        const repetitions = this.positionHistory.filter(key => key === currentKey).length;
+        if (repetitions >= 3) {
+            return 'threefold repetition';
+        }
+        
+        if (this.isInsufficientMaterial()) {
+            return 'insufficient material';
+        }
+        
+        return null;
+    }
+
+    /**
+     * Check if neither side has enough material to deliver checkmate
+     * Covers K vs K, K+B vs K, K+N vs K and kings with bishops all on one square color
+     * @returns {boolean} Whether the material is insufficient
+     */
+    isInsufficientMaterial() {
+        const minorPieces = [];
+        
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = this.board[row][col];
+                if (!piece || piece.type === 'king') continue;
+                
+                if (piece.type !== 'bishop' && piece.type !== 'knight') return false;
+                minorPieces.push({ type: piece.type, squareColor: (row + col) % 2 });
+            }
+        }
+        
+        // A single minor piece can't force mate
+        if (minorPieces.length <= 1) return true;
+        
+        // Neither can any number of bishops that all move on the same square color
+        return minorPieces.every(piece => piece.type === 'bishop' && piece.squareColor === minorPieces[0].squareColor);
+    }
+
+    /**
+     * Check whether a player still has the material to checkmate
+     * Used when the opponent runs out of time: the game is only lost if this
+     * player could still deliver mate. A lone king, a king and one minor piece,
+     * or a king and bishops all on one square color can't.
+     * @param {string} color - Color of the player
+     * @returns {boolean} Whether the player has mating material
+     */
+    hasMatingMaterial(color) {
+        const minorPieces = [];
+        
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = this.board[row][col];
+                if (!piece || piece.color !== color || piece.type === 'king') continue;
+                
+                if (piece.type !== 'bishop' && piece.type !== 'knight') return true;
+                minorPieces.push({ type: piece.type, squareColor: (row + col) % 2 });
+            }
+        }
+        
+        if (minorPieces.length <= 1) return false;
+        return !minorPieces.every(piece => piece.type === 'bishop' && piece.squareColor === minorPieces[0].squareColor);
+    }
+
+    /**
+     * Recompute the Zobrist hash of the position from scratch
+     * applyMove() and unmakeMove() keep it up to date after this
+     */
+    computeHash() {
+        this.hashLow = 0;
+        this.hashHigh = 0;
+        
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = this.board[row][col];
+                if (piece) this.togglePieceHash(piece, row, col);
+            }
+        }
+        
+        this.toggleStateHash();
+    }
+
+    /**
+     * Add a piece on a square to the hash, or remove it if it is already there
+     * @param {Object} piece - Piece object {type, color}
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     */
+    togglePieceHash(piece, row, col) {
+        this.toggleHash(ZOBRIST_KEYS.pieces[piece.color][piece.type][row * 8 + col]);
+    }
+
+    /**
+     * Add the side to move, castling rights and en passant file to the hash,
+     * or remove them if they are already there
+     */
+    toggleStateHash() {
+        if (this.currentPlayer === 'black') {
+            this.toggleHash(ZOBRIST_KEYS.blackToMove);
+        }
+        
+        const { white, black } = this.castlingRights;
+        const castlingIndex = (white.kingside ? 1 : 0) | (white.queenside ? 2 : 0) |
+            (black.kingside ? 4 : 0) | (black.queenside ? 8 : 0);
+        this.toggleHash(ZOBRIST_KEYS.castling[castlingIndex]);
+        
+        // The en passant square only matters if a pawn could actually capture there
+        const target = this.enPassantTarget;
+        if (target) {
+            const pawnRow = this.currentPlayer === 'white' ? target.row + 1 : target.row - 1;
+            for (const col of [target.col - 1, target.col + 1]) {
+                const piece = col >= 0 && col < 8 ? this.board[pawnRow][col] : null;
+                if (piece && piece.type === 'pawn' && piece.color === this.currentPlayer) {
+                    this.toggleHash(ZOBRIST_KEYS.enPassant[target.col]);
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * XOR a Zobrist key into the hash
+     * @param {number[]} key - [low, high] pair of 32-bit words
+     */
+    toggleHash(key) {
+        this.hashLow = (this.hashLow ^ key[0]) >>> 0;
+        this.hashHigh = (this.hashHigh ^ key[1]) >>> 0;
+    }
+
+    /**
+     * Get a key identifying the position, for repetition detection and the AI's
+     * transposition table
+     * Two positions match when the pieces, side to move, castling rights and
+     * available en passant capture are all the same. The key is the Zobrist hash
+     * cut down to 53 bits so it stays an exact JavaScript number.
+     * @returns {number} Position key
+     */
+    getPositionKey() {
+        return (this.hashHigh & 0x1fffff) * 0x100000000 + this.hashLow;
+    }
+}
+
+// Allow the rules engine to be loaded with require() in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChessPosition, PROMOTION_PIECES, PIECE_LETTERS, STARTING_FEN, MOVE_OFFSETS };
+}
@@ -0,0 +1,94 @@
+/**
+ * Chess AI Worker
+ * Runs the ChessAI search off the main thread so the page stays responsive
+ *
+ * Receives {id, position, difficulty, color, timeBudget} where position is ChessPosition.serialize() output
+ * and timeBudget (milliseconds, or null) caps the search when playing on a clock.
+ * Posts {type: 'progress', id, move} whenever the search finds a better move,
+ * then {type: 'result', id, move} with the move to play (null if there is none).
+ * Moves from the opening book or the endgame tables are returned at once, without progress messages.
+ *
+ * Receives {type: 'analyze', id, position, multiPV, timeLimit} to analyze a position instead.
+ * Posts {type: 'analysis', id, analysis} after each completed depth, with analysis as returned
+ * by ChessAI.analyze(), then {type: 'analysis-done', id}. The worker takes messages between
+ * depths, and a newer analysis stops the one in progress without posting 'analysis-done' for it.
+ *
+ * Receives {type: 'review', id, position} to review the whole game leading to position.
+ * Posts {type: 'review-progress', id, done, total} after each position of the game,
+ * then {type: 'review', id, review} with the review from GameReview.
+ *
+ * Searches only use the endgame tables already generated. Posts {type: 'table-wanted', tableType}
+ * the first time a search needs a table it doesn't have, and receives {type: 'table', tableType, table}
+ * once the table is ready.
+ *
+ * Receives {type: 'build-table', id, tableType} to generate a table for another worker.
+ * Posts {type: 'table', id, tableType, table} with a copy of it, its buffers transferred.
+ */
+
+importScripts('chess-rules.js', 'opening-book.js', 'endgame-tables.js', 'chess-ai.js', 'game-review.js');
+
+// One AI for the life of the worker, so its transposition table carries over between moves
+const ai = new ChessAI();
+
+// Depths still to search of the analysis in progress, from ChessAI.analyzeByDepth()
+let analysisDepths = null;
+
+EndgameTables.getDefault().onMissing = (tableType) => self.postMessage({ type: 'table-wanted', tableType });
+
+self.onmessage = (e) => {
+    if (e.data.type === 'table') {
+        EndgameTables.getDefault().addTable(e.data.tableType, e.data.table);
+        return;
+    }
+    
+    if (e.data.type === 'build-table') {
+        const { id, tableType } = e.data;
+        const { results, plies } = EndgameTables.getDefault().getTable(tableType);
+        
+        // Send a copy, as this worker keeps its tables to build the ones that depend on them
+        const table = { results: results.slice(), plies: plies.slice() };
+        self.postMessage({ type: 'table', id, tableType, table }, [table.results.buffer, table.plies.buffer]);
+        return;
+    }
+    
+    if (e.data.type === 'analyze') {
+        const { id, position, multiPV, timeLimit } = e.data;
+        const depths = ai.analyzeByDepth(ChessPosition.deserialize(position), { multiPV, timeLimit });
+        analysisDepths = depths;
+        
+        // Search a depth per task, so a newer analysis waiting in the queue can take over,
+        // skipping the older ones that queued up behind this one
+        const searchDepth = () => {
+            if (analysisDepths !== depths) return;
+            
+            const { value, done } = depths.next();
+            if (done) {
+                analysisDepths = null;
+                self.postMessage({ type: 'analysis-done', id });
+                return;
+            }
+            self.postMessage({ type: 'analysis', id, analysis: value });
+            setTimeout(searchDepth, 0);
+        };
+        setTimeout(searchDepth, 0);
+        return;
+    }
+    
+    if (e.data.type === 'review') {
+        const { id, position } = e.data;
+        const review = new GameReview(ai).review(ChessPosition.deserialize(position), (done, total) => {
+            self.postMessage({ type: 'review-progress', id, done, total });
+        });
+        self.postMessage({ type: 'review', id, review });
+        return;
+    }
+    
+    const { id, position, difficulty, color, timeBudget = null } = e.data;
+    
+    ai.setDifficulty(difficulty);
+    ai.timeBudget = timeBudget;
+    ai.onProgress = (move) => self.postMessage({ type: 'progress', id, move });
+    
+    const move = ai.getBestMove(ChessPosition.deserialize(position), color);
+    self.postMessage({ type: 'result', id, move });
+};
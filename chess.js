@@ -24,83 +24,242 @@ const PIECES = {
     }
 };
 
+// localStorage keys for the game in progress and the player's settings
+const SAVED_GAME_KEY = 'minimal-chess-game';
+const SETTINGS_KEY = 'minimal-chess-settings';
+
+// Bumped whenever the saved data changes shape; saves from other versions are discarded
+const SAVE_VERSION = 1;
+
+// How long analysis keeps deepening on one position, in milliseconds; without a worker
+// the search blocks the page, so it gets much less time
+const ANALYSIS_TIME_LIMIT = 30000;
+const ANALYSIS_FALLBACK_TIME_LIMIT = 1000;
+
+// How long a new analysis waits for the worker to finish the depth it is searching for the last
+// position, in milliseconds, before the worker is replaced so the new one can start
+const ANALYSIS_HANDOVER_LIMIT = 1000;
+
+// Search time for each position of a game review without a worker, in milliseconds
+const REVIEW_FALLBACK_TIME_PER_POSITION = 100;
+
+// How long a hint is searched for, in milliseconds; less without a worker, as the page waits
+const HINT_TIME_LIMIT = 2000;
+const HINT_FALLBACK_TIME_LIMIT = 1000;
+
 /**
  * Chess game class
- * Handles game state and logic
+ * UI controller that renders a ChessPosition and handles player input
  */
 class ChessGame {
     /**
      * Initialize a new chess game
      */
     constructor() {
-        this.board = this.createBoard();
-        this.currentPlayer = 'white';
+        this.position = new ChessPosition();
         this.selectedPiece = null;
+        this.focusedSquare = null; // Square reached with the arrow keys, {row, col}; null before the board is first focused
+        this.drag = null; // Piece being dragged: {row, col, pointerId, startX, startY, ghost}
+        this.suppressClick = false; // Swallows the click that follows a drag
+        this.pendingPromotion = false;
         this.gameOver = false;
-        this.moveHistory = [];
+        
+        // Browsing earlier positions; null while showing the live game
+        this.viewPly = null;
+        this.viewPosition = null;
         
         // Game mode settings
         this.gameMode = 'computer'; // 'human' or 'computer'
         this.difficulty = 'medium'; // 'easy', 'medium', or 'hard'
         this.playerColor = 'white'; // 'white' or 'black'
+        this.boardFlipped = false; // Whether Black is shown at the bottom
+        
+        // Chess clock; null when playing without one
+        this.timeControl = null; // {base, increment, delay} from ChessClock.parse()
+        this.clock = null;
+        this.clockHistory = []; // Clock times before each ply, restored on undo
+        this.timeoutResult = null; // {loser, winner} once a flag falls; winner is null for a draw
+        setInterval(() => this.tickClock(), 100);
         
-        // Initialize AI
+        // Initialize AI, searching in a worker when the browser allows it
         this.ai = new ChessAI(this.difficulty);
+        this.tableWorker = null; // Generates the endgame tables the search workers ask for; created on the first request
+        this.tableRequests = new Map(); // Search workers waiting for a table, by request id
+        this.tableRequestId = 0;
+        this.worker = this.createWorker();
+        
+        // Searches on the main thread can't wait for a table either, so generate it once the move is made
+        EndgameTables.getDefault().onMissing = (tableType) => {
+            setTimeout(() => EndgameTables.getDefault().getTable(tableType), 100);
+        };
+        this.searchId = 0; // Identifies the current search so stale results can be ignored
+        this.aiThinking = false;
+        this.bestMoveSoFar = null;
+        
+        // Analysis of the displayed position, in its own worker so it can run alongside the game
+        this.analysisEnabled = false;
+        this.analysisWorker = null; // Created when analysis starts and kept for every position after
+        this.analysisHandover = null; // Timer replacing the worker if it stays busy with an old position
+        this.analysisWorkerFailed = false; // Set once a worker fails to load, to analyze on the main thread instead
+        this.analysisId = 0; // Identifies the current analysis so stale results can be ignored
+        this.analysisKey = null; // FEN of the analyzed position, so redrawing the board doesn't restart it
+        this.analysis = null; // Latest {depth, nodes, lines} from ChessAI.analyze()
+        this.multiPV = 3; // Number of candidate moves to show
+        
+        // Post-game review, searched in its own worker
+        this.reviewWorker = null;
+        this.reviewId = 0; // Identifies the current review so stale results can be ignored
+        this.reviewedPosition = null; // Game shown in the review panel, whose moves it can jump to
+        
+        // Hints for the player to move, searched in their own worker
+        this.hint = null; // {ply, move, revealed} where revealed is 'piece' or 'move'; move is null while searching,
+                          // with the best move of the deepest finished search in searched
+        this.hintWorker = null;
+        this.hintId = 0; // Identifies the current hint search so stale results can be ignored
+        this.hintsUsed = { 'white': 0, 'black': 0 }; // Hints shown to each side this game, saved with it
+        this.showThreats = false; // Whether to mark attacked pieces of the side to move and their attackers
+        this.boardMarks = new Map(); // Hint and threat marks on the drawn board, by 'row,col'
+        
+        // Finished games are kept in the browser for replaying and stats
+        this.archive = new GameArchive();
+        this.archiveId = null; // Id of the current game in the archive once it has finished
         
         this.setupEventListeners();
+        this.applySettings(this.readStorage(SETTINGS_KEY));
+        this.resetClock();
         this.renderBoard();
         
-        // If player is black, let AI make the first move
-        if (this.gameMode === 'computer' && this.playerColor === 'black') {
+        // Offer to pick up an unfinished game from an earlier visit; the AI
+        // waits for the player to choose before it opens a new game
+        this.savedGame = this.loadSavedGame();
+        if (this.savedGame) {
+            document.getElementById('resume-game').classList.remove('hidden');
+            this.updateStatus('Resume your last game or start a new one');
+        } else if (this.gameMode === 'computer' && this.playerColor === 'black') {
+            // If player is black, let AI make the first move
             this.makeAIMove();
         }
     }
 
-    /**
-     * Create the initial chess board setup
-     * @returns {Array} 2D array representing the chess board
-     */
-    createBoard() {
-        // Initialize empty 8x8 board
-        const board = Array(8).fill().map(() => Array(8).fill(null));
-        
-        // Set up pawns
-        for (let i = 0; i < 8; i++) {
-            board[1][i] = { type: 'pawn', color: 'black' };
-            board[6][i] = { type: 'pawn', color: 'white' };
-        }
-        
-        // Set up other pieces
-        const backRowPieces = ['rook', 'knight', 'bishop', 'queen', 'king', 'bishop', 'knight', 'rook'];
-        for (let i = 0; i < 8; i++) {
-            board[0][i] = { type: backRowPieces[i], color: 'black' };
-            board[7][i] = { type: backRowPieces[i], color: 'white' };
-        }
-        
-        return board;
-    }
-
     /**
      * Set up event listeners for the game
      */
     setupEventListeners() {
         // Game controls
         document.getElementById('reset').addEventListener('click', () => this.resetGame());
+        document.getElementById('resume-game').addEventListener('click', () => this.resumeGame());
         document.getElementById('undo').addEventListener('click', () => this.undoMove());
+        document.getElementById('stop-ai').addEventListener('click', () => this.stopAIMove());
+        document.getElementById('flip-board').addEventListener('click', () => this.flipBoard());
+        document.getElementById('hint').addEventListener('click', () => this.showHint());
+        document.getElementById('show-threats').addEventListener('click', () => this.toggleThreats());
+        
+        // Drag-and-drop with mouse, touch or pen; squares are redrawn often, so listen on the board
+        const boardElement = document.getElementById('board');
+        boardElement.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        boardElement.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        boardElement.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        boardElement.addEventListener('pointercancel', () => this.cancelDrag());
+        boardElement.addEventListener('click', (e) => {
+            if (this.suppressClick) {
+                this.suppressClick = false;
+                e.stopPropagation();
+            }
+        }, true);
+        
+        // Keyboard play: arrow keys move between squares, Enter or Space acts like a click
+        boardElement.addEventListener('keydown', (e) => this.handleBoardKey(e));
+        boardElement.addEventListener('focusin', (e) => {
+            const square = e.target.closest('.square');
+            if (square) {
+                this.setFocusedSquare(Number(square.dataset.row), Number(square.dataset.col));
+            }
+        });
+        document.getElementById('move-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = document.getElementById('move-input');
+            if (this.playTypedMove(input.value)) {
+                input.value = '';
+            }
+        });
+        document.getElementById('load-fen').addEventListener('click', () => {
+            this.loadFEN(document.getElementById('fen-input').value);
+        });
+        document.getElementById('copy-fen').addEventListener('click', () => this.copyFEN());
+        document.getElementById('export-pgn').addEventListener('click', () => this.exportPGN());
+        document.getElementById('import-pgn').addEventListener('click', () => {
+            document.getElementById('pgn-file').click();
+        });
+        document.getElementById('pgn-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                file.text().then(text => this.importPGN(text));
+            }
+            e.target.value = '';
+        });
+        document.getElementById('show-archive').addEventListener('click', () => this.toggleArchive());
+        document.getElementById('toggle-analysis').addEventListener('click', () => this.toggleAnalysis());
+        document.getElementById('review-game').addEventListener('click', () => this.reviewGame());
+        document.getElementById('review-graph').addEventListener('click', (e) => {
+            // The graph has one point per position, spread evenly across its width
+            const bounds = e.currentTarget.getBoundingClientRect();
+            const plies = this.reviewedPosition ? this.reviewedPosition.moveHistory.length : 0;
+            this.goToReviewedPly(Math.round((e.clientX - bounds.left) / bounds.width * plies));
+        });
+        document.getElementById('multi-pv').addEventListener('change', (e) => {
+            this.multiPV = Number(e.target.value);
+            this.analysisKey = null;
+            this.updateAnalysis();
+        });
+        document.getElementById('export-archive').addEventListener('click', () => this.exportArchive());
+        
+        // Move list navigation
+        document.getElementById('nav-first').addEventListener('click', () => this.goToPly(0));
+        document.getElementById('nav-prev').addEventListener('click', () => this.stepView(-1));
+        document.getElementById('nav-next').addEventListener('click', () => this.stepView(1));
+        document.getElementById('nav-last').addEventListener('click', () => this.goToPly(this.position.moveHistory.length));
+        document.addEventListener('keydown', (e) => {
+            // Leave arrow keys alone while typing in a text field or moving around the board
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+            if (e.target.closest('#board')) return;
+            
+            const actions = {
+                'ArrowLeft': () => this.stepView(-1),
+                'ArrowRight': () => this.stepView(1),
+                'ArrowUp': () => this.goToPly(0),
+                'Home': () => this.goToPly(0),
+                'ArrowDown': () => this.goToPly(this.position.moveHistory.length),
+                'End': () => this.goToPly(this.position.moveHistory.length)
+            };
+            if (actions[e.key]) {
+                e.preventDefault();
+                actions[e.key]();
+            }
+        });
         
         // Game settings
         document.getElementById('game-mode').addEventListener('change', (e) => {
             this.gameMode = e.target.value;
+            this.saveSettings();
             this.resetGame();
         });
         
         document.getElementById('difficulty').addEventListener('change', (e) => {
             this.difficulty = e.target.value;
             this.ai.setDifficulty(this.difficulty);
+            this.saveSettings();
+        });
+        
+        document.getElementById('time-control').addEventListener('change', (e) => {
+            this.timeControl = ChessClock.parse(e.target.value);
+            this.saveSettings();
+            this.resetGame();
         });
         
         document.getElementById('player-color').addEventListener('change', (e) => {
             this.playerColor = e.target.value;
+            this.boardFlipped = this.playerColor === 'black'; // Put the player's pieces at the bottom
+            this.saveSettings();
             this.resetGame();
         });
     }
@@ -109,46 +268,263 @@ class ChessGame {
      * Reset the game to initial state
      */
     resetGame() {
-        this.board = this.createBoard();
-        this.currentPlayer = 'white';
+        this.startGame(new ChessPosition());
+    }
+
+    /**
+     * Pick up the unfinished game saved on an earlier visit, with the settings it was played with
+     */
+    resumeGame() {
+        const saved = this.savedGame;
+        if (!saved) return;
+        
+        this.applySettings(saved.settings);
+        this.saveSettings();
+        this.startGame(saved.position, {
+            hints: saved.hints,
+            clock: saved.clock ? { snapshot: saved.clock, history: saved.clockHistory } : null
+        });
+    }
+
+    /**
+     * Switch to another game, clearing everything left over from the current one
+     * Every way of starting a game goes through here: a new game, resuming, FEN and PGN
+     * imports and archive replays
+     * @param {ChessPosition} position - Position to play on from, with its moves so far
+     * @param {Object} [options] - What the game carries over
+     * @param {Object} [options.hints] - Hints already used, {white, black}
+     * @param {Object} [options.clock] - Saved clock {snapshot, history} to carry on with
+     * @param {boolean} [options.finished=false] - Whether the game is over and only shown, as for a replay
+     */
+    startGame(position, { hints = {}, clock = null, finished = false } = {}) {
+        this.cancelAIMove();
+        this.cancelReview();
+        this.cancelHint();
+        this.position = position;
+        this.hintsUsed = { 'white': 0, 'black': 0, ...hints };
         this.selectedPiece = null;
-        this.gameOver = false;
-        this.moveHistory = [];
+        this.gameOver = finished;
+        this.viewPly = null;
+        this.viewPosition = null;
+        this.archiveId = null;
+        this.resetClock();
         
-        document.getElementById('undo').disabled = true;
+        // The clock carries on for the side to move, as if the page had never closed
+        if (this.clock && clock) {
+            this.clock.restore(clock.snapshot);
+            this.clockHistory = clock.history;
+            this.clock.start(this.position.currentPlayer);
+        }
         
-        this.updateStatus(`${this.currentPlayer.charAt(0).toUpperCase() + this.currentPlayer.slice(1)}'s turn`);
-        this.renderBoard();
+        this.hidePromotionDialog();
+        document.getElementById('undo').disabled = finished || this.position.moveHistory.length === 0;
         
-        // If player is black, let AI make the first move
-        if (this.gameMode === 'computer' && this.playerColor === 'black') {
+        this.updateGameState();
+        // A replay or an untouched new game would only overwrite the game there is to resume
+        if (!finished && this.isResumable(position)) {
+            this.saveGame();
+        }
+        
+        // Let the AI move if the game has it to play
+        if (!this.gameOver && this.gameMode === 'computer' && this.position.currentPlayer !== this.playerColor) {
             this.makeAIMove();
         }
     }
 
+    /**
+     * Check whether a game is worth saving to resume later
+     * @param {ChessPosition} position - Position with its moves so far
+     * @returns {boolean} True if a move was played or the game starts from a set up position
+     */
+    isResumable(position) {
+        return position.moveHistory.length > 0 || position.startFEN !== new ChessPosition().startFEN;
+    }
+
+    /**
+     * Save the game in progress so it survives a page reload
+     * This replaces the previously saved game, so it can no longer be resumed
+     */
+    saveGame() {
+        this.savedGame = null;
+        document.getElementById('resume-game').classList.add('hidden');
+        
+        this.writeStorage(SAVED_GAME_KEY, {
+            version: SAVE_VERSION,
+            savedAt: new Date().toISOString(),
+            settings: this.getSettings(),
+            game: this.position.serialize(),
+            finished: this.gameOver,
+            clock: this.clock ? this.clock.snapshot() : null,
+            clockHistory: this.clockHistory,
+            hints: this.hintsUsed
+        });
+    }
+
+    /**
+     * Read the saved game, checking that it can really be played on
+     * Corrupted saves and saves from other versions are discarded
+     * @returns {Object|null} {settings, position, clock, clockHistory, hints}, or null
+     *     if there is no unfinished game to resume
+     */
+    loadSavedGame() {
+        const data = this.readStorage(SAVED_GAME_KEY);
+        if (!data) return null;
+        
+        try {
+            if (data.version !== SAVE_VERSION) {
+                throw new Error(`unsupported version ${data.version}`);
+            }
+            if (data.finished) return null;
+            
+            // Replays every move, so an illegal or truncated move list throws
+            const position = ChessPosition.deserialize(data.game);
+            if (!this.isResumable(position) || position.result()) return null;
+            
+            const validTimes = (times) => times && ['white', 'black'].every(color => Number.isFinite(times[color]) && times[color] >= 0);
+            const validHints = (hints) => hints && ['white', 'black'].every(color => Number.isInteger(hints[color]) && hints[color] >= 0);
+            return {
+                settings: data.settings,
+                position,
+                clock: validTimes(data.clock) ? data.clock : null,
+                clockHistory: Array.isArray(data.clockHistory) ? data.clockHistory.map(times => (validTimes(times) ? times : null)) : [],
+                hints: validHints(data.hints) ? data.hints : { 'white': 0, 'black': 0 }
+            };
+        } catch (error) {
+            console.warn(`Discarding saved game: ${error.message}`);
+            this.removeStorage(SAVED_GAME_KEY);
+            return null;
+        }
+    }
+
+    /**
+     * Get the current settings, as stored in localStorage
+     * @returns {Object} {version, gameMode, difficulty, playerColor, timeControl, boardFlipped}
+     */
+    getSettings() {
+        return {
+            version: SAVE_VERSION,
+            gameMode: this.gameMode,
+            difficulty: this.difficulty,
+            playerColor: this.playerColor,
+            timeControl: document.getElementById('time-control').value,
+            boardFlipped: this.boardFlipped
+        };
+    }
+
+    /**
+     * Remember the current settings for the next visit
+     */
+    saveSettings() {
+        this.writeStorage(SETTINGS_KEY, this.getSettings());
+    }
+
+    /**
+     * Apply stored settings to the game and the settings menus
+     * Values that aren't among a menu's options are ignored, so stale or
+     * damaged settings fall back to the current ones
+     * @param {Object|null} settings - Settings from getSettings()
+     */
+    applySettings(settings) {
+        if (!settings || typeof settings !== 'object') return;
+        
+        const menus = {
+            'game-mode': settings.gameMode,
+            'difficulty': settings.difficulty,
+            'player-color': settings.playerColor,
+            'time-control': settings.timeControl
+        };
+        for (const [id, value] of Object.entries(menus)) {
+            const select = document.getElementById(id);
+            if ([...select.options].some(option => option.value === value)) {
+                select.value = value;
+            }
+        }
+        
+        this.gameMode = document.getElementById('game-mode').value;
+        this.difficulty = document.getElementById('difficulty').value;
+        this.ai.setDifficulty(this.difficulty);
+        this.playerColor = document.getElementById('player-color').value;
+        this.timeControl = ChessClock.parse(document.getElementById('time-control').value);
+        this.boardFlipped = typeof settings.boardFlipped === 'boolean' ? settings.boardFlipped : this.playerColor === 'black';
+    }
+
+    /**
+     * Read a JSON value from localStorage
+     * @param {string} key - Storage key
+     * @returns {*} The stored value, or null if it is missing, unreadable or storage is unavailable
+     */
+    readStorage(key) {
+        try {
+            const text = localStorage.getItem(key);
+            return text === null ? null : JSON.parse(text);
+        } catch (error) {
+            console.warn(`Ignoring saved data '${key}': ${error.message}`);
+            this.removeStorage(key);
+            return null;
+        }
+    }
+
+    /**
+     * Write a JSON value to localStorage
+     * Failures (storage disabled or full) only cost persistence, so they are just logged
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     */
+    writeStorage(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.warn(`Could not save '${key}': ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove a value from localStorage, ignoring storage errors
+     * @param {string} key - Storage key
+     */
+    removeStorage(key) {
+        try {
+            localStorage.removeItem(key);
+        } catch (error) {
+            // Nothing more to do if storage is unavailable
+        }
+    }
+
     /**
      * Render the chess board on the page
      */
     renderBoard() {
         const boardElement = document.getElementById('board');
+        const hadFocus = boardElement.contains(document.activeElement);
         boardElement.innerHTML = '';
         
-        // Determine board orientation based on player color
-        const isFlipped = this.playerColor === 'black';
+        // Show the browsed position instead of the live one while looking back
+        const position = this.viewPosition || this.position;
+        const focus = this.getFocusedSquare();
+        this.boardMarks = this.getBoardMarks(position);
         
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
-                // Adjust coordinates if board is flipped
-                const displayRow = isFlipped ? 7 - row : row;
-                const displayCol = isFlipped ? 7 - col : col;
+        // Squares are laid out from the top left of the screen; when flipped, that is h1 rather than a8.
+        // The data attributes always hold the real board square, so clicks and highlights need no mapping.
+        for (let displayRow = 0; displayRow < 8; displayRow++) {
+            // Rows exist for screen readers only; the squares are laid out by the board's CSS grid
+            const rowElement = document.createElement('div');
+            rowElement.className = 'board-row';
+            rowElement.setAttribute('role', 'row');
+            
+            for (let displayCol = 0; displayCol < 8; displayCol++) {
+                const row = this.boardFlipped ? 7 - displayRow : displayRow;
+                const col = this.boardFlipped ? 7 - displayCol : displayCol;
                 
                 const square = document.createElement('div');
-                square.className = `square ${(displayRow + displayCol) % 2 === 0 ? 'white' : 'black'}`;
+                square.className = `square ${(row + col) % 2 === 0 ? 'white' : 'black'}`;
                 square.dataset.row = row;
                 square.dataset.col = col;
+                square.setAttribute('role', 'gridcell');
+                square.setAttribute('aria-label', this.labelSquare(position, row, col));
+                square.tabIndex = row === focus.row && col === focus.col ? 0 : -1; // Only one square is in the tab order
                 
                 // Add piece if exists
-                const piece = this.board[row][col];
+                const piece = position.board[row][col];
                 if (piece) {
                     square.textContent = PIECES[piece.color][piece.type];
                     square.dataset.piece = `${piece.color}-${piece.type}`;
@@ -158,34 +534,192 @@ class ChessGame {
                 square.addEventListener('click', (e) => this.handleSquareClick(row, col));
                 
                 // Highlight last move
-                if (this.moveHistory.length > 0) {
-                    const lastMove = this.moveHistory[this.moveHistory.length - 1];
+                if (position.moveHistory.length > 0) {
+                    const lastMove = position.moveHistory[position.moveHistory.length - 1];
                     if ((row === lastMove.fromRow && col === lastMove.fromCol) || 
                         (row === lastMove.toRow && col === lastMove.toCol)) {
                         square.classList.add('last-move');
                     }
                 }
                 
-                boardElement.appendChild(square);
+                const mark = this.boardMarks.get(`${row},${col}`);
+                if (mark) {
+                    square.classList.add(...mark.classes);
+                }
+                
+                rowElement.appendChild(square);
+            }
+            boardElement.appendChild(rowElement);
+        }
+        
+        // Highlight king if in check
+        if (position.isCheck()) {
+            this.highlightCheck(position.currentPlayer);
+        }
+        
+        // Redrawing replaced the focused square, so focus its replacement
+        if (hadFocus) {
+            this.getSquareElement(focus.row, focus.col).focus();
+        }
+        
+        this.renderCoordinates();
+        this.renderMoveList();
+        this.renderOpening(position);
+        this.updateAnalysis();
+    }
+
+    /**
+     * Label the files along the bottom edge and the ranks along the left edge,
+     * in the same order as the board is drawn
+     */
+    renderCoordinates() {
+        const files = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+        const ranks = ['8', '7', '6', '5', '4', '3', '2', '1'];
+        if (this.boardFlipped) {
+            files.reverse();
+            ranks.reverse();
+        }
+        
+        for (const [id, labels] of [['file-labels', files], ['rank-labels', ranks]]) {
+            const container = document.getElementById(id);
+            container.innerHTML = '';
+            for (const label of labels) {
+                const element = document.createElement('span');
+                element.textContent = label;
+                container.appendChild(element);
+            }
+        }
+    }
+
+    /**
+     * Turn the board around to view it from the other side
+     */
+    flipBoard() {
+        this.boardFlipped = !this.boardFlipped;
+        this.saveSettings();
+        this.renderBoard();
+        
+        // Redrawing the board clears the selection highlights
+        if (this.selectedPiece) {
+            this.highlightValidMoves(this.selectedPiece.row, this.selectedPiece.col);
+        }
+    }
+
+    /**
+     * Render the move list as numbered move pairs, marking the displayed move
+     */
+    renderMoveList() {
+        const list = document.getElementById('move-list');
+        list.innerHTML = '';
+        
+        const sanMoves = this.position.getSANHistory();
+        const currentPly = this.viewPly === null ? sanMoves.length : this.viewPly;
+        const start = this.position.positionAt(0);
+        
+        // When Black moved first the list starts with an empty White slot
+        const offset = start.currentPlayer === 'black' ? 1 : 0;
+        let item = null;
+        
+        for (let i = 0; i < sanMoves.length; i++) {
+            const slot = i + offset;
+            if (slot % 2 === 0 || item === null) {
+                item = document.createElement('li');
+                const number = document.createElement('span');
+                number.className = 'move-number';
+                number.textContent = `${start.fullmoveNumber + Math.floor(slot / 2)}.`;
+                item.appendChild(number);
+                if (slot % 2 === 1) {
+                    const placeholder = document.createElement('span');
+                    placeholder.className = 'move';
+                    placeholder.textContent = '...';
+                    item.appendChild(placeholder);
+                }
+                list.appendChild(item);
+            }
+            
+            const move = document.createElement('span');
+            move.className = 'move';
+            move.textContent = sanMoves[i];
+            move.dataset.ply = i + 1;
+            if (i + 1 === currentPly) {
+                move.classList.add('current');
             }
+            move.addEventListener('click', () => this.goToPly(i + 1));
+            item.appendChild(move);
+        }
+        
+        const current = list.querySelector('.current');
+        if (current) {
+            current.scrollIntoView({ block: 'nearest' });
+        }
+        
+        // Navigation buttons only make sense when there is somewhere to go
+        document.getElementById('nav-first').disabled = currentPly === 0;
+        document.getElementById('nav-prev').disabled = currentPly === 0;
+        document.getElementById('nav-next').disabled = currentPly === sanMoves.length;
+        document.getElementById('nav-last').disabled = currentPly === sanMoves.length;
+    }
+
+    /**
+     * Show the ECO code and name of the opening the displayed position was reached by
+     * @param {ChessPosition} position - Displayed position
+     */
+    renderOpening(position) {
+        const opening = OpeningBook.getDefault().getOpening(position);
+        const element = document.getElementById('opening');
+        element.textContent = opening ? `${opening.eco} ${opening.name}` : '';
+        element.classList.toggle('hidden', !opening);
+    }
+
+    /**
+     * Show the position after a given number of moves without changing the live game
+     * @param {number} ply - Number of moves played in the position to show
+     */
+    goToPly(ply) {
+        const lastPly = this.position.moveHistory.length;
+        const target = Math.max(0, Math.min(ply, lastPly));
+        
+        this.selectedPiece = null;
+        if (target === lastPly) {
+            // Back to the live game, whose status message may have been replaced while browsing
+            this.viewPly = null;
+            this.viewPosition = null;
+            this.updateGameState();
+        } else {
+            this.viewPly = target;
+            this.viewPosition = this.position.positionAt(target);
+            this.renderBoard();
         }
     }
 
+    /**
+     * Step backwards or forwards through the game from the displayed position
+     * @param {number} delta - Number of moves to step, negative to go back
+     */
+    stepView(delta) {
+        const currentPly = this.viewPly === null ? this.position.moveHistory.length : this.viewPly;
+        this.goToPly(currentPly + delta);
+    }
+
     /**
      * Handle click on a chess square
      * @param {number} row - Row index of clicked square
      * @param {number} col - Column index of clicked square
      */
     handleSquareClick(row, col) {
-        // Ignore clicks if game is over or if it's AI's turn
-        if (this.gameOver || (this.gameMode === 'computer' && this.currentPlayer !== this.playerColor)) {
+        // Moves can only be made from the live position, never from one being browsed
+        if (this.viewPly !== null) {
+            this.updateStatus('Viewing an earlier position - go to the last move to continue playing');
             return;
         }
         
-        const piece = this.board[row][col];
+        // Ignore clicks if game is over, if it's AI's turn or while choosing a promotion
+        if (!this.canHumanMove()) return;
+        
+        const piece = this.position.board[row][col];
         
         // If no piece is selected and clicked on own piece, select it
-        if (!this.selectedPiece && piece && piece.color === this.currentPlayer) {
+        if (!this.selectedPiece && piece && piece.color === this.position.currentPlayer) {
             this.selectedPiece = { row, col, piece };
             this.highlightValidMoves(row, col);
             return;
@@ -200,22 +734,11 @@ class ChessGame {
                 return;
             }
             
-            // If clicking on a valid move square, move the piece
-            if (this.isValidMove(this.selectedPiece.row, this.selectedPiece.col, row, col)) {
-                this.movePiece(this.selectedPiece.row, this.selectedPiece.col, row, col);
-                this.selectedPiece = null;
-                this.removeHighlights();
-                
-                // If playing against AI, make AI move
-                if (this.gameMode === 'computer' && !this.gameOver) {
-                    setTimeout(() => this.makeAIMove(), 500);
-                }
-                
-                return;
-            }
+            // If clicking on a legal move square, move the piece
+            if (this.tryHumanMove(row, col)) return;
             
             // If clicking on another of own pieces, select that instead
-            if (piece && piece.color === this.currentPlayer) {
+            if (piece && piece.color === this.position.currentPlayer) {
                 this.selectedPiece = { row, col, piece };
                 this.removeHighlights();
                 this.highlightValidMoves(row, col);
@@ -229,406 +752,1684 @@ class ChessGame {
     }
 
     /**
-     * Make a move for the AI
+     * Check whether the human player may move right now
+     * Not while browsing earlier positions, after the game ends, while choosing
+     * a promotion piece or during the AI's turn
+     * @returns {boolean} Whether a move can be made
      */
-    makeAIMove() {
-        document.getElementById('thinking').classList.remove('hidden');
-        
-        // Use setTimeout to allow UI to update before AI calculation
-        setTimeout(() => {
-            const aiColor = this.playerColor === 'white' ? 'black' : 'white';
-            const move = this.ai.getBestMove(this, aiColor);
-            
-            if (move) {
-                this.movePiece(move.fromRow, move.fromCol, move.toRow, move.toCol);
-            } else {
-                // No valid moves - game should be over
-                if (!this.gameOver) {
-                    this.gameOver = true;
-                    this.updateStatus('Game over: Stalemate');
-                }
-            }
-            
-            document.getElementById('thinking').classList.add('hidden');
-        }, 100);
+    canHumanMove() {
+        return this.viewPly === null && !this.gameOver && !this.pendingPromotion &&
+            !(this.gameMode === 'computer' && this.position.currentPlayer !== this.playerColor);
     }
 
     /**
-     * Undo the last move (or last two moves in computer mode)
+     * Move the selected piece to a square if that is legal
+     * @param {number} row - Target row
+     * @param {number} col - Target column
+     * @returns {boolean} Whether the move was played, or is waiting for a promotion choice
      */
-    undoMove() {
-        if (this.moveHistory.length === 0) return;
-        
-        // In computer mode, undo both player's and AI's moves
-        const movesToUndo = this.gameMode === 'computer' ? 2 : 1;
+    tryHumanMove(row, col) {
+        const { row: fromRow, col: fromCol, piece } = this.selectedPiece;
+        if (!this.position.isLegalMove(fromRow, fromCol, row, col)) return false;
         
-        for (let i = 0; i < movesToUndo; i++) {
-            if (this.moveHistory.length === 0) break;
-            
-            const lastMove = this.moveHistory.pop();
-            
-            // Restore the moved piece
-            this.board[lastMove.fromRow][lastMove.fromCol] = lastMove.piece;
-            
-            // Restore the captured piece (if any)
-            this.board[lastMove.toRow][lastMove.toCol] = lastMove.capturedPiece;
-            
-            // Switch back to previous player
-            this.currentPlayer = this.currentPlayer === 'white' ? 'black' : 'white';
+        // Let the player choose the piece when a pawn reaches the last rank
+        if (piece.type === 'pawn' && (row === 0 || row === 7)) {
+            this.showPromotionDialog(this.position.currentPlayer, (promotion) => {
+                this.completeHumanMove(fromRow, fromCol, row, col, promotion);
+            });
+            return true;
         }
         
-        // Reset game state
-        this.gameOver = false;
-        this.selectedPiece = null;
-        
-        // Update UI
-        this.updateStatus(`${this.currentPlayer.charAt(0).toUpperCase() + this.currentPlayer.slice(1)}'s turn`);
-        this.renderBoard();
-        
-        // Disable undo button if no more moves
-        document.getElementById('undo').disabled = this.moveHistory.length === 0;
+        this.completeHumanMove(fromRow, fromCol, row, col);
+        return true;
     }
 
     /**
-     * Highlight valid moves for a selected piece
-     * @param {number} row - Row index of selected piece
-     * @param {number} col - Column index of selected piece
+     * Get the board square under a pointer position
+     * @param {number} x - Client x coordinate
+     * @param {number} y - Client y coordinate
+     * @returns {Object|null} {row, col}, or null if the point is off the board
      */
-    highlightValidMoves(row, col) {
-        this.removeHighlights();
-        
-        // Highlight the selected piece
-        const selectedSquare = document.querySelector(`[data-row="${row}"][data-col="${col}"]`);
-        selectedSquare.classList.add('highlight');
-        
-        // Highlight valid moves
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
-                if (this.isValidMove(row, col, r, c)) {
-                    // Check if move would leave king in check
-                    const piece = this.board[row][col];
-                    const originalTarget = this.board[r][c];
-                    
-                    // Try the move
-                    this.board[r][c] = piece;
-                    this.board[row][col] = null;
-                    
-                    const kingInCheck = this.isKingInCheck(piece.color);
-                    
-                    // Undo the move
-                    this.board[row][col] = piece;
-                    this.board[r][c] = originalTarget;
-                    
-                    // Only highlight legal moves that don't leave king in check
-                    if (!kingInCheck) {
-                        const square = document.querySelector(`[data-row="${r}"][data-col="${c}"]`);
-                        square.classList.add('highlight');
-                    }
-                }
-            }
-        }
+    squareAt(x, y) {
+        const element = document.elementFromPoint(x, y);
+        const square = element && element.closest('#board .square');
+        return square ? { row: Number(square.dataset.row), col: Number(square.dataset.col) } : null;
     }
 
     /**
-     * Remove all highlights from the board
+     * Get ready to drag the player's own piece
+     * The drag only starts once the pointer moves, so a plain click still selects
+     * @param {PointerEvent} e - The pointerdown event
      */
-    removeHighlights() {
-        const squares = document.querySelectorAll('.square');
-        squares.forEach(square => {
-            square.classList.remove('highlight');
-            square.classList.remove('check');
-        });
+    handlePointerDown(e) {
+        this.suppressClick = false;
+        
+        // A press that never became a drag may have been released off the board
+        if (this.drag && !this.drag.ghost) {
+            this.drag = null;
+        }
+        if (this.drag || e.button !== 0 || !this.canHumanMove()) return;
+        
+        const square = e.target.closest('.square');
+        if (!square) return;
+        
+        const row = Number(square.dataset.row);
+        const col = Number(square.dataset.col);
+        const piece = this.position.board[row][col];
+        if (!piece || piece.color !== this.position.currentPlayer) return;
+        
+        this.drag = { row, col, pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, ghost: null };
     }
 
     /**
-     * Check if a move is valid
-     * @param {number} fromRow - Starting row
-     * @param {number} fromCol - Starting column
-     * @param {number} toRow - Target row
-     * @param {number} toCol - Target column
-     * @returns {boolean} Whether the move is valid
+     * Make the dragged piece follow the pointer
+     * @param {PointerEvent} e - The pointermove event
      */
-    isValidMove(fromRow, fromCol, toRow, toCol) {
-        const piece = this.board[fromRow][fromCol];
-        if (!piece) return false;
+    handlePointerMove(e) {
+        const drag = this.drag;
+        if (!drag || e.pointerId !== drag.pointerId) return;
         
-        // Can't move to a square with own piece
-        const targetPiece = this.board[toRow][toCol];
-        if (targetPiece && targetPiece.color === piece.color) return false;
-        
-        // Check specific piece movement rules
-        switch (piece.type) {
-            case 'pawn':
-                return this.isValidPawnMove(fromRow, fromCol, toRow, toCol);
-            case 'rook':
-                return this.isValidRookMove(fromRow, fromCol, toRow, toCol);
-            case 'knight':
-                return this.isValidKnightMove(fromRow, fromCol, toRow, toCol);
-            case 'bishop':
-                return this.isValidBishopMove(fromRow, fromCol, toRow, toCol);
-            case 'queen':
-                return this.isValidQueenMove(fromRow, fromCol, toRow, toCol);
-            case 'king':
-                return this.isValidKingMove(fromRow, fromCol, toRow, toCol);
-            default:
-                return false;
+        // Ignore the small jitter of an ordinary click
+        if (!drag.ghost) {
+            if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < 5) return;
+            
+            const piece = this.position.board[drag.row][drag.col];
+            this.selectedPiece = { row: drag.row, col: drag.col, piece };
+            this.highlightValidMoves(drag.row, drag.col);
+            
+            drag.ghost = document.createElement('div');
+            drag.ghost.className = 'drag-piece';
+            drag.ghost.textContent = PIECES[piece.color][piece.type];
+            document.body.appendChild(drag.ghost);
+            this.getSquareElement(drag.row, drag.col).classList.add('drag-source');
+            
+            // Keep getting events even when the pointer leaves the board. Only a real drag
+            // captures the pointer, as capturing sends a plain click to the board instead
+            // of the square that was clicked.
+            e.currentTarget.setPointerCapture(e.pointerId);
         }
+        
+        drag.ghost.style.left = `${e.clientX}px`;
+        drag.ghost.style.top = `${e.clientY}px`;
     }
 
     /**
-     * Check if a pawn move is valid
+     * Drop the dragged piece, playing the move if it is legal
+     * An illegal drop puts the piece back where it came from
+     * @param {PointerEvent} e - The pointerup event
      */
-    isValidPawnMove(fromRow, fromCol, toRow, toCol) {
-        const piece = this.board[fromRow][fromCol];
-        const direction = piece.color === 'white' ? -1 : 1;
+    handlePointerUp(e) {
+        const drag = this.drag;
+        if (!drag || e.pointerId !== drag.pointerId) return;
         
-        // Moving forward one square
-        if (fromCol === toCol && toRow === fromRow + direction && !this.board[toRow][toCol]) {
-            return true;
+        // A click without a drag is left to handleSquareClick()
+        if (!drag.ghost) {
+            this.drag = null;
+            return;
         }
         
-        // Moving forward two squares from starting position
-        const startRow = piece.color === 'white' ? 6 : 1;
-        if (fromCol === toCol && fromRow === startRow && toRow === fromRow + 2 * direction && 
-            !this.board[fromRow + direction][fromCol] && !this.board[toRow][toCol]) {
-            return true;
-        }
+        this.suppressClick = true;
+        const target = this.squareAt(e.clientX, e.clientY);
+        this.cancelDrag();
         
-        // Capturing diagonally
-        if (Math.abs(fromCol - toCol) === 1 && toRow === fromRow + direction && 
-            this.board[toRow][toCol] && this.board[toRow][toCol].color !== piece.color) {
-            return true;
-        }
+        // Dropping the piece back on its own square leaves it selected
+        if (target && target.row === drag.row && target.col === drag.col) return;
         
-        return false;
+        if (!target || !this.tryHumanMove(target.row, target.col)) {
+            this.selectedPiece = null;
+            this.removeHighlights();
+        }
     }
 
     /**
-     * Check if a rook move is valid
+     * Stop dragging and put the piece back on its square
      */
-    isValidRookMove(fromRow, fromCol, toRow, toCol) {
-        // Rook moves horizontally or vertically
-        if (fromRow !== toRow && fromCol !== toCol) return false;
+    cancelDrag() {
+        if (!this.drag) return;
         
-        // Check if path is clear
-        if (fromRow === toRow) {
-            // Horizontal move
-            const start = Math.min(fromCol, toCol);
-            const end = Math.max(fromCol, toCol);
-            for (let c = start + 1; c < end; c++) {
-                if (this.board[fromRow][c]) return false;
-            }
-        } else {
-            // Vertical move
-            const start = Math.min(fromRow, toRow);
-            const end = Math.max(fromRow, toRow);
-            for (let r = start + 1; r < end; r++) {
-                if (this.board[r][fromCol]) return false;
-            }
+        if (this.drag.ghost) {
+            this.drag.ghost.remove();
+            const source = this.getSquareElement(this.drag.row, this.drag.col);
+            if (source) source.classList.remove('drag-source');
         }
-        
-        return true;
+        this.drag = null;
     }
 
     /**
-     * Check if a knight move is valid
+     * Describe a square for screen readers, e.g. 'e4, white knight'
+     * @param {ChessPosition} position - Position the square is in
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {string} Square name and its contents
      */
-    isValidKnightMove(fromRow, fromCol, toRow, toCol) {
-        // Knight moves in L-shape: 2 squares in one direction and 1 in perpendicular
-        const rowDiff = Math.abs(fromRow - toRow);
-        const colDiff = Math.abs(fromCol - toCol);
-        
-        return (rowDiff === 2 && colDiff === 1) || (rowDiff === 1 && colDiff === 2);
+    describeSquare(position, row, col) {
+        const piece = position.board[row][col];
+        return `${ChessPosition.squareName(row, col)}, ${piece ? `${piece.color} ${piece.type}` : 'empty'}`;
     }
 
     /**
-     * Check if a bishop move is valid
+     * Label a drawn square for screen readers, adding any hint or threat marks
+     * @param {ChessPosition} position - Position the square is in
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {string} Square description, e.g. 'e4, white knight, under threat'
      */
-    isValidBishopMove(fromRow, fromCol, toRow, toCol) {
-        // Bishop moves diagonally
-        const rowDiff = Math.abs(fromRow - toRow);
-        const colDiff = Math.abs(fromCol - toCol);
-        
-        if (rowDiff !== colDiff) return false;
-        
-        // Check if path is clear
-        const rowDirection = toRow > fromRow ? 1 : -1;
-        const colDirection = toCol > fromCol ? 1 : -1;
-        
-        for (let i = 1; i < rowDiff; i++) {
-            if (this.board[fromRow + i * rowDirection][fromCol + i * colDirection]) {
-                return false;
-            }
+    labelSquare(position, row, col) {
+        const label = this.describeSquare(position, row, col);
+        const mark = this.boardMarks.get(`${row},${col}`);
+        return mark ? `${label}, ${mark.notes.join(', ')}` : label;
+    }
+
+    /**
+     * Get the square that has, or would get, keyboard focus
+     * Before the board is first focused this is the square at the bottom left of the screen
+     * @returns {Object} {row, col}
+     */
+    getFocusedSquare() {
+        if (this.focusedSquare) return this.focusedSquare;
+        return this.boardFlipped ? { row: 0, col: 7 } : { row: 7, col: 0 };
+    }
+
+    /**
+     * Make a square the one reached by tabbing to the board
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     */
+    setFocusedSquare(row, col) {
+        this.focusedSquare = { row, col };
+        document.querySelectorAll('#board .square').forEach(square => {
+            square.tabIndex = Number(square.dataset.row) === row && Number(square.dataset.col) === col ? 0 : -1;
+        });
+    }
+
+    /**
+     * Handle a key pressed on a board square
+     * Arrow keys move in screen directions, so they run the other way while the board is flipped
+     * @param {KeyboardEvent} e - Key event
+     */
+    handleBoardKey(e) {
+        const square = e.target.closest('.square');
+        if (!square) return;
+        
+        const row = Number(square.dataset.row);
+        const col = Number(square.dataset.col);
+        const direction = this.boardFlipped ? -1 : 1;
+        const steps = {
+            'ArrowUp': [-1, 0],
+            'ArrowDown': [1, 0],
+            'ArrowLeft': [0, -1],
+            'ArrowRight': [0, 1]
+        };
+        
+        if (steps[e.key]) {
+            const [rowStep, colStep] = steps[e.key];
+            const target = this.getSquareElement(
+                Math.max(0, Math.min(7, row + rowStep * direction)),
+                Math.max(0, Math.min(7, col + colStep * direction))
+            );
+            target.focus();
+        } else if (e.key === 'Enter' || e.key === ' ') {
+            this.handleSquareClick(row, col);
+        } else {
+            return;
+        }
+        e.preventDefault();
+    }
+
+    /**
+     * Play a move typed in algebraic notation, such as 'Nf3', 'exd5', 'O-O' or 'e7e8=Q'
+     * @param {string} text - The typed move
+     * @returns {boolean} Whether the move was played
+     */
+    playTypedMove(text) {
+        let problem = null;
+        if (this.viewPly !== null) {
+            problem = 'Viewing an earlier position - go to the last move to continue playing';
+        } else if (this.gameOver) {
+            problem = 'The game is over';
+        } else if (!this.canHumanMove()) {
+            problem = 'Wait for your turn';
+        }
+        
+        let move = null;
+        if (!problem) {
+            try {
+                move = this.position.moveFromSAN(text);
+            } catch (error) {
+                problem = error.message;
+            }
+        }
+        
+        if (problem) {
+            this.updateStatus(problem);
+            this.announce(problem);
+            return false;
+        }
+        
+        this.completeHumanMove(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
+        return true;
+    }
+
+    /**
+     * Get the element for a board square
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {HTMLElement|null} The square element
+     */
+    getSquareElement(row, col) {
+        return document.querySelector(`#board [data-row="${row}"][data-col="${col}"]`);
+    }
+
+    /**
+     * Play a move chosen by the human player and hand over to the AI if needed
+     * @param {number} fromRow - Starting row
+     * @param {number} fromCol - Starting column
+     * @param {number} toRow - Target row
+     * @param {number} toCol - Target column
+     * @param {string} [promotion] - Piece type a pawn promotes to
+     */
+    completeHumanMove(fromRow, fromCol, toRow, toCol, promotion) {
+        this.movePiece(fromRow, fromCol, toRow, toCol, promotion);
+        this.selectedPiece = null;
+        this.removeHighlights();
+        
+        // If playing against AI, make AI move
+        if (this.gameMode === 'computer' && !this.gameOver) {
+            setTimeout(() => this.makeAIMove(), 500);
+        }
+    }
+
+    /**
+     * Show the promotion dialog and wait for the player's choice
+     * @param {string} color - Color of the promoting pawn
+     * @param {Function} onSelect - Called with the chosen piece type
+     */
+    showPromotionDialog(color, onSelect) {
+        const dialog = document.getElementById('promotion-dialog');
+        const choices = document.getElementById('promotion-choices');
+        choices.innerHTML = '';
+        
+        // Keyboard users choose in the dialog, then go back to the board
+        const fromBoard = document.getElementById('board').contains(document.activeElement);
+        
+        for (const type of PROMOTION_PIECES) {
+            const button = document.createElement('button');
+            button.textContent = PIECES[color][type];
+            button.title = type.charAt(0).toUpperCase() + type.slice(1);
+            button.setAttribute('aria-label', `Promote to ${type}`);
+            button.addEventListener('click', () => {
+                this.hidePromotionDialog();
+                onSelect(type);
+                if (fromBoard) {
+                    const focus = this.getFocusedSquare();
+                    this.getSquareElement(focus.row, focus.col).focus();
+                }
+            });
+            choices.appendChild(button);
+        }
+        
+        this.pendingPromotion = true;
+        dialog.classList.remove('hidden');
+        if (fromBoard) {
+            choices.firstChild.focus();
+        }
+    }
+
+    /**
+     * Hide the promotion dialog without making a move
+     */
+    hidePromotionDialog() {
+        this.pendingPromotion = false;
+        document.getElementById('promotion-dialog').classList.add('hidden');
+    }
+
+    /**
+     * Start a new game from a FEN string
+     * An invalid FEN leaves the current game untouched and reports the error
+     * @param {string} fen - Forsyth-Edwards Notation of the position
+     */
+    loadFEN(fen) {
+        let position;
+        try {
+            position = ChessPosition.fromFEN(fen);
+        } catch (error) {
+            this.updateStatus(`Invalid FEN: ${error.message}`);
+            return;
+        }
+        
+        this.startGame(position);
+    }
+
+    /**
+     * Copy the FEN of the current position to the clipboard
+     * The FEN is also placed in the FEN input, selected, in case clipboard access is denied
+     */
+    copyFEN() {
+        const fen = this.position.toFEN();
+        const input = document.getElementById('fen-input');
+        input.value = fen;
+        input.select();
+        
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(fen).catch(() => {
+                // Clipboard access denied - the selected input still lets the user copy it
+            });
+        }
+    }
+
+    /**
+     * Download the game so far as a PGN file
+     */
+    exportPGN() {
+        this.downloadPGN(this.position.toPGN(this.getPGNTags()), `minimal-chess-${new Date().toISOString().slice(0, 10)}.pgn`);
+    }
+
+    /**
+     * Get the PGN tags describing the players, clock, result, opening and hints of the current game
+     * @returns {Object} Tags for ChessPosition.toPGN()
+     */
+    getPGNTags() {
+        const names = { 'white': '?', 'black': '?' };
+        if (this.gameMode === 'computer') {
+            const aiColor = this.playerColor === 'white' ? 'black' : 'white';
+            names[this.playerColor] = 'Player';
+            names[aiColor] = `Computer (${this.difficulty})`;
+        }
+        
+        const tags = { White: names.white, Black: names.black };
+        if (this.timeControl) {
+            Object.assign(tags, ChessClock.toPGNTags(this.timeControl));
+        }
+        if (this.timeoutResult) {
+            const { winner } = this.timeoutResult;
+            tags.Result = winner === 'white' ? '1-0' : winner === 'black' ? '0-1' : '1/2-1/2';
+            tags.Termination = 'time forfeit';
+        }
+        const opening = OpeningBook.getDefault().getOpening(this.position);
+        if (opening) {
+            tags.ECO = opening.eco;
+            tags.Opening = opening.name;
+        }
+        for (const color of ['white', 'black']) {
+            if (this.hintsUsed[color] > 0) {
+                tags[`${color === 'white' ? 'White' : 'Black'}Hints`] = String(this.hintsUsed[color]);
+            }
+        }
+        
+        return tags;
+    }
+
+    /**
+     * Save PGN text as a file
+     * @param {string} pgn - Portable Game Notation text
+     * @param {string} filename - Name to save the file as
+     */
+    downloadPGN(pgn, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([pgn], { type: 'application/x-chess-pgn' }));
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    /**
+     * Replay a game from PGN text
+     * An unreadable or illegal game leaves the current game untouched and reports the error
+     * @param {string} pgn - Portable Game Notation text
+     */
+    importPGN(pgn) {
+        let position;
+        try {
+            position = ChessPosition.fromPGN(pgn).position;
+        } catch (error) {
+            this.updateStatus(`Invalid PGN: ${error.message}`);
+            return;
+        }
+        
+        this.startGame(position);
+    }
+
+    /**
+     * Turn analysis of the displayed position on or off
+     */
+    toggleAnalysis() {
+        this.analysisEnabled = !this.analysisEnabled;
+        document.getElementById('toggle-analysis').setAttribute('aria-pressed', String(this.analysisEnabled));
+        document.getElementById('analysis-panel').classList.toggle('hidden', !this.analysisEnabled);
+        document.getElementById('eval-bar').classList.toggle('hidden', !this.analysisEnabled);
+        
+        if (this.analysisEnabled) {
+            this.updateAnalysis();
+        } else {
+            this.stopAnalysis();
+            this.analysisKey = null;
+        }
+    }
+
+    /**
+     * Analyze the displayed position if it isn't already being analyzed
+     * Called whenever the board is drawn, so analysis follows moves and browsing
+     */
+    updateAnalysis() {
+        if (!this.analysisEnabled) return;
+        
+        // The bar fills from White's side of the board
+        document.getElementById('eval-bar').classList.toggle('flipped', this.boardFlipped);
+        
+        const position = this.viewPosition || this.position;
+        const key = position.toFEN();
+        if (key === this.analysisKey) return;
+        
+        this.stopAnalysis();
+        this.analysisKey = key;
+        this.analysis = null;
+        
+        // A finished game has nothing to search
+        if (position.result()) {
+            this.renderAnalysis(position);
+            return;
+        }
+        
+        const analysisId = ++this.analysisId;
+        if (!this.analysisWorker && !this.analysisWorkerFailed) {
+            this.analysisWorker = this.createAnalysisWorker();
+        }
+        
+        if (this.analysisWorker) {
+            const job = {
+                type: 'analyze',
+                id: analysisId,
+                position: position.serialize(),
+                multiPV: this.multiPV,
+                timeLimit: ANALYSIS_TIME_LIMIT
+            };
+            this.analysisWorker.postMessage(job);
+            
+            // The worker takes the new position once it finishes its current depth, which
+            // can take a while deep into the last analysis; if it does, start afresh instead
+            this.analysisHandover = setTimeout(() => {
+                if (analysisId !== this.analysisId || this.analysis || !this.analysisWorker) return;
+                this.analysisWorker.terminate();
+                this.analysisWorker = this.createAnalysisWorker();
+                if (this.analysisWorker) {
+                    this.analysisWorker.postMessage(job);
+                } else {
+                    this.analysisKey = null;
+                    this.updateAnalysis();
+                }
+            }, ANALYSIS_HANDOVER_LIMIT);
+        } else {
+            // Without a worker, analyze briefly on the main thread after the board is drawn
+            setTimeout(() => {
+                if (analysisId !== this.analysisId) return;
+                this.handleAnalysisMessage({
+                    type: 'analysis',
+                    id: analysisId,
+                    analysis: new ChessAI().analyze(position, { multiPV: this.multiPV, timeLimit: ANALYSIS_FALLBACK_TIME_LIMIT })
+                });
+            }, 100);
+        }
+        this.renderAnalysis(position);
+    }
+
+    /**
+     * Abandon the running analysis so its results are never shown
+     * The worker is kept: it drops the old position for the next one it is sent
+     */
+    stopAnalysis() {
+        this.analysisId++;
+        clearTimeout(this.analysisHandover);
+    }
+
+    /**
+     * Create the worker the analysis runs in
+     * @returns {Worker|null} The worker, or null if workers are unavailable
+     */
+    createAnalysisWorker() {
+        const worker = this.createSearchWorker((data) => this.handleAnalysisMessage(data), () => {
+            // The worker failed to load or crashed - analyze on the main thread from now on
+            this.analysisWorker = null;
+            this.analysisWorkerFailed = true;
+            this.analysisKey = null;
+            this.updateAnalysis();
+        });
+        this.analysisWorkerFailed = !worker;
+        return worker;
+    }
+
+    /**
+     * Create a worker for a search that runs alongside the game, such as analysis or a review
+     * @param {Function} onMessage - Called with the data of each message from the worker
+     * @param {Function} onError - Called once the worker has been shut down after failing to load or crashing
+     * @returns {Worker|null} The worker, or null if workers are unavailable
+     */
+    createSearchWorker(onMessage, onError) {
+        if (typeof Worker === 'undefined') return null;
+        
+        let worker;
+        try {
+            worker = new Worker('chess-worker.js');
+        } catch (error) {
+            return null;
+        }
+        
+        this.relayTableRequests(worker, onMessage);
+        worker.onerror = () => {
+            worker.terminate();
+            onError();
+        };
+        
+        return worker;
+    }
+
+    /**
+     * Pass a search worker's messages on, answering its requests for endgame tables
+     * @param {Worker} worker - Newly created search worker
+     * @param {Function} onMessage - Called with the data of every other message from the worker
+     */
+    relayTableRequests(worker, onMessage) {
+        worker.onmessage = (e) => {
+            if (e.data.type === 'table-wanted') {
+                this.requestEndgameTable(worker, e.data.tableType);
+                return;
+            }
+            onMessage(e.data);
+        };
+    }
+
+    /**
+     * Have the table worker generate an endgame table for a search worker
+     * The table worker keeps every table it generates, so each is generated once per page;
+     * the search worker gets its own copy, moved to it rather than kept by the page
+     * @param {Worker} worker - Search worker that wants the table
+     * @param {string} tableType - Table type, as for EndgameTables.getTable()
+     */
+    requestEndgameTable(worker, tableType) {
+        if (!this.tableWorker) {
+            try {
+                this.tableWorker = new Worker('chess-worker.js');
+            } catch (error) {
+                return;
+            }
+            
+            this.tableWorker.onmessage = (e) => {
+                const { id, tableType: type, table } = e.data;
+                const requester = this.tableRequests.get(id);
+                this.tableRequests.delete(id);
+                if (requester) {
+                    requester.postMessage({ type: 'table', tableType: type, table }, [table.results.buffer, table.plies.buffer]);
+                }
+            };
+            this.tableWorker.onerror = () => {
+                // Searches simply go on without the tables they asked for
+                this.tableWorker.terminate();
+                this.tableWorker = null;
+                this.tableRequests.clear();
+            };
+        }
+        
+        const id = ++this.tableRequestId;
+        this.tableRequests.set(id, worker);
+        this.tableWorker.postMessage({ type: 'build-table', id, tableType });
+    }
+
+    /**
+     * Handle an update from the analysis worker
+     * @param {Object} data - Message {type: 'analysis' | 'analysis-done', id, analysis?}
+     */
+    handleAnalysisMessage(data) {
+        if (data.id !== this.analysisId || data.type !== 'analysis') return;
+        
+        this.analysis = data.analysis;
+        this.renderAnalysis(this.viewPosition || this.position);
+    }
+
+    /**
+     * Show the latest analysis: the evaluation bar, the search depth and the candidate lines
+     * @param {ChessPosition} position - The analyzed position
+     */
+    renderAnalysis(position) {
+        const summary = document.getElementById('analysis-summary');
+        const list = document.getElementById('analysis-lines');
+        const fill = document.getElementById('eval-fill');
+        list.innerHTML = '';
+        
+        const result = position.result();
+        if (result) {
+            const share = result.winner === 'white' ? 100 : result.winner === 'black' ? 0 : 50;
+            fill.style.height = `${share}%`;
+            summary.textContent = result.reason === 'checkmate' ? 'Checkmate' : `Draw by ${result.reason}`;
+            return;
+        }
+        
+        if (!this.analysis) {
+            fill.style.height = '50%';
+            summary.textContent = 'Analyzing...';
+            return;
+        }
+        
+        const [best] = this.analysis.lines;
+        fill.style.height = `${this.getWhiteShare(best) * 100}%`;
+        if (this.analysis.tablebase) {
+            const winner = best.mate > 0 ? 'White' : 'Black';
+            summary.textContent = best.mate === null ? 'Endgame table: Draw' : `Endgame table: Mate in ${Math.abs(best.mate)} for ${winner}`;
+        } else {
+            summary.textContent = `Depth ${this.analysis.depth}: ${this.formatScore(best)}`;
+        }
+        
+        for (const line of this.analysis.lines) {
+            const item = document.createElement('li');
+            const score = document.createElement('span');
+            score.className = 'analysis-score';
+            score.textContent = this.formatScore(line);
+            const moves = document.createElement('span');
+            moves.textContent = this.formatLine(position, line.pv);
+            item.append(score, moves);
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Turn an analysis score into how much of the evaluation bar is White's
+     * @param {Object} line - Analysis line {score, mate}, from White's side
+     * @returns {number} Share between 0 and 1, a half for an equal position
+     */
+    getWhiteShare({ score, mate }) {
+        if (mate !== null) return mate > 0 ? 1 : 0;
+        
+        // Flattens out as the advantage grows, so a piece up is already most of the bar
+        return 1 / (1 + Math.exp(-score / 250));
+    }
+
+    /**
+     * Format an analysis score in pawns, e.g. '+0.35', or as a mate, e.g. '#3' or '#-2'
+     * @param {Object} line - Analysis line {score, mate}, from White's side
+     * @returns {string} Formatted score
+     */
+    formatScore({ score, mate }) {
+        if (mate !== null) return `#${mate}`;
+        
+        const pawns = (score / 100).toFixed(2);
+        return score > 0 ? `+${pawns}` : pawns;
+    }
+
+    /**
+     * Write a line of moves in numbered algebraic notation, e.g. '12... Nf6 13. e5'
+     * @param {ChessPosition} position - Position the line starts from
+     * @param {Array} moves - Moves of the line
+     * @returns {string} The line, cut short at any move that isn't legal
+     */
+    formatLine(position, moves) {
+        const replay = ChessPosition.deserialize(position.serialize());
+        const tokens = [];
+        
+        for (const move of moves) {
+            let number = '';
+            if (replay.currentPlayer === 'white') {
+                number = `${replay.fullmoveNumber}.`;
+            } else if (tokens.length === 0) {
+                number = `${replay.fullmoveNumber}...`;
+            }
+            
+            // Lines built from the transposition table can, rarely, hold a move from another position
+            try {
+                const san = replay.toSAN(move);
+                replay.makeMove(move);
+                tokens.push(number ? `${number} ${san}` : san);
+            } catch (error) {
+                break;
+            }
+        }
+        
+        return tokens.join(' ');
+    }
+
+    /**
+     * Review every move of the game so far, searching it in the background
+     */
+    reviewGame() {
+        if (this.position.moveHistory.length === 0) {
+            this.updateStatus('There are no moves to review yet');
+            return;
+        }
+        
+        this.cancelReview();
+        const reviewId = ++this.reviewId;
+        const position = this.position;
+        this.reviewedPosition = position;
+        
+        document.getElementById('review-panel').classList.remove('hidden');
+        document.getElementById('review-summary').classList.add('hidden');
+        document.getElementById('review-graph').classList.add('hidden');
+        document.getElementById('review-moves').innerHTML = '';
+        document.getElementById('review-status').textContent = 'Reviewing the game...';
+        
+        // Without a worker the review blocks the page, so it searches each position only briefly
+        const reviewOnMainThread = () => {
+            setTimeout(() => {
+                if (reviewId !== this.reviewId) return;
+                const reviewer = new GameReview(new ChessAI(), { timePerPosition: REVIEW_FALLBACK_TIME_PER_POSITION });
+                this.handleReviewMessage({ type: 'review', id: reviewId, review: reviewer.review(position) });
+            }, 100);
+        };
+        
+        this.reviewWorker = this.createSearchWorker((data) => this.handleReviewMessage(data), () => {
+            this.reviewWorker = null;
+            if (reviewId === this.reviewId) reviewOnMainThread();
+        });
+        if (this.reviewWorker) {
+            this.reviewWorker.postMessage({ type: 'review', id: reviewId, position: position.serialize() });
+        } else {
+            reviewOnMainThread();
+        }
+    }
+
+    /**
+     * Stop any review in progress and close the review panel
+     */
+    cancelReview() {
+        this.reviewId++;
+        this.reviewedPosition = null;
+        document.getElementById('review-panel').classList.add('hidden');
+        
+        if (this.reviewWorker) {
+            this.reviewWorker.terminate();
+            this.reviewWorker = null;
+        }
+    }
+
+    /**
+     * Handle progress or the finished review from the review worker
+     * @param {Object} data - Message {type: 'review-progress' | 'review', id, ...}
+     */
+    handleReviewMessage(data) {
+        if (data.id !== this.reviewId) return;
+        
+        if (data.type === 'review-progress') {
+            document.getElementById('review-status').textContent = `Reviewing position ${data.done} of ${data.total}...`;
+            return;
+        }
+        
+        if (this.reviewWorker) {
+            this.reviewWorker.terminate();
+            this.reviewWorker = null;
+        }
+        this.renderReview(data.review);
+    }
+
+    /**
+     * Show a finished review: accuracy for each side, the evaluation graph and every move's label
+     * @param {Object} review - Review from GameReview
+     */
+    renderReview(review) {
+        document.getElementById('review-status').textContent = 'Click a move or the graph to see the position';
+        
+        const table = document.getElementById('review-summary');
+        const body = table.querySelector('tbody');
+        body.innerHTML = '';
+        for (const color of ['white', 'black']) {
+            const { accuracy, averageLoss, inaccuracy, mistake, blunder } = review.summary[color];
+            this.appendTableRow(body, [
+                color.charAt(0).toUpperCase() + color.slice(1),
+                accuracy === null ? '-' : `${accuracy.toFixed(1)}%`,
+                averageLoss === null ? '-' : Math.round(averageLoss),
+                inaccuracy,
+                mistake,
+                blunder
+            ]);
+        }
+        table.classList.remove('hidden');
+        
+        this.renderReviewGraph(review);
+        
+        // Number the moves as in the move list; mistakes also show the engine's choice
+        const list = document.getElementById('review-moves');
+        list.innerHTML = '';
+        const start = this.reviewedPosition.positionAt(0);
+        for (const move of review.moves) {
+            const slot = move.ply + (start.currentPlayer === 'black' ? 1 : 0);
+            const number = `${start.fullmoveNumber + Math.floor(slot / 2)}${slot % 2 === 0 ? '.' : '...'}`;
+            const item = document.createElement('li');
+            item.className = `review-${move.label}`;
+            item.textContent = `${number} ${move.san}: ${move.label}`;
+            if (move.label === 'inaccuracy' || move.label === 'mistake' || move.label === 'blunder') {
+                item.textContent += ` (lost ${(move.loss / 100).toFixed(2)} pawns)`;
+                if (move.bestSan) item.textContent += `, best was ${move.bestSan}`;
+            }
+            item.addEventListener('click', () => this.goToReviewedPly(move.ply + 1));
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Draw the evaluation after every move as a line, with White's advantage upwards
+     * Mistakes and blunders are marked on the line
+     * @param {Object} review - Review from GameReview
+     */
+    renderReviewGraph({ evaluations, moves }) {
+        const svg = document.getElementById('review-graph');
+        const namespace = 'http://www.w3.org/2000/svg';
+        const width = 600;
+        const height = 120;
+        svg.innerHTML = '';
+        
+        // Scale the graph to the biggest advantage in the game
+        const maxScore = Math.max(...evaluations.map(Math.abs), 1);
+        const x = ply => (evaluations.length > 1 ? ply / (evaluations.length - 1) * width : width / 2);
+        const y = score => height / 2 - score / maxScore * (height / 2 - 5);
+        
+        const midline = document.createElementNS(namespace, 'line');
+        midline.setAttribute('x1', 0);
+        midline.setAttribute('x2', width);
+        midline.setAttribute('y1', height / 2);
+        midline.setAttribute('y2', height / 2);
+        midline.setAttribute('class', 'review-midline');
+        svg.appendChild(midline);
+        
+        const line = document.createElementNS(namespace, 'polyline');
+        line.setAttribute('points', evaluations.map((score, ply) => `${x(ply)},${y(score)}`).join(' '));
+        line.setAttribute('class', 'review-line');
+        svg.appendChild(line);
+        
+        for (const move of moves) {
+            if (move.label !== 'mistake' && move.label !== 'blunder') continue;
+            
+            const marker = document.createElementNS(namespace, 'circle');
+            marker.setAttribute('cx', x(move.ply + 1));
+            marker.setAttribute('cy', y(move.after));
+            marker.setAttribute('r', 4);
+            marker.setAttribute('class', `review-${move.label}`);
+            svg.appendChild(marker);
+        }
+        
+        svg.classList.remove('hidden');
+    }
+
+    /**
+     * Show a position from the reviewed game, if it is still the game on the board
+     * @param {number} ply - Number of moves played in the position to show
+     */
+    goToReviewedPly(ply) {
+        if (this.reviewedPosition === this.position) {
+            this.goToPly(ply);
+        }
+    }
+
+    /**
+     * Suggest a move for the player to move: the first press marks the piece to
+     * move, the next marks where it goes
+     * Each step shown counts as a hint used by that player
+     */
+    showHint() {
+        if (!this.canHumanMove()) {
+            this.updateStatus(this.gameOver ? 'The game is over' : 'Hints are only given on your own turn');
+            return;
+        }
+        
+        const ply = this.position.moveHistory.length;
+        if (this.hint && this.hint.ply === ply) {
+            // Still searching, or both steps have been shown already
+            if (this.hint.move && this.hint.revealed === 'piece') {
+                this.hint.revealed = 'move';
+                this.useHint();
+            }
+            return;
+        }
+        
+        this.cancelHint();
+        const hintId = ++this.hintId;
+        const position = this.position;
+        this.hint = { ply, move: null, revealed: null };
+        this.updateStatus('Looking for a good move...');
+        
+        // Without a worker the search blocks the page, so it gets less time
+        const searchOnMainThread = () => {
+            setTimeout(() => {
+                if (hintId !== this.hintId) return;
+                const analysis = new ChessAI().analyze(position, { timeLimit: HINT_FALLBACK_TIME_LIMIT });
+                this.handleHintMessage({ type: 'analysis-done', id: hintId, move: analysis ? analysis.lines[0].move : null });
+            }, 100);
+        };
+        
+        this.hintWorker = this.createSearchWorker((data) => this.handleHintMessage(data), () => {
+            this.hintWorker = null;
+            if (hintId === this.hintId) searchOnMainThread();
+        });
+        if (this.hintWorker) {
+            this.hintWorker.postMessage({ type: 'analyze', id: hintId, position: position.serialize(), multiPV: 1, timeLimit: HINT_TIME_LIMIT });
+        } else {
+            searchOnMainThread();
+        }
+    }
+
+    /**
+     * Handle an update from the hint search
+     * The search deepens until its time runs out, so each depth's move replaces the last
+     * @param {Object} data - Message {type: 'analysis' | 'analysis-done', id, analysis?, move?}
+     */
+    handleHintMessage(data) {
+        if (data.id !== this.hintId || !this.hint) return;
+        
+        if (data.type === 'analysis') {
+            this.hint.searched = data.analysis.lines[0].move;
+            return;
+        }
+        
+        if (this.hintWorker) {
+            this.hintWorker.terminate();
+            this.hintWorker = null;
+        }
+        
+        const move = data.move || this.hint.searched;
+        if (!move) {
+            // Replace the searching message, which would otherwise stay up
+            this.hint = null;
+            const message = 'No hint found for this position';
+            this.updateStatus(message);
+            this.announce(message);
+            return;
+        }
+        this.hint = { ply: this.hint.ply, move, revealed: 'piece' };
+        this.useHint();
+    }
+
+    /**
+     * Show and announce the hint's current step, counting the hint for the player
+     * to move when its first step is shown, so each hint counts once
+     */
+    useHint() {
+        const { move, revealed } = this.hint;
+        if (revealed === 'piece') {
+            this.hintsUsed[this.position.currentPlayer]++;
+            this.saveGame();
+        }
+        this.renderBoard();
+        
+        let message;
+        if (revealed === 'piece') {
+            const piece = this.position.board[move.fromRow][move.fromCol];
+            message = `Hint: move your ${piece.type} on ${ChessPosition.squareName(move.fromRow, move.fromCol)}. Press Hint again to see where`;
+        } else {
+            message = `Hint: ${this.position.toSAN(move)}`;
+        }
+        this.updateStatus(message);
+        this.announce(message);
+    }
+
+    /**
+     * Stop any hint search and clear the hint from the board
+     */
+    cancelHint() {
+        this.hintId++;
+        this.hint = null;
+        
+        if (this.hintWorker) {
+            this.hintWorker.terminate();
+            this.hintWorker = null;
+        }
+    }
+
+    /**
+     * Turn the threat display on or off
+     */
+    toggleThreats() {
+        this.showThreats = !this.showThreats;
+        document.getElementById('show-threats').setAttribute('aria-pressed', String(this.showThreats));
+        this.renderBoard();
+    }
+
+    /**
+     * Work out the hint and threat marks for the drawn position
+     * Hints belong to the live game, so they only show on it
+     * @param {ChessPosition} position - Position being drawn
+     * @returns {Map} {classes, notes} for each marked square, by 'row,col'
+     */
+    getBoardMarks(position) {
+        const marks = new Map();
+        const mark = (row, col, className, note) => {
+            const key = `${row},${col}`;
+            if (!marks.has(key)) marks.set(key, { classes: [], notes: [] });
+            marks.get(key).classes.push(className);
+            marks.get(key).notes.push(note);
+        };
+        
+        if (this.showThreats) {
+            const { threatened, attackers } = this.findThreats(position);
+            threatened.forEach(({ row, col }) => mark(row, col, 'threatened', 'under threat'));
+            attackers.forEach(({ row, col }) => mark(row, col, 'threat', 'threatening'));
         }
         
-        return true;
+        const hint = this.hint;
+        if (hint && hint.move && position === this.position && hint.ply === position.moveHistory.length) {
+            mark(hint.move.fromRow, hint.move.fromCol, 'hint', 'hint: move this piece');
+            if (hint.revealed === 'move') {
+                mark(hint.move.toRow, hint.move.toCol, 'hint', 'hint: move it here');
+            }
+        }
+        
+        return marks;
     }
 
     /**
-     * Check if a queen move is valid
+     * Find the pieces of the side to move that could be won, and the opponent pieces attacking them
+     * A piece is threatened when it is attacked and undefended, attacked by a cheaper
+     * piece, or attacked more times than it is defended. Kings are left to the check highlight.
+     * @param {ChessPosition} position - Position to look at
+     * @returns {Object} {threatened, attackers}, each an array of squares {row, col}
      */
-    isValidQueenMove(fromRow, fromCol, toRow, toCol) {
-        // Queen can move like a rook or bishop
-        return this.isValidRookMove(fromRow, fromCol, toRow, toCol) || 
-               this.isValidBishopMove(fromRow, fromCol, toRow, toCol);
+    findThreats(position) {
+        const color = position.currentPlayer;
+        const opponent = color === 'white' ? 'black' : 'white';
+        const threatened = [];
+        const attackers = new Map();
+        const value = ({ row, col }) => this.ai.getPieceValue(position.board[row][col].type);
+        
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = position.board[row][col];
+                if (!piece || piece.color !== color || piece.type === 'king') continue;
+                
+                const attacking = position.getAttackers(row, col, opponent);
+                if (attacking.length === 0) continue;
+                
+                const defenders = position.getAttackers(row, col, color);
+                const cheapest = Math.min(...attacking.map(value));
+                if (defenders.length === 0 || cheapest < value({ row, col }) || attacking.length > defenders.length) {
+                    threatened.push({ row, col });
+                    attacking.forEach(square => attackers.set(`${square.row},${square.col}`, square));
+                }
+            }
+        }
+        
+        return { threatened, attackers: [...attackers.values()] };
     }
 
     /**
-     * Check if a king move is valid
+     * Store the finished game in the archive
+     * Called again after an undo and a different finish, the game's archive entry is replaced
      */
-    isValidKingMove(fromRow, fromCol, toRow, toCol) {
-        // King moves one square in any direction
-        const rowDiff = Math.abs(fromRow - toRow);
-        const colDiff = Math.abs(fromCol - toCol);
+    archiveGame() {
+        let winner;
+        let termination;
+        if (this.timeoutResult) {
+            winner = this.timeoutResult.winner;
+            termination = 'time forfeit';
+        } else {
+            const result = this.position.result();
+            if (!result) return;
+            ({ winner, reason: termination } = result);
+        }
+        
+        const record = {
+            date: new Date().toISOString(),
+            mode: this.gameMode,
+            difficulty: this.gameMode === 'computer' ? this.difficulty : null,
+            playerColor: this.gameMode === 'computer' ? this.playerColor : null,
+            result: winner === 'white' ? '1-0' : winner === 'black' ? '0-1' : '1/2-1/2',
+            termination,
+            moves: this.position.getSANHistory(),
+            hints: { ...this.hintsUsed },
+            game: this.position.serialize(),
+            pgn: this.position.toPGN(this.getPGNTags())
+        };
+        if (this.archiveId !== null) {
+            record.id = this.archiveId;
+        }
         
-        return rowDiff <= 1 && colDiff <= 1;
+        const position = this.position;
+        this.archive.put(record).then(id => {
+            // A new game may have started while the archive was busy
+            if (this.position === position) {
+                this.archiveId = id;
+            }
+            if (!document.getElementById('archive-panel').classList.contains('hidden')) {
+                this.renderArchive();
+            }
+        }).catch(error => {
+            console.warn(`Could not archive the game: ${error.message}`);
+        });
     }
 
     /**
-     * Move a piece on the board
-     * @param {number} fromRow - Starting row
-     * @param {number} fromCol - Starting column
-     * @param {number} toRow - Target row
-     * @param {number} toCol - Target column
+     * Show or hide the archive of finished games
+     */
+    toggleArchive() {
+        const panel = document.getElementById('archive-panel');
+        panel.classList.toggle('hidden');
+        if (!panel.classList.contains('hidden')) {
+            this.renderArchive();
+        }
+    }
+
+    /**
+     * Fill the archive panel with the stats and the list of finished games
+     * @returns {Promise} Settles once the panel is drawn
      */
-    movePiece(fromRow, fromCol, toRow, toCol) {
-        const piece = this.board[fromRow][fromCol];
-        const capturedPiece = this.board[toRow][toCol];
-        
-        // Save move to history
-        this.moveHistory.push({
-            fromRow,
-            fromCol,
-            toRow,
-            toCol,
-            piece: { ...piece },
-            capturedPiece: capturedPiece ? { ...capturedPiece } : null
+    renderArchive() {
+        const message = document.getElementById('archive-message');
+        
+        return this.archive.getAll().then(records => {
+            message.textContent = records.length ? '' : 'No finished games yet';
+            this.renderArchiveStats(records);
+            this.renderArchiveGames(records);
+            document.getElementById('export-archive').disabled = records.length === 0;
+        }).catch(error => {
+            message.textContent = `The archive is unavailable: ${error.message}`;
+            document.getElementById('export-archive').disabled = true;
         });
+    }
+
+    /**
+     * Show the player's wins, draws and losses against each difficulty
+     * @param {Array} records - Archived games
+     */
+    renderArchiveStats(records) {
+        const stats = GameArchive.computeStats(records);
+        const table = document.getElementById('archive-stats');
+        const body = table.querySelector('tbody');
+        body.innerHTML = '';
         
-        // Enable undo button
-        document.getElementById('undo').disabled = false;
+        // List the difficulties in menu order, labelled as in the menu
+        const options = [...document.getElementById('difficulty').options].filter(option => stats[option.value]);
+        for (const option of options) {
+            const { win, draw, loss } = stats[option.value];
+            const score = Math.round((win + draw / 2) / (win + draw + loss) * 100);
+            this.appendTableRow(body, [option.textContent, win, draw, loss, `${score}%`]);
+        }
         
-        // Handle pawn promotion
-        if (piece.type === 'pawn' && (toRow === 0 || toRow === 7)) {
-            piece.type = 'queen'; // Auto-promote to queen for simplicity
+        table.classList.toggle('hidden', options.length === 0);
+    }
+
+    /**
+     * List the archived games, each with buttons to replay, export or delete it
+     * @param {Array} records - Archived games, newest first
+     */
+    renderArchiveGames(records) {
+        const table = document.getElementById('archive-games');
+        const body = table.querySelector('tbody');
+        body.innerHTML = '';
+        
+        for (const record of records) {
+            const colorName = color => color.charAt(0).toUpperCase() + color.slice(1);
+            const difficulty = document.querySelector(`#difficulty option[value="${record.difficulty}"]`);
+            const players = record.mode === 'computer'
+                ? `You (${colorName(record.playerColor)}) vs Computer (${difficulty ? difficulty.textContent : record.difficulty})`
+                : 'Human vs Human';
+            const outcome = GameArchive.getPlayerOutcome(record);
+            
+            // Against the computer only the player's hints count; games archived before hints show a dash
+            let hints = '-';
+            if (record.hints) {
+                hints = record.mode === 'computer' ? record.hints[record.playerColor] : record.hints.white + record.hints.black;
+            }
+            
+            const row = this.appendTableRow(body, [
+                new Date(record.date).toLocaleString(),
+                players,
+                outcome ? `${record.result} (${outcome})` : record.result,
+                record.termination,
+                Math.ceil(record.moves.length / 2),
+                hints
+            ]);
+            
+            const actions = document.createElement('td');
+            const buttons = {
+                'Replay': () => this.replayArchivedGame(record),
+                'Export': () => this.downloadPGN(record.pgn, `minimal-chess-${record.date.slice(0, 10)}.pgn`),
+                'Delete': () => this.deleteArchivedGame(record.id)
+            };
+            for (const [label, action] of Object.entries(buttons)) {
+                const button = document.createElement('button');
+                button.textContent = label;
+                button.addEventListener('click', action);
+                actions.appendChild(button);
+            }
+            row.appendChild(actions);
+        }
+        
+        table.classList.toggle('hidden', records.length === 0);
+    }
+
+    /**
+     * Add a row of text cells to a table body
+     * @param {HTMLElement} body - Table body
+     * @param {Array} cells - Cell contents
+     * @returns {HTMLElement} The new row
+     */
+    appendTableRow(body, cells) {
+        const row = document.createElement('tr');
+        for (const text of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        }
+        body.appendChild(row);
+        return row;
+    }
+
+    /**
+     * Load an archived game to step through with the move list
+     * The game is over, so no moves can be played in it
+     * @param {Object} record - Archived game
+     */
+    replayArchivedGame(record) {
+        let position;
+        try {
+            position = ChessPosition.deserialize(record.game);
+        } catch (error) {
+            this.updateStatus(`Can't replay this game: ${error.message}`);
+            return;
+        }
+        
+        this.startGame(position, { hints: record.hints, finished: true });
+        this.goToPly(0);
+        this.updateStatus(`Replaying the game of ${new Date(record.date).toLocaleDateString()}: ${record.result}, ${record.termination}`);
+    }
+
+    /**
+     * Remove a game from the archive
+     * @param {number} id - Archive id of the game
+     */
+    deleteArchivedGame(id) {
+        this.archive.delete(id).then(() => {
+            if (this.archiveId === id) {
+                this.archiveId = null;
+            }
+            this.renderArchive();
+        }).catch(error => {
+            document.getElementById('archive-message').textContent = `Could not delete the game: ${error.message}`;
+        });
+    }
+
+    /**
+     * Download every archived game as one PGN file
+     */
+    exportArchive() {
+        this.archive.getAll().then(records => {
+            if (records.length === 0) return;
+            
+            const pgn = records.reverse().map(record => record.pgn).join('\n');
+            this.downloadPGN(pgn, `minimal-chess-archive-${new Date().toISOString().slice(0, 10)}.pgn`);
+        }).catch(error => {
+            document.getElementById('archive-message').textContent = `Could not export the archive: ${error.message}`;
+        });
+    }
+
+    /**
+     * Create the worker that runs the AI search off the main thread
+     * @returns {Worker|null} The worker, or null if workers are unavailable
+     *     (for example when the page is opened from file:// in some browsers)
+     */
+    createWorker() {
+        if (typeof Worker === 'undefined') return null;
+        
+        let worker;
+        try {
+            worker = new Worker('chess-worker.js');
+        } catch (error) {
+            return null;
         }
         
-        // Move the piece
-        this.board[toRow][toCol] = piece;
-        this.board[fromRow][fromCol] = null;
+        this.relayTableRequests(worker, (data) => this.handleWorkerMessage(data));
+        worker.onerror = () => {
+            // The worker failed to load or crashed - fall back to searching on the main thread
+            worker.terminate();
+            this.worker = null;
+            if (this.aiThinking) {
+                this.cancelAIMove();
+                this.makeAIMove();
+            }
+        };
         
-        // Check for check/checkmate
-        this.currentPlayer = this.currentPlayer === 'white' ? 'black' : 'white';
-        const isCheck = this.isKingInCheck(this.currentPlayer);
-        const isCheckmate = isCheck && this.isCheckmate(this.currentPlayer);
+        return worker;
+    }
+
+    /**
+     * Make a move for the AI
+     */
+    makeAIMove() {
+        const aiColor = this.playerColor === 'white' ? 'black' : 'white';
         
-        // Update game state
-        if (isCheckmate) {
-            this.gameOver = true;
-            const winner = this.currentPlayer === 'white' ? 'Black' : 'White';
-            this.updateStatus(`Checkmate! ${winner} wins!`);
-        } else if (isCheck) {
-            this.updateStatus(`Check! ${this.currentPlayer.charAt(0).toUpperCase() + this.currentPlayer.slice(1)}'s turn`);
-        } else {
-            this.updateStatus(`${this.currentPlayer.charAt(0).toUpperCase() + this.currentPlayer.slice(1)}'s turn`);
+        // A delayed call may arrive after the game was reset or the mode changed
+        if (this.gameOver || this.aiThinking || this.gameMode !== 'computer' ||
+            this.position.currentPlayer !== aiColor) {
+            return;
         }
         
-        // Highlight king if in check
-        if (isCheck) {
-            this.highlightCheck(this.currentPlayer);
+        const searchId = ++this.searchId;
+        this.aiThinking = true;
+        this.bestMoveSoFar = null;
+        document.getElementById('thinking').classList.remove('hidden');
+        document.getElementById('stop-ai').classList.remove('hidden');
+        
+        // With a clock running, the search has to fit in the AI's share of its remaining time
+        const timeBudget = this.clock ? this.ai.allocateTime(this.clock.getRemaining(aiColor), this.clock.increment, this.clock.delay) : null;
+        
+        if (this.worker) {
+            this.worker.postMessage({
+                id: searchId,
+                position: this.position.serialize(),
+                difficulty: this.difficulty,
+                color: aiColor,
+                timeBudget
+            });
+            return;
         }
         
-        // Re-render the board
-        this.renderBoard();
+        // Use setTimeout to allow UI to update before AI calculation
+        setTimeout(() => {
+            if (searchId !== this.searchId) return;
+            this.ai.timeBudget = timeBudget;
+            this.finishAIMove(this.ai.getBestMove(this.position, aiColor));
+        }, 100);
     }
 
     /**
-     * Get the opponent's color
-     * @returns {string} Opponent's color ('white' or 'black')
+     * Handle a progress update or result from the AI worker
+     * @param {Object} data - Message {type: 'progress' | 'result', id, move}
      */
-    getOpponentColor() {
-        return this.currentPlayer === 'white' ? 'black' : 'white';
+    handleWorkerMessage(data) {
+        // Ignore results of searches cancelled by a reset, undo or "Move now"
+        if (data.id !== this.searchId || !this.aiThinking) return;
+        
+        if (data.type === 'progress') {
+            this.bestMoveSoFar = data.move;
+        } else {
+            this.finishAIMove(data.move);
+        }
     }
 
     /**
-     * Check if a king is in check
-     * @param {string} color - Color of the king to check
-     * @returns {boolean} Whether the king is in check
+     * Play the move the AI settled on and clear the thinking indicator
+     * @param {Object|null} move - The AI's move, or null if it has none
      */
-    isKingInCheck(color) {
-        // Find the king's position
-        let kingRow = -1;
-        let kingCol = -1;
+    finishAIMove(move) {
+        this.aiThinking = false;
+        document.getElementById('thinking').classList.add('hidden');
+        document.getElementById('stop-ai').classList.add('hidden');
         
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
-                const piece = this.board[row][col];
-                if (piece && piece.type === 'king' && piece.color === color) {
-                    kingRow = row;
-                    kingCol = col;
-                    break;
-                }
+        if (move) {
+            this.movePiece(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
+        } else {
+            // No valid moves - game should be over
+            if (!this.gameOver) {
+                this.gameOver = true;
+                this.updateStatus('Game over: Stalemate');
             }
-            if (kingRow !== -1) break;
         }
+    }
+
+    /**
+     * Stop the AI search and play the best move found so far
+     * Falls back to a random legal move if the search hasn't settled on one yet
+     */
+    stopAIMove() {
+        if (!this.aiThinking) return;
         
-        // Check if any opponent piece can capture the king
-        const opponentColor = color === 'white' ? 'black' : 'white';
+        const aiColor = this.playerColor === 'white' ? 'black' : 'white';
+        const move = this.bestMoveSoFar || this.ai.getRandomMove(this.position, aiColor);
         
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
-                const piece = this.board[row][col];
-                if (piece && piece.color === opponentColor) {
-                    if (this.isValidMove(row, col, kingRow, kingCol)) {
-                        return true;
-                    }
-                }
+        this.cancelAIMove();
+        this.finishAIMove(move);
+    }
+
+    /**
+     * Abandon the running AI search so its result is never played
+     */
+    cancelAIMove() {
+        if (!this.aiThinking) return;
+        
+        this.searchId++;
+        this.aiThinking = false;
+        this.bestMoveSoFar = null;
+        document.getElementById('thinking').classList.add('hidden');
+        document.getElementById('stop-ai').classList.add('hidden');
+        
+        // A worker can't be interrupted mid-search, so replace it with a fresh one
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = this.createWorker();
+        }
+    }
+
+    /**
+     * Undo the last move (or back to the player's turn in computer mode)
+     */
+    undoMove() {
+        if (this.position.moveHistory.length === 0) return;
+        
+        this.cancelAIMove();
+        this.cancelReview();
+        this.cancelHint();
+        this.position.unmakeMove();
+        
+        // In computer mode, also undo the AI's move so it is the player's turn again
+        if (this.gameMode === 'computer') {
+            while (this.position.currentPlayer !== this.playerColor && this.position.moveHistory.length > 0) {
+                this.position.unmakeMove();
             }
         }
         
-        return false;
-    }
-
-    /**
-     * Check if a player is in checkmate
-     * @param {string} color - Color of the player to check
-     * @returns {boolean} Whether the player is in checkmate
-     */
-    isCheckmate(color) {
-        // If not in check, can't be checkmate
-        if (!this.isKingInCheck(color)) return false;
-        
-        // Check if any move can get out of check
-        for (let fromRow = 0; fromRow < 8; fromRow++) {
-            for (let fromCol = 0; fromCol < 8; fromCol++) {
-                const piece = this.board[fromRow][fromCol];
-                if (piece && piece.color === color) {
-                    for (let toRow = 0; toRow < 8; toRow++) {
-                        for (let toCol = 0; toCol < 8; toCol++) {
-                            if (this.isValidMove(fromRow, fromCol, toRow, toCol)) {
-                                // Try the move
-                                const originalTarget = this.board[toRow][toCol];
-                                this.board[toRow][toCol] = piece;
-                                this.board[fromRow][fromCol] = null;
-                                
-                                // Check if still in check
-                                const stillInCheck = this.isKingInCheck(color);
-                                
-                                // Undo the move
-                                this.board[fromRow][fromCol] = piece;
-                                this.board[toRow][toCol] = originalTarget;
-                                
-                                if (!stillInCheck) {
-                                    return false; // Found a move that escapes check
-                                }
-                            }
-                        }
-                    }
-                }
+        // Put the clocks back to before the undone moves and run the side to move's,
+        // or leave them paused until the first move if the whole game was undone
+        if (this.clock) {
+            const ply = this.position.moveHistory.length;
+            const times = this.clockHistory[ply];
+            this.clock.pause();
+            if (times) this.clock.restore(times);
+            if (ply > 0) this.clock.start(this.position.currentPlayer);
+            this.clockHistory.length = ply;
+            this.timeoutResult = null;
+            this.renderClocks();
+        }
+        
+        // Reset game state
+        this.gameOver = false;
+        this.selectedPiece = null;
+        this.viewPly = null;
+        this.viewPosition = null;
+        this.hidePromotionDialog();
+        
+        // Update UI
+        this.updateStatus(`${this.position.currentPlayer.charAt(0).toUpperCase() + this.position.currentPlayer.slice(1)}'s turn`);
+        this.renderBoard();
+        
+        // Disable undo button if no more moves
+        document.getElementById('undo').disabled = this.position.moveHistory.length === 0;
+        this.saveGame();
+        
+        // Undoing the AI's opening move as White leaves it to move again
+        if (this.gameMode === 'computer' && this.position.currentPlayer !== this.playerColor) {
+            this.makeAIMove();
+        }
+    }
+
+    /**
+     * Highlight valid moves for a selected piece
+     * @param {number} row - Row index of selected piece
+     * @param {number} col - Column index of selected piece
+     */
+    highlightValidMoves(row, col) {
+        this.removeHighlights();
+        
+        // Highlight the selected piece
+        const selectedSquare = document.querySelector(`[data-row="${row}"][data-col="${col}"]`);
+        selectedSquare.classList.add('highlight');
+        selectedSquare.setAttribute('aria-selected', 'true');
+        
+        // Highlight legal moves, which never leave the king in check
+        const color = this.position.board[row][col].color;
+        for (const move of this.position.legalMoves(color)) {
+            if (move.fromRow !== row || move.fromCol !== col) continue;
+            
+            const square = document.querySelector(`[data-row="${move.toRow}"][data-col="${move.toCol}"]`);
+            if (!square.classList.contains('highlight')) {
+                square.classList.add('highlight');
+                square.setAttribute('aria-label', `${square.getAttribute('aria-label')}, legal move`);
+            }
+        }
+    }
+
+    /**
+     * Remove all highlights from the board
+     */
+    removeHighlights() {
+        const squares = document.querySelectorAll('.square');
+        const position = this.viewPosition || this.position;
+        squares.forEach(square => {
+            if (square.classList.contains('highlight')) {
+                square.setAttribute('aria-label', this.labelSquare(position, Number(square.dataset.row), Number(square.dataset.col)));
+                square.removeAttribute('aria-selected');
             }
+            square.classList.remove('highlight');
+            square.classList.remove('check');
+        });
+    }
+
+    /**
+     * Move a piece on the board
+     * @param {number} fromRow - Starting row
+     * @param {number} fromCol - Starting column
+     * @param {number} toRow - Target row
+     * @param {number} toCol - Target column
+     * @param {string} [promotion='queen'] - Piece type a pawn promotes to
+     */
+    movePiece(fromRow, fromCol, toRow, toCol, promotion = 'queen') {
+        const mover = this.position.currentPlayer;
+        
+        // A move made after the flag fell comes too late
+        if (this.clock && this.clock.getFlaggedColor() === mover) {
+            this.handleTimeout(mover);
+            return;
+        }
+        
+        if (this.clock) this.clockHistory[this.position.moveHistory.length] = this.clock.snapshot();
+        this.cancelHint();
+        const description = this.describeMove({ fromRow, fromCol, toRow, toCol, promotion });
+        this.position.makeMove({ fromRow, fromCol, toRow, toCol, promotion });
+        if (this.clock) this.clock.press(mover);
+        
+        // Enable undo button
+        document.getElementById('undo').disabled = false;
+        
+        this.updateGameState();
+        
+        if (this.clock && this.gameOver) this.clock.pause();
+        this.renderClocks();
+        
+        // Tell screen reader users about every move, and about check or the result
+        const moverName = this.gameMode === 'computer' && mover !== this.playerColor
+            ? 'Computer'
+            : mover.charAt(0).toUpperCase() + mover.slice(1);
+        let announcement = `${moverName} plays ${description}.`;
+        if (this.gameOver || this.position.isCheck()) {
+            announcement += ` ${document.getElementById('status').textContent}`;
+        }
+        this.announce(announcement);
+        
+        if (this.gameOver) this.archiveGame();
+        this.saveGame();
+    }
+
+    /**
+     * Start a fresh clock for the current time control, paused until the first move
+     */
+    resetClock() {
+        this.clock = this.timeControl ? new ChessClock(this.timeControl) : null;
+        this.clockHistory = [];
+        this.timeoutResult = null;
+        this.renderClocks();
+    }
+
+    /**
+     * Check for a fallen flag and redraw the clocks; runs every 100 ms
+     */
+    tickClock() {
+        if (!this.clock || this.gameOver) return;
+        
+        const flagged = this.clock.getFlaggedColor();
+        if (flagged) {
+            this.handleTimeout(flagged);
+        } else {
+            this.renderClocks();
+        }
+    }
+
+    /**
+     * End the game when a player runs out of time
+     * The opponent wins unless they don't have the material to checkmate, which is a draw
+     * @param {string} color - Color whose time ran out
+     */
+    handleTimeout(color) {
+        const opponent = color === 'white' ? 'black' : 'white';
+        const loser = color.charAt(0).toUpperCase() + color.slice(1);
+        const winner = opponent.charAt(0).toUpperCase() + opponent.slice(1);
+        
+        this.cancelAIMove();
+        this.cancelDrag();
+        this.hidePromotionDialog();
+        this.clock.pause();
+        this.gameOver = true;
+        this.selectedPiece = null;
+        this.removeHighlights();
+        
+        if (this.position.hasMatingMaterial(opponent)) {
+            this.timeoutResult = { loser: color, winner: opponent };
+            this.updateStatus(`${loser}'s time ran out - ${winner} wins!`);
+        } else {
+            this.timeoutResult = { loser: color, winner: null };
+            this.updateStatus(`${loser}'s time ran out - draw, as ${winner} can't checkmate`);
+        }
+        this.renderClocks();
+        this.announce(document.getElementById('status').textContent);
+        this.archiveGame();
+        this.saveGame();
+    }
+
+    /**
+     * Show both players' remaining time, marking the running clock
+     */
+    renderClocks() {
+        document.getElementById('clocks').classList.toggle('hidden', !this.clock);
+        if (!this.clock) return;
+        
+        for (const color of ['white', 'black']) {
+            const element = document.getElementById(`clock-${color}`);
+            const remaining = this.clock.getRemaining(color);
+            element.querySelector('.clock-time').textContent = ChessClock.format(remaining);
+            element.classList.toggle('running', this.clock.running === color);
+            element.classList.toggle('low-time', remaining < 10000);
+            element.classList.toggle('flagged', !!this.timeoutResult && this.timeoutResult.loser === color);
+        }
+    }
+
+    /**
+     * Update the game-over flag, status message and board after the position changed
+     */
+    updateGameState() {
+        // Check for checkmate, stalemate and the other ways a game is drawn
+        const isCheck = this.position.isCheck();
+        const result = this.position.result();
+        
+        // Update game state
+        if (result && result.reason === 'checkmate') {
+            this.gameOver = true;
+            const winner = result.winner.charAt(0).toUpperCase() + result.winner.slice(1);
+            this.updateStatus(`Checkmate! ${winner} wins!`);
+        } else if (result && result.reason === 'stalemate') {
+            this.gameOver = true;
+            this.updateStatus('Stalemate! The game is a draw');
+        } else if (result) {
+            this.gameOver = true;
+            this.updateStatus(`Draw by ${result.reason}`);
+        } else if (isCheck) {
+            this.updateStatus(`Check! ${this.position.currentPlayer.charAt(0).toUpperCase() + this.position.currentPlayer.slice(1)}'s turn`);
+        } else {
+            this.updateStatus(`${this.position.currentPlayer.charAt(0).toUpperCase() + this.position.currentPlayer.slice(1)}'s turn`);
         }
         
-        return true; // No move escapes check
+        // Re-render the board
+        this.renderBoard();
     }
 
     /**
@@ -636,9 +2437,11 @@ class ChessGame {
      * @param {string} color - Color of the king in check
      */
     highlightCheck(color) {
+        const board = (this.viewPosition || this.position).board;
+        
         for (let row = 0; row < 8; row++) {
             for (let col = 0; col < 8; col++) {
-                const piece = this.board[row][col];
+                const piece = board[row][col];
                 if (piece && piece.type === 'king' && piece.color === color) {
                     const square = document.querySelector(`[data-row="${row}"][data-col="${col}"]`);
                     square.classList.add('check');
@@ -648,6 +2451,42 @@ class ChessGame {
         }
     }
 
+    /**
+     * Describe a move in words for screen readers, e.g. 'knight from g1 to f3'
+     * @param {Object} move - Legal move in the live position, not yet played
+     * @returns {string} Description of the move
+     */
+    describeMove({ fromRow, fromCol, toRow, toCol, promotion = 'queen' }) {
+        const piece = this.position.board[fromRow][fromCol];
+        if (piece.type === 'king' && Math.abs(toCol - fromCol) === 2) {
+            return toCol > fromCol ? 'castles kingside' : 'castles queenside';
+        }
+        
+        let description = `${piece.type} from ${ChessPosition.squareName(fromRow, fromCol)} to ${ChessPosition.squareName(toRow, toCol)}`;
+        
+        // A pawn moving diagonally to an empty square captures en passant
+        const target = this.position.board[toRow][toCol];
+        if (target) {
+            description += `, takes ${target.type}`;
+        } else if (piece.type === 'pawn' && fromCol !== toCol) {
+            description += ', takes pawn en passant';
+        }
+        
+        if (piece.type === 'pawn' && (toRow === 0 || toRow === 7)) {
+            description += `, promotes to ${promotion}`;
+        }
+        
+        return description;
+    }
+
+    /**
+     * Read a message out to screen reader users through the live region
+     * @param {string} message - Message to announce
+     */
+    announce(message) {
+        document.getElementById('announcer').textContent = message;
+    }
+
     /**
      * Update the status message
      * @param {string} message - Status message to display
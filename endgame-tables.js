@@ -0,0 +1,682 @@
+/**
+ * Endgame Tables
+ * Solves endgames of a king and one piece against a bare king, and of a king and
+ * queen against a king and rook, by retrograde analysis, labelling every position
+ * won, drawn or lost with its distance to mate
+ */
+
+// The rules engine's move offsets, which the tables step the pieces by. The page and the
+// worker load it ahead of this script; in Node it is a module, so it is required here
+const TABLE_SCRIPTS = typeof module !== 'undefined' && module.exports ? {
+    MOVE_OFFSETS: require('./chess-rules.js').MOVE_OFFSETS
+} : { MOVE_OFFSETS };
+
+// Table results, from the side to move
+const TABLE_DRAW = 0; // Also every position not resolved once the table is complete
+const TABLE_WIN = 1;
+const TABLE_LOSS = 2;
+const TABLE_ILLEGAL = 3;
+
+// Piece types the tables are built for; a lone bishop or knight can't mate, so those are draws
+const TABLE_PIECES = ['queen', 'rook', 'pawn'];
+
+// Tables whose captures or promotions lead into other tables, which are generated first
+const TABLE_DEPENDENCIES = { 'pawn': ['queen', 'rook'], 'queen-rook': ['queen', 'rook'] };
+
+/**
+ * Endgame tables class
+ * A table covers every placement of the two kings and the piece with either side
+ * to move: 2 * 64 * 64 * 64 positions, indexed by
+ *   ((side * 64 + strongKing) * 64 + weakKing) * 64 + piece
+ * where side is 0 when the side with the piece is to move and squares are
+ * row * 8 + col. The side with the piece is always taken to be White, so positions
+ * where it is Black are looked up with the board turned around.
+ *
+ * The queen against rook table is indexed by queenRookIndex() instead, with the
+ * board mirrored so the queen's king is in the top left quarter.
+ *
+ * Tables are generated on first use, which takes under a second for each one-piece
+ * table and about five seconds for the queen against rook table, and kept for the
+ * life of the page or worker. A search can't wait that long, so it probes with
+ * generation off: a table that isn't ready yet leaves its positions uncovered and is
+ * reported through onMissing, for the page to generate it in the background.
+ * Positions with castling rights aren't covered, and the fifty-move rule is ignored;
+ * no mate in these endings takes long enough for it to matter.
+ */
+class EndgameTables {
+    /**
+     * Create an empty set of tables; each is generated when first probed
+     */
+    constructor() {
+        this.tables = {}; // By piece type, or 'queen-rook': {results, plies}
+        this.onMissing = null; // Called with the type of each table a probe needed before it was generated
+        this.reported = new Set(); // Types already passed to onMissing
+        
+        // The squares a king can step to from each square
+        this.kingTargets = [];
+        for (let square = 0; square < 64; square++) {
+            const targets = [];
+            for (let dr = -1; dr <= 1; dr++) {
+                for (let dc = -1; dc <= 1; dc++) {
+                    const row = (square >> 3) + dr;
+                    const col = (square & 7) + dc;
+                    if ((dr || dc) && row >= 0 && row < 8 && col >= 0 && col < 8) {
+                        targets.push(row * 8 + col);
+                    }
+                }
+            }
+            this.kingTargets.push(targets);
+        }
+    }
+
+    /**
+     * Get the tables shared by every AI, so each table is only generated once
+     * @returns {EndgameTables} The shared tables
+     */
+    static getDefault() {
+        if (!EndgameTables.defaultTables) {
+            EndgameTables.defaultTables = new EndgameTables();
+        }
+        return EndgameTables.defaultTables;
+    }
+
+    /**
+     * Look a position up
+     * @param {ChessPosition} position - Position to look up
+     * @param {Object} [options] - Probe options
+     * @param {boolean} [options.generate=true] - Generate the table the position needs if it
+     *     isn't ready; when false, the position is left uncovered and the table reported missing
+     * @returns {Object|null} {outcome, plies} for the side to move, with outcome 'win',
+     *     'draw' or 'loss' and plies the number of moves, counting both sides, until mate
+     *     (null for a draw); or null if the tables don't cover the position
+     */
+    probe(position, { generate = true } = {}) {
+        const { castlingRights } = position;
+        if (castlingRights.white.kingside || castlingRights.white.queenside ||
+            castlingRights.black.kingside || castlingRights.black.queenside) {
+            return null;
+        }
+        
+        const kings = {};
+        const pieces = [];
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = position.board[row][col];
+                if (!piece) continue;
+                if (piece.type === 'king') {
+                    kings[piece.color] = { row, col };
+                } else {
+                    // Give up early, as the search probes every position it visits
+                    if (pieces.length === 2) return null;
+                    pieces.push({ ...piece, row, col });
+                }
+            }
+        }
+        if (pieces.length === 2) return this.probeQueenAgainstRook(position, kings, pieces, generate);
+        if (pieces.length === 0 || !TABLE_PIECES.includes(pieces[0].type)) {
+            return { outcome: 'draw', plies: null };
+        }
+        
+        // Turn the board around when Black has the piece, so it moves up the board like White's
+        const [piece] = pieces;
+        const weakColor = piece.color === 'white' ? 'black' : 'white';
+        const square = ({ row, col }) => (piece.color === 'white' ? row : 7 - row) * 8 + col;
+        const side = position.currentPlayer === piece.color ? 0 : 1;
+        const index = EndgameTables.index(side, square(kings[piece.color]), square(kings[weakColor]), square(piece));
+        return this.readResult(this.findTable(piece.type, generate), index);
+    }
+
+    /**
+     * Look up a position with a queen on one side and a rook on the other
+     * @param {ChessPosition} position - Position to look up
+     * @param {Object} kings - {white, black} king squares as {row, col}
+     * @param {Array} pieces - The two other pieces, as {type, color, row, col}
+     * @param {boolean} generate - Whether to generate the table if it isn't ready
+     * @returns {Object|null} As for probe(); null for any other pair of pieces
+     */
+    probeQueenAgainstRook(position, kings, pieces, generate) {
+        const queen = pieces.find(piece => piece.type === 'queen');
+        const rook = pieces.find(piece => piece.type === 'rook');
+        if (!queen || !rook || queen.color === rook.color) return null;
+        
+        // Mirror the board so the queen's king is in the top left quarter
+        const strongKing = kings[queen.color];
+        const mirror = (strongKing.row > 3 ? 56 : 0) | (strongKing.col > 3 ? 7 : 0);
+        const square = ({ row, col }) => (row * 8 + col) ^ mirror;
+        const side = position.currentPlayer === queen.color ? 0 : 1;
+        const index = EndgameTables.queenRookIndex(side, square(strongKing), square(kings[rook.color]), square(queen), square(rook));
+        return this.readResult(this.findTable('queen-rook', generate), index);
+    }
+
+    /**
+     * Read a position's entry in a table
+     * @param {Object|null} table - {results, plies}, or null if the table isn't ready
+     * @param {number} index - Position index
+     * @returns {Object|null} As for probe()
+     */
+    readResult(table, index) {
+        if (!table) return null;
+        
+        const { results, plies } = table;
+        switch (results[index]) {
+            case TABLE_WIN:
+                return { outcome: 'win', plies: plies[index] };
+            case TABLE_LOSS:
+                return { outcome: 'loss', plies: plies[index] };
+            case TABLE_DRAW:
+                return { outcome: 'draw', plies: null };
+            default:
+                return null; // The side not to move is in check, so the position can't arise
+        }
+    }
+
+    /**
+     * Score every legal move of a covered position by the table result it leads to
+     * @param {ChessPosition} position - Position to move in; left unchanged
+     * @returns {Array} {move, outcome, plies} for each move from the mover's side, best
+     *     first: the quickest win, then draws, then the slowest loss
+     */
+    rankMoves(position) {
+        const ranked = [];
+        for (const move of position.legalMoves()) {
+            position.applyMove(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
+            const after = this.probe(position);
+            position.unmakeMove();
+            if (!after) continue;
+            
+            if (after.outcome === 'loss') {
+                ranked.push({ move, outcome: 'win', plies: after.plies + 1, rank: 1000 - after.plies });
+            } else if (after.outcome === 'win') {
+                ranked.push({ move, outcome: 'loss', plies: after.plies + 1, rank: after.plies - 1000 });
+            } else {
+                ranked.push({ move, outcome: 'draw', plies: null, rank: 0 });
+            }
+        }
+        
+        ranked.sort((a, b) => b.rank - a.rank);
+        return ranked.map(({ move, outcome, plies }) => ({ move, outcome, plies }));
+    }
+
+    /**
+     * Get the best move of a covered position
+     * @param {ChessPosition} position - Position to move in; left unchanged
+     * @returns {Object|null} The move, or null if the tables don't cover the position
+     *     or there are no legal moves
+     */
+    bestMove(position) {
+        if (!this.probe(position)) return null;
+        
+        const [best] = this.rankMoves(position);
+        return best ? best.move : null;
+    }
+
+    /**
+     * Follow a move with both sides' best replies until mate
+     * @param {ChessPosition} position - Position the move is played in; left unchanged
+     * @param {Object} move - First move of the line
+     * @returns {Array} The moves of the line; just the first move if it leads to a draw
+     */
+    getLine(position, move) {
+        const line = [move];
+        position.applyMove(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
+        
+        // Every best move brings mate a ply closer, so the line always ends
+        let entry = this.probe(position);
+        while (entry && entry.outcome !== 'draw' && entry.plies > 0) {
+            const next = this.bestMove(position);
+            line.push(next);
+            position.applyMove(next.fromRow, next.fromCol, next.toRow, next.toCol, next.promotion);
+            entry = this.probe(position);
+        }
+        
+        for (let i = 0; i < line.length; i++) {
+            position.unmakeMove();
+        }
+        return line;
+    }
+
+    /**
+     * Get the table for a piece type, generating it on first use
+     * @param {string} type - 'queen', 'rook', 'pawn' or 'queen-rook'
+     * @returns {Object} {results, plies}, each indexed as described on the class
+     */
+    getTable(type) {
+        if (!this.tables[type]) {
+            this.tables[type] = type === 'queen-rook' ? this.generateQueenRook() : this.generate(type);
+        }
+        return this.tables[type];
+    }
+
+    /**
+     * Get a table for a probe, or report it missing if the probe can't wait for it
+     * A table only counts as ready along with the tables its captures and promotions
+     * lead into, so the moves out of a ready table can be probed too
+     * @param {string} type - Table type, as for getTable()
+     * @param {boolean} generate - Whether to generate the table if it isn't ready
+     * @returns {Object|null} {results, plies}, or null if the table isn't ready
+     */
+    findTable(type, generate) {
+        const needed = [type, ...(TABLE_DEPENDENCIES[type] || [])];
+        if (generate || needed.every(other => this.tables[other])) return this.getTable(type);
+        
+        if (this.onMissing) {
+            for (const other of needed) {
+                if (this.tables[other] || this.reported.has(other)) continue;
+                this.reported.add(other);
+                this.onMissing(other);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Use a table generated elsewhere, such as in another worker, instead of generating it
+     * @param {string} type - Table type, as for getTable()
+     * @param {Object} table - {results, plies} as returned by getTable()
+     */
+    addTable(type, table) {
+        if (!this.tables[type]) this.tables[type] = table;
+    }
+
+    /**
+     * Compute a table position index
+     * @param {number} side - 0 when the side with the piece is to move, 1 otherwise
+     * @param {number} strongKing - Square of the king with the piece
+     * @param {number} weakKing - Square of the bare king
+     * @param {number} piece - Square of the piece
+     * @returns {number} The index
+     */
+    static index(side, strongKing, weakKing, piece) {
+        return ((side * 64 + strongKing) * 64 + weakKing) * 64 + piece;
+    }
+
+    /**
+     * Compute a queen against rook table position index
+     * @param {number} side - 0 when the side with the queen is to move, 1 otherwise
+     * @param {number} strongKing - Square of the king with the queen, in the top left quarter
+     * @param {number} weakKing - Square of the king with the rook
+     * @param {number} queen - Square of the queen
+     * @param {number} rook - Square of the rook
+     * @returns {number} The index
+     */
+    static queenRookIndex(side, strongKing, weakKing, queen, rook) {
+        const quarter = (strongKing >> 3) * 4 + (strongKing & 7);
+        return (((side * 16 + quarter) * 64 + weakKing) * 64 + queen) * 64 + rook;
+    }
+
+    /**
+     * Solve every position of a table by retrograde analysis
+     * Checkmates are lost in 0 plies. Going back one ply at a time from there, a
+     * position with a move to a lost position is won, and a position whose moves
+     * all lead to won positions is lost. Positions never reached this way are drawn.
+     * Pawn promotions leave the table and take their result from the queen and rook
+     * tables, so those are generated first.
+     * @param {string} type - 'queen', 'rook' or 'pawn'
+     * @returns {Object} {results, plies}
+     */
+    generate(type) {
+        const size = 2 * 64 * 64 * 64;
+        const results = new Uint8Array(size);
+        const plies = new Uint8Array(size);
+        const moveCounts = new Uint8Array(size); // Moves not yet known to lose, while solving
+        const promotions = type === 'pawn' ? ['queen', 'rook'].map(piece => this.getTable(piece)) : [];
+        const kingTargets = this.kingTargets;
+        
+        const adjacent = (a, b) => Math.max(Math.abs((a >> 3) - (b >> 3)), Math.abs((a & 7) - (b & 7))) === 1;
+        
+        // Whether the piece on from attacks the square to, with the strong king the only possible blocker
+        const attacks = (from, to, blocker) => {
+            const dr = (to >> 3) - (from >> 3);
+            const dc = (to & 7) - (from & 7);
+            if (type === 'pawn') return dr === -1 && Math.abs(dc) === 1;
+            
+            const straight = dr === 0 || dc === 0;
+            if (from === to || (!straight && (type === 'rook' || Math.abs(dr) !== Math.abs(dc)))) return false;
+            
+            const step = Math.sign(dr) * 8 + Math.sign(dc);
+            for (let square = from + step; square !== to; square += step) {
+                if (square === blocker) return false;
+            }
+            return true;
+        };
+        
+        // Calls visit with each square the piece can move to without capturing, or un-move
+        // from when backwards is set; promotions are left to the caller
+        const forEachPieceMove = (piece, strongKing, weakKing, backwards, visit) => {
+            const empty = square => square !== strongKing && square !== weakKing;
+            if (type === 'pawn') {
+                const step = backwards ? 8 : -8;
+                const row = piece >> 3;
+                const single = piece + step;
+                if (!empty(single) || (backwards ? row > 5 : row === 1)) return;
+                visit(single);
+                if ((backwards ? row === 4 : row === 6) && empty(single + step)) {
+                    visit(single + step);
+                }
+                return;
+            }
+            
+            for (const [dr, dc] of TABLE_SCRIPTS.MOVE_OFFSETS[type]) {
+                let row = (piece >> 3) + dr;
+                let col = (piece & 7) + dc;
+                while (row >= 0 && row < 8 && col >= 0 && col < 8 && empty(row * 8 + col)) {
+                    visit(row * 8 + col);
+                    row += dr;
+                    col += dc;
+                }
+            }
+        };
+        
+        // Candidates for each distance to mate, as index * 4 + result; the first to reach a position wins
+        const candidates = [[]];
+        const addCandidate = (distance, index, result) => {
+            while (candidates.length <= distance) candidates.push([]);
+            candidates[distance].push(index * 4 + result);
+        };
+        
+        // Mark illegal positions first, so counting moves can tell which positions they reach
+        for (let index = 0; index < size; index++) {
+            const piece = index & 63;
+            const weakKing = (index >> 6) & 63;
+            const strongKing = (index >> 12) & 63;
+            const side = index >> 18;
+            
+            if (piece === strongKing || piece === weakKing || strongKing === weakKing || adjacent(strongKing, weakKing) ||
+                (type === 'pawn' && (piece < 8 || piece >= 56)) ||
+                (side === 0 && attacks(piece, weakKing, strongKing))) {
+                results[index] = TABLE_ILLEGAL;
+            }
+        }
+        
+        // Count each position's moves, find the mates and look up the promotions
+        for (let index = 0; index < size; index++) {
+            if (results[index] === TABLE_ILLEGAL) continue;
+            const piece = index & 63;
+            const weakKing = (index >> 6) & 63;
+            const strongKing = (index >> 12) & 63;
+            let count = 0;
+            
+            if (index >> 18 === 0) {
+                for (const target of kingTargets[strongKing]) {
+                    if (target !== piece && !adjacent(target, weakKing)) count++;
+                }
+                forEachPieceMove(piece, strongKing, weakKing, false, () => count++);
+                
+                // A pawn on the seventh promotes, to a queen or a rook as a bishop or knight only draws
+                if (type === 'pawn' && piece < 16 && piece - 8 !== strongKing && piece - 8 !== weakKing) {
+                    count++;
+                    const promoted = EndgameTables.index(1, strongKing, weakKing, piece - 8);
+                    for (const table of promotions) {
+                        if (table.results[promoted] === TABLE_LOSS) {
+                            addCandidate(table.plies[promoted] + 1, index, TABLE_WIN);
+                        }
+                    }
+                }
+            } else {
+                // The bare king can take the piece when the other king doesn't guard it, which draws
+                for (const target of kingTargets[weakKing]) {
+                    if (!adjacent(target, strongKing) && (target === piece || !attacks(piece, target, strongKing))) count++;
+                }
+                if (count === 0 && attacks(piece, weakKing, strongKing)) {
+                    addCandidate(0, index, TABLE_LOSS);
+                }
+            }
+            moveCounts[index] = count;
+        }
+        
+        // Work back from the mates one ply at a time
+        for (let distance = 0; distance < candidates.length; distance++) {
+            for (const candidate of candidates[distance]) {
+                const index = candidate >> 2;
+                if (results[index] !== TABLE_DRAW) continue;
+                
+                const result = candidate & 3;
+                results[index] = result;
+                plies[index] = distance;
+                
+                // A move into a lost position wins for the side that made it; once every
+                // move of a position leads to a won position, that position is lost
+                const visitPredecessor = (predecessor) => {
+                    if (results[predecessor] !== TABLE_DRAW) return;
+                    if (result === TABLE_LOSS) {
+                        addCandidate(distance + 1, predecessor, TABLE_WIN);
+                    } else if (--moveCounts[predecessor] === 0) {
+                        addCandidate(distance + 1, predecessor, TABLE_LOSS);
+                    }
+                };
+                
+                const piece = index & 63;
+                const weakKing = (index >> 6) & 63;
+                const strongKing = (index >> 12) & 63;
+                if (index >> 18 === 1) {
+                    for (const from of kingTargets[strongKing]) {
+                        if (from !== piece && from !== weakKing) {
+                            visitPredecessor(EndgameTables.index(0, from, weakKing, piece));
+                        }
+                    }
+                    forEachPieceMove(piece, strongKing, weakKing, true, (from) => {
+                        visitPredecessor(EndgameTables.index(0, strongKing, weakKing, from));
+                    });
+                } else {
+                    for (const from of kingTargets[weakKing]) {
+                        if (from !== piece && from !== strongKing) {
+                            visitPredecessor(EndgameTables.index(1, strongKing, from, piece));
+                        }
+                    }
+                }
+            }
+        }
+        
+        return { results, plies };
+    }
+
+    /**
+     * Solve the queen against rook table by retrograde analysis
+     * Either side can win here, and captures leave the table for the queen or rook
+     * table, whose results are read like the pawn table reads its promotions. The
+     * board is mirrored so the queen's king is always in the top left quarter, which
+     * leaves 2 * 16 * 64 * 64 * 64 positions; no position is its own mirror image, so
+     * every move and un-move links exactly one pair of positions.
+     * A position a capture wins is marked as soon as its moves are counted, and moved
+     * closer if a quicker win turns up while working back from the mates.
+     * @returns {Object} {results, plies}
+     */
+    generateQueenRook() {
+        const size = 2 * 16 * 64 * 64 * 64;
+        const results = new Uint8Array(size);
+        const plies = new Uint8Array(size);
+        const moveCounts = new Uint8Array(size); // Moves not yet known to lose, while solving
+        const queenTable = this.getTable('queen');
+        const rookTable = this.getTable('rook');
+        const kingTargets = this.kingTargets;
+        
+        const adjacent = (a, b) => Math.max(Math.abs((a >> 3) - (b >> 3)), Math.abs((a & 7) - (b & 7))) === 1;
+        
+        // Whether a queen, or a rook when straight is set, on from attacks the square to,
+        // with the two other pieces that could block it
+        const attacks = (straight, from, to, blockerA, blockerB) => {
+            const dr = (to >> 3) - (from >> 3);
+            const dc = (to & 7) - (from & 7);
+            if (from === to || (dr !== 0 && dc !== 0 && (straight || Math.abs(dr) !== Math.abs(dc)))) return false;
+            
+            const step = Math.sign(dr) * 8 + Math.sign(dc);
+            for (let square = from + step; square !== to; square += step) {
+                if (square === blockerA || square === blockerB) return false;
+            }
+            return true;
+        };
+        
+        // The squares along each direction the queen or rook moves in, nearest first, from every square
+        const rays = {};
+        for (const type of ['queen', 'rook']) {
+            rays[type] = [];
+            for (let square = 0; square < 64; square++) {
+                rays[type].push(TABLE_SCRIPTS.MOVE_OFFSETS[type].map(([dr, dc]) => {
+                    const ray = [];
+                    for (let row = (square >> 3) + dr, col = (square & 7) + dc; row >= 0 && row < 8 && col >= 0 && col < 8; row += dr, col += dc) {
+                        ray.push(row * 8 + col);
+                    }
+                    return ray;
+                }));
+            }
+        }
+        
+        // Plies to mate after a capture that leaves the opponent with a bare king to move,
+        // or Infinity if it only draws
+        const captureWin = ({ results: captured, plies: capturedPlies }, index) => {
+            return captured[index] === TABLE_LOSS ? capturedPlies[index] + 1 : Infinity;
+        };
+        
+        // Positions solved at each distance to mate, to work back from in turn
+        const solved = [[]];
+        const addSolved = (distance, index) => {
+            while (solved.length <= distance) solved.push([]);
+            solved[distance].push(index);
+        };
+        
+        // Mark illegal positions, count each position's moves, find the mates and the wins by capture
+        for (let index = 0; index < size; index++) {
+            const rook = index & 63;
+            const queen = (index >> 6) & 63;
+            const weakKing = (index >> 12) & 63;
+            const quarter = (index >> 18) & 15;
+            const strongKing = (quarter >> 2) * 8 + (quarter & 3);
+            const side = index >> 22;
+            
+            if (strongKing === weakKing || strongKing === queen || strongKing === rook ||
+                weakKing === queen || weakKing === rook || queen === rook || adjacent(strongKing, weakKing) ||
+                (side === 0 && attacks(false, queen, weakKing, strongKing, rook)) ||
+                (side === 1 && attacks(true, rook, strongKing, queen, weakKing))) {
+                results[index] = TABLE_ILLEGAL;
+                continue;
+            }
+            
+            let count = 0;
+            let win = Infinity;
+            if (side === 0) {
+                for (const target of kingTargets[strongKing]) {
+                    if (target === queen || adjacent(target, weakKing)) continue;
+                    if (target === rook) {
+                        count++;
+                        win = Math.min(win, captureWin(queenTable, EndgameTables.index(1, target, weakKing, queen)));
+                    } else if (!attacks(true, rook, target, queen, weakKing)) {
+                        count++;
+                    }
+                }
+                for (const ray of rays.queen[queen]) {
+                    for (const target of ray) {
+                        if (target === strongKing || target === weakKing) break;
+                        if (target === rook) {
+                            count++;
+                            win = Math.min(win, captureWin(queenTable, EndgameTables.index(1, strongKing, weakKing, target)));
+                            break;
+                        }
+                        if (!attacks(true, rook, strongKing, target, weakKing)) count++;
+                    }
+                }
+            } else {
+                for (const target of kingTargets[weakKing]) {
+                    if (target === rook || adjacent(target, strongKing)) continue;
+                    if (target === queen) {
+                        count++;
+                        win = Math.min(win, captureWin(rookTable, EndgameTables.index(1, target, strongKing, rook)));
+                    } else if (!attacks(false, queen, target, strongKing, rook)) {
+                        count++;
+                    }
+                }
+                for (const ray of rays.rook[rook]) {
+                    for (const target of ray) {
+                        if (target === strongKing || target === weakKing) break;
+                        if (target === queen) {
+                            count++;
+                            win = Math.min(win, captureWin(rookTable, EndgameTables.index(1, weakKing, strongKing, target)));
+                            break;
+                        }
+                        if (!attacks(false, queen, weakKing, strongKing, target)) count++;
+                    }
+                }
+            }
+            
+            moveCounts[index] = count;
+            if (win !== Infinity) {
+                results[index] = TABLE_WIN;
+                plies[index] = win;
+                addSolved(win, index);
+            } else if (count === 0 && (side === 0
+                ? attacks(true, rook, strongKing, queen, weakKing)
+                : attacks(false, queen, weakKing, strongKing, rook))) {
+                results[index] = TABLE_LOSS;
+                addSolved(0, index);
+            }
+        }
+        
+        // A move into a lost position wins for the side that made it, sooner than any
+        // capture found so far; once every move of a position leads to a won position,
+        // that position is lost
+        let distance = 0;
+        let result = TABLE_DRAW;
+        const visitPredecessor = (predecessor) => {
+            const known = results[predecessor];
+            if (result === TABLE_LOSS) {
+                if (known === TABLE_DRAW || (known === TABLE_WIN && plies[predecessor] > distance + 1)) {
+                    results[predecessor] = TABLE_WIN;
+                    plies[predecessor] = distance + 1;
+                    addSolved(distance + 1, predecessor);
+                }
+            } else if (known === TABLE_DRAW && --moveCounts[predecessor] === 0) {
+                results[predecessor] = TABLE_LOSS;
+                plies[predecessor] = distance + 1;
+                addSolved(distance + 1, predecessor);
+            }
+        };
+        
+        // Work back from the mates and captures one ply at a time; a win by capture that
+        // turned out to be quicker some other way was already worked back from then
+        for (distance = 0; distance < solved.length; distance++) {
+            for (const index of solved[distance]) {
+                if (plies[index] !== distance) continue;
+                
+                result = results[index];
+                const rook = index & 63;
+                const queen = (index >> 6) & 63;
+                const weakKing = (index >> 12) & 63;
+                const quarter = (index >> 18) & 15;
+                const strongKing = (quarter >> 2) * 8 + (quarter & 3);
+                if (index >> 22 === 0) {
+                    for (const from of kingTargets[weakKing]) {
+                        if (from !== strongKing && from !== queen && from !== rook) {
+                            visitPredecessor(EndgameTables.queenRookIndex(1, strongKing, from, queen, rook));
+                        }
+                    }
+                    for (const ray of rays.rook[rook]) {
+                        for (const from of ray) {
+                            if (from === strongKing || from === weakKing || from === queen) break;
+                            visitPredecessor(EndgameTables.queenRookIndex(1, strongKing, weakKing, queen, from));
+                        }
+                    }
+                } else {
+                    // The queen's king may step out of its quarter, so mirror it back in
+                    for (const from of kingTargets[strongKing]) {
+                        if (from !== weakKing && from !== queen && from !== rook) {
+                            const mirror = ((from >> 3) > 3 ? 56 : 0) | ((from & 7) > 3 ? 7 : 0);
+                            visitPredecessor(EndgameTables.queenRookIndex(0, from ^ mirror, weakKing ^ mirror, queen ^ mirror, rook ^ mirror));
+                        }
+                    }
+                    for (const ray of rays.queen[queen]) {
+                        for (const from of ray) {
+                            if (from === strongKing || from === weakKing || from === rook) break;
+                            visitPredecessor(EndgameTables.queenRookIndex(0, strongKing, weakKing, from, rook));
+                        }
+                    }
+                }
+            }
+        }
+        
+        return { results, plies };
+    }
+}
+
+// Allow the tables to be loaded with require() in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EndgameTables };
+}
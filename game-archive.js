@@ -0,0 +1,142 @@
+/**
+ * Game Archive
+ * Keeps finished games in IndexedDB so they can be replayed and counted later
+ * The game UI decides what to store and how to show it
+ */
+
+// IndexedDB database holding the archive; bump the version when the stores change
+const ARCHIVE_DB_NAME = 'minimal-chess';
+const ARCHIVE_DB_VERSION = 1;
+const ARCHIVE_STORE = 'games';
+
+/**
+ * Game archive class
+ * Every method returns a promise, as IndexedDB is asynchronous.
+ *
+ * Games are stored as plain objects:
+ *   {id, date, mode, difficulty, playerColor, result, termination, moves, hints, game, pgn}
+ * where id is assigned by the archive, date is an ISO string, mode is 'human' or
+ * 'computer', difficulty and playerColor are null for human games, result is '1-0',
+ * '0-1' or '1/2-1/2', moves is the SAN move list, hints is {white, black} counting the
+ * hints each side was shown (missing from games archived before hints existed), game is
+ * ChessPosition.serialize() output for replaying and pgn is the game's PGN text for exporting.
+ */
+class GameArchive {
+    /**
+     * Create an archive; the database is opened on first use
+     * @param {IDBFactory} [factory] - IndexedDB implementation, for tests
+     */
+    constructor(factory = typeof indexedDB !== 'undefined' ? indexedDB : null) {
+        this.factory = factory;
+        this.database = null; // Promise for the open database
+    }
+
+    /**
+     * Open the database, creating the games store on first use
+     * @returns {Promise<IDBDatabase>} The open database
+     */
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                if (!this.factory) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                
+                const request = this.factory.open(ARCHIVE_DB_NAME, ARCHIVE_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(ARCHIVE_STORE, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            
+            // Let a later call try again, e.g. after the user allows storage
+            this.database.catch(() => {
+                this.database = null;
+            });
+        }
+        
+        return this.database;
+    }
+
+    /**
+     * Run one request against the games store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Called with the store, returns an IDBRequest
+     * @returns {Promise<*>} The request's result, once its transaction has completed
+     */
+    run(mode, makeRequest) {
+        return this.open().then(database => new Promise((resolve, reject) => {
+            const transaction = database.transaction(ARCHIVE_STORE, mode);
+            const request = makeRequest(transaction.objectStore(ARCHIVE_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Archive transaction aborted'));
+        }));
+    }
+
+    /**
+     * Store a game, replacing the stored game with the same id if it has one
+     * @param {Object} record - Game to store
+     * @returns {Promise<number>} The game's id
+     */
+    put(record) {
+        return this.run('readwrite', store => store.put(record));
+    }
+
+    /**
+     * Get every archived game
+     * @returns {Promise<Array>} Games, newest first
+     */
+    getAll() {
+        return this.run('readonly', store => store.getAll()).then(records => records.reverse());
+    }
+
+    /**
+     * Delete an archived game
+     * @param {number} id - Game id
+     * @returns {Promise} Settles once the game is gone
+     */
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Get the result of an archived game from the human player's side
+     * @param {Object} record - Archived game
+     * @returns {string|null} 'win', 'draw' or 'loss', or null for a human vs human game
+     */
+    static getPlayerOutcome(record) {
+        if (record.mode !== 'computer') return null;
+        if (record.result === '1/2-1/2') return 'draw';
+        
+        const winner = record.result === '1-0' ? 'white' : 'black';
+        return winner === record.playerColor ? 'win' : 'loss';
+    }
+
+    /**
+     * Count the player's wins, draws and losses against each computer difficulty
+     * @param {Array} records - Archived games
+     * @returns {Object} {difficulty: {win, draw, loss}} for each difficulty played
+     */
+    static computeStats(records) {
+        const stats = {};
+        for (const record of records) {
+            const outcome = GameArchive.getPlayerOutcome(record);
+            if (!outcome) continue;
+            
+            if (!stats[record.difficulty]) {
+                stats[record.difficulty] = { win: 0, draw: 0, loss: 0 };
+            }
+            stats[record.difficulty][outcome]++;
+        }
+        
+        return stats;
+    }
+}
+
+// Allow the archive to be loaded with require() in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameArchive };
+}
@@ -0,0 +1,179 @@
+/**
+ * Game Review
+ * Replays a finished game through the AI search and grades every move by how
+ * much it lost compared with the engine's choice
+ */
+
+// Search limits for each position of the game
+const REVIEW_SEARCH_DEPTH = 4;
+const REVIEW_TIME_PER_POSITION = 1000;
+
+// Evaluations are capped here, in centipawns, so a mate or a huge material lead
+// counts as won without swamping the averages
+const REVIEW_SCORE_CAP = 1000;
+
+// Move labels by centipawn loss: the first whose limit the loss reaches
+const MOVE_LABELS = [
+    { minLoss: 300, label: 'blunder' },
+    { minLoss: 100, label: 'mistake' },
+    { minLoss: 50, label: 'inaccuracy' },
+    { minLoss: 10, label: 'good' },
+    { minLoss: 0, label: 'best' }
+];
+
+/**
+ * Game review class
+ * Searches every position of a game once; each move is then judged by the
+ * evaluation before it (with the engine's best move) and after it.
+ *
+ * Reviews are plain objects:
+ *   {evaluations, moves, summary}
+ * where evaluations holds the capped score of every position from White's side,
+ * moves holds {ply, color, san, before, after, loss, label, bestMove, bestSan} for
+ * every move, and summary holds {accuracy, averageLoss, inaccuracy, mistake, blunder}
+ * for each color.
+ */
+class GameReview {
+    /**
+     * Create a reviewer
+     * @param {ChessAI} ai - AI used to search the positions
+     * @param {Object} [options] - Search limits
+     * @param {number} [options.depth] - Search depth for each position in plies
+     * @param {number} [options.timePerPosition] - Time budget for each position in milliseconds
+     */
+    constructor(ai, { depth = REVIEW_SEARCH_DEPTH, timePerPosition = REVIEW_TIME_PER_POSITION } = {}) {
+        this.ai = ai;
+        this.depth = depth;
+        this.timePerPosition = timePerPosition;
+    }
+
+    /**
+     * Review every move of a game
+     * @param {ChessPosition} game - Position at the end of the game; left unchanged
+     * @param {Function} [onProgress] - Called with (positionsDone, positionsTotal) after each position
+     * @returns {Object} The review
+     */
+    review(game, onProgress = null) {
+        const gameMoves = game.serialize().moves;
+        const position = game.positionAt(0);
+        const total = gameMoves.length + 1;
+        const evaluations = [];
+        const bestMoves = [];
+        const sans = [];
+        
+        for (let ply = 0; ply < total; ply++) {
+            const { score, bestMove } = this.evaluate(position);
+            evaluations.push(score);
+            bestMoves.push(bestMove);
+            if (onProgress) onProgress(ply + 1, total);
+            
+            if (ply < gameMoves.length) {
+                sans.push(position.toSAN(gameMoves[ply]));
+                position.makeMove(gameMoves[ply]);
+            }
+        }
+        
+        // Replay once more to name the engine's moves in their own positions
+        const replay = game.positionAt(0);
+        const moves = gameMoves.map((move, ply) => {
+            const color = replay.currentPlayer;
+            const bestMove = bestMoves[ply];
+            const bestSan = bestMove ? replay.toSAN(bestMove) : null;
+            replay.makeMove(move);
+            
+            const before = evaluations[ply];
+            const after = evaluations[ply + 1];
+            const playedBest = bestSan === sans[ply];
+            const loss = playedBest ? 0 : Math.max(0, color === 'white' ? before - after : after - before);
+            
+            return { ply, color, san: sans[ply], before, after, loss, label: GameReview.classify(loss), bestMove, bestSan };
+        });
+        
+        return { evaluations, moves, summary: GameReview.summarize(moves) };
+    }
+
+    /**
+     * Search a position
+     * @param {ChessPosition} position - Position to search
+     * @returns {Object} {score, bestMove} with the score capped and from White's side,
+     *     and bestMove null once the game is over or if the search ran out of time
+     */
+    evaluate(position) {
+        const result = position.result();
+        if (result) {
+            const score = result.winner === 'white' ? REVIEW_SCORE_CAP : result.winner === 'black' ? -REVIEW_SCORE_CAP : 0;
+            return { score, bestMove: null };
+        }
+        
+        const cap = (score) => Math.max(-REVIEW_SCORE_CAP, Math.min(REVIEW_SCORE_CAP, score));
+        const analysis = this.ai.analyze(position, { maxDepth: this.depth, timeLimit: this.timePerPosition });
+        
+        // Not even depth 1 finished in time, so fall back on the static evaluation
+        if (!analysis) {
+            return { score: cap(this.ai.evaluatePosition(position, 'white')), bestMove: null };
+        }
+        
+        const [best] = analysis.lines;
+        const score = best.mate !== null ? Math.sign(best.mate) * REVIEW_SCORE_CAP : best.score;
+        return { score: cap(score), bestMove: best.move };
+    }
+
+    /**
+     * Label a move by the centipawns it lost
+     * @param {number} loss - Centipawn loss, zero or more
+     * @returns {string} 'best', 'good', 'inaccuracy', 'mistake' or 'blunder'
+     */
+    static classify(loss) {
+        return MOVE_LABELS.find(({ minLoss }) => loss >= minLoss).label;
+    }
+
+    /**
+     * Convert an evaluation into the chance of winning it, as a percentage
+     * @param {number} score - Centipawns from the player's side
+     * @returns {number} Between 0 and 100, 50 for an equal position
+     */
+    static winPercent(score) {
+        return 100 / (1 + Math.exp(-0.00368208 * score));
+    }
+
+    /**
+     * Rate a move by how much of its winning chances it gave away
+     * A move that keeps them scores 100, one that throws a won game away close to 0
+     * @param {Object} move - Reviewed move {color, before, after}
+     * @returns {number} Accuracy between 0 and 100
+     */
+    static moveAccuracy({ color, before, after }) {
+        const sign = color === 'white' ? 1 : -1;
+        const drop = Math.max(0, GameReview.winPercent(before * sign) - GameReview.winPercent(after * sign));
+        return Math.max(0, Math.min(100, 103.1668 * Math.exp(-0.04354 * drop) - 3.1669));
+    }
+
+    /**
+     * Total up each side's moves
+     * @param {Array} moves - Reviewed moves
+     * @returns {Object} {white, black}, each {moves, accuracy, averageLoss, inaccuracy, mistake, blunder}
+     *     with accuracy a percentage and averageLoss in centipawns; both are null without moves
+     */
+    static summarize(moves) {
+        const summary = {};
+        for (const color of ['white', 'black']) {
+            const own = moves.filter(move => move.color === color);
+            const average = values => (own.length ? values.reduce((sum, value) => sum + value, 0) / own.length : null);
+            
+            summary[color] = {
+                moves: own.length,
+                accuracy: average(own.map(move => GameReview.moveAccuracy(move))),
+                averageLoss: average(own.map(move => move.loss)),
+                inaccuracy: own.filter(move => move.label === 'inaccuracy').length,
+                mistake: own.filter(move => move.label === 'mistake').length,
+                blunder: own.filter(move => move.label === 'blunder').length
+            };
+        }
+        return summary;
+    }
+}
+
+// Allow the reviewer to be loaded with require() in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameReview };
+}
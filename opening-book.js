@@ -0,0 +1,727 @@
+/**
+ * Opening Book
+ * Named openings and the moves the AI plays in them, keyed by position
+ */
+
+// The rules engine the lines are played on. The page and the worker load it ahead of
+// this script; in Node every script is a module of its own, so it is required here
+const BOOK_SCRIPTS = typeof module !== 'undefined' && module.exports ? {
+    ChessPosition: require('./chess-rules.js').ChessPosition
+} : { ChessPosition };
+
+// Book lines from the starting position, in Standard Algebraic Notation. Each line
+// names the position it reaches by ECO code and opening name, and weights its last
+// move: how often the AI picks that move, relative to the other book moves from the
+// same position. Lines with weight 0 only name an opening the AI never plays itself.
+// Lines that reach a position by different move orders share its moves and name.
+const OPENING_LINES = [
+    // 1.e4
+    { eco: 'B00', name: "King's Pawn Opening", moves: 'e4', weight: 45 },
+    { eco: 'B00', name: 'Nimzowitsch Defence', moves: 'e4 Nc6', weight: 0 },
+    { eco: 'B00', name: "Owen's Defence", moves: 'e4 b6', weight: 0 },
+
+    // Open games
+    { eco: 'C20', name: "King's Pawn Game", moves: 'e4 e5', weight: 30 },
+    { eco: 'C20', name: "King's Pawn Game: Wayward Queen Attack", moves: 'e4 e5 Qh5', weight: 0 },
+    { eco: 'C21', name: 'Center Game', moves: 'e4 e5 d4', weight: 3 },
+    { eco: 'C22', name: 'Center Game', moves: 'e4 e5 d4 exd4', weight: 100 },
+    { eco: 'C40', name: "King's Knight Opening", moves: 'e4 e5 Nf3', weight: 80 },
+    { eco: 'C40', name: 'Latvian Gambit', moves: 'e4 e5 Nf3 f5', weight: 0 },
+    { eco: 'C44', name: "King's Knight Opening: Normal Variation", moves: 'e4 e5 Nf3 Nc6', weight: 75 },
+
+    // Ruy Lopez
+    { eco: 'C60', name: 'Ruy Lopez', moves: 'e4 e5 Nf3 Nc6 Bb5', weight: 50 },
+    { eco: 'C64', name: 'Ruy Lopez: Classical Defence', moves: 'e4 e5 Nf3 Nc6 Bb5 Bc5', weight: 5 },
+    { eco: 'C65', name: 'Ruy Lopez: Berlin Defence', moves: 'e4 e5 Nf3 Nc6 Bb5 Nf6', weight: 35 },
+    { eco: 'C65', name: 'Ruy Lopez: Berlin Defence', moves: 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O', weight: 100 },
+    { eco: 'C67', name: 'Ruy Lopez: Berlin Defence', moves: 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4', weight: 100 },
+    { eco: 'C67', name: 'Ruy Lopez: Berlin Defence', moves: 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4 d4', weight: 100 },
+    { eco: 'C67', name: 'Ruy Lopez: Berlin Defence', moves: 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4 d4 Nd6', weight: 100 },
+    { eco: 'C67', name: 'Ruy Lopez: Berlin Defence', moves: 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4 d4 Nd6 Bxc6', weight: 100 },
+    { eco: 'C67', name: 'Ruy Lopez: Berlin Defence', moves: 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4 d4 Nd6 Bxc6 dxc6', weight: 100 },
+    { eco: 'C67', name: 'Ruy Lopez: Berlin Defence', moves: 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4 d4 Nd6 Bxc6 dxc6 dxe5', weight: 100 },
+    { eco: 'C67', name: 'Ruy Lopez: Berlin Defence', moves: 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4 d4 Nd6 Bxc6 dxc6 dxe5 Nf5', weight: 100 },
+    { eco: 'C67', name: 'Ruy Lopez: Berlin Wall', moves: 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4 d4 Nd6 Bxc6 dxc6 dxe5 Nf5 Qxd8+', weight: 100 },
+    { eco: 'C67', name: 'Ruy Lopez: Berlin Wall', moves: 'e4 e5 Nf3 Nc6 Bb5 Nf6 O-O Nxe4 d4 Nd6 Bxc6 dxc6 dxe5 Nf5 Qxd8+ Kxd8', weight: 100 },
+    { eco: 'C68', name: 'Ruy Lopez: Morphy Defence', moves: 'e4 e5 Nf3 Nc6 Bb5 a6', weight: 60 },
+    { eco: 'C68', name: 'Ruy Lopez: Exchange Variation', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Bxc6', weight: 15 },
+    { eco: 'C68', name: 'Ruy Lopez: Exchange Variation', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Bxc6 dxc6', weight: 100 },
+    { eco: 'C69', name: 'Ruy Lopez: Exchange Variation', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Bxc6 dxc6 O-O', weight: 100 },
+    { eco: 'C70', name: 'Ruy Lopez: Morphy Defence', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4', weight: 85 },
+    { eco: 'C77', name: 'Ruy Lopez: Morphy Defence', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6', weight: 100 },
+    { eco: 'C78', name: 'Ruy Lopez: Morphy Defence', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O', weight: 100 },
+    { eco: 'C80', name: 'Ruy Lopez: Open', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4', weight: 25 },
+    { eco: 'C80', name: 'Ruy Lopez: Open', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Nxe4 d4', weight: 100 },
+    { eco: 'C84', name: 'Ruy Lopez: Closed', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7', weight: 75 },
+    { eco: 'C84', name: 'Ruy Lopez: Closed', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1', weight: 100 },
+    { eco: 'C87', name: 'Ruy Lopez: Closed', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5', weight: 100 },
+    { eco: 'C88', name: 'Ruy Lopez: Closed', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3', weight: 100 },
+    { eco: 'C88', name: 'Ruy Lopez: Closed', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 d6', weight: 100 },
+    { eco: 'C90', name: 'Ruy Lopez: Closed', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 d6 c3', weight: 100 },
+    { eco: 'C90', name: 'Ruy Lopez: Closed', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 d6 c3 O-O', weight: 100 },
+    { eco: 'C92', name: 'Ruy Lopez: Closed', moves: 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 d6 c3 O-O h3', weight: 100 },
+
+    // Italian Game
+    { eco: 'C50', name: 'Italian Game', moves: 'e4 e5 Nf3 Nc6 Bc4', weight: 30 },
+    { eco: 'C50', name: 'Italian Game: Hungarian Defence', moves: 'e4 e5 Nf3 Nc6 Bc4 Be7', weight: 0 },
+    { eco: 'C50', name: 'Italian Game: Blackburne Shilling Gambit', moves: 'e4 e5 Nf3 Nc6 Bc4 Nd4', weight: 0 },
+    { eco: 'C50', name: 'Italian Game: Giuoco Piano', moves: 'e4 e5 Nf3 Nc6 Bc4 Bc5', weight: 50 },
+    { eco: 'C50', name: 'Italian Game: Giuoco Pianissimo', moves: 'e4 e5 Nf3 Nc6 Bc4 Bc5 d3', weight: 30 },
+    { eco: 'C50', name: 'Italian Game: Giuoco Pianissimo', moves: 'e4 e5 Nf3 Nc6 Bc4 Bc5 d3 Nf6', weight: 100 },
+    { eco: 'C51', name: 'Evans Gambit', moves: 'e4 e5 Nf3 Nc6 Bc4 Bc5 b4', weight: 10 },
+    { eco: 'C53', name: 'Italian Game: Giuoco Piano', moves: 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3', weight: 60 },
+    { eco: 'C54', name: 'Italian Game: Giuoco Piano', moves: 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6', weight: 100 },
+    { eco: 'C54', name: 'Italian Game: Giuoco Pianissimo', moves: 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d3', weight: 60 },
+    { eco: 'C54', name: 'Italian Game: Giuoco Piano', moves: 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d4', weight: 40 },
+    { eco: 'C54', name: 'Italian Game: Giuoco Piano', moves: 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d4 exd4', weight: 100 },
+    { eco: 'C54', name: 'Italian Game: Giuoco Piano', moves: 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d4 exd4 cxd4', weight: 100 },
+    { eco: 'C54', name: 'Italian Game: Giuoco Piano', moves: 'e4 e5 Nf3 Nc6 Bc4 Bc5 c3 Nf6 d4 exd4 cxd4 Bb4+', weight: 100 },
+    { eco: 'C55', name: 'Italian Game: Two Knights Defence', moves: 'e4 e5 Nf3 Nc6 Bc4 Nf6', weight: 50 },
+    { eco: 'C55', name: 'Italian Game: Two Knights Defence', moves: 'e4 e5 Nf3 Nc6 Bc4 Nf6 d3', weight: 50 },
+    { eco: 'C55', name: 'Italian Game: Two Knights Defence', moves: 'e4 e5 Nf3 Nc6 Bc4 Nf6 d3 Be7', weight: 50 },
+    { eco: 'C55', name: 'Italian Game: Two Knights Defence', moves: 'e4 e5 Nf3 Nc6 Bc4 Nf6 d3 Bc5', weight: 50 },
+    { eco: 'C55', name: 'Italian Game: Two Knights Defence', moves: 'e4 e5 Nf3 Nc6 Bc4 Nf6 d4', weight: 20 },
+    { eco: 'C55', name: 'Italian Game: Two Knights Defence', moves: 'e4 e5 Nf3 Nc6 Bc4 Nf6 d4 exd4', weight: 100 },
+    { eco: 'C55', name: 'Italian Game: Two Knights Defence', moves: 'e4 e5 Nf3 Nc6 Bc4 Nf6 d4 exd4 O-O', weight: 100 },
+    { eco: 'C57', name: 'Italian Game: Two Knights Defence, Knight Attack', moves: 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5', weight: 30 },
+    { eco: 'C57', name: 'Italian Game: Two Knights Defence, Knight Attack', moves: 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5', weight: 100 },
+    { eco: 'C57', name: 'Italian Game: Two Knights Defence, Knight Attack', moves: 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5', weight: 100 },
+    { eco: 'C58', name: 'Italian Game: Two Knights Defence, Knight Attack', moves: 'e4 e5 Nf3 Nc6 Bc4 Nf6 Ng5 d5 exd5 Na5', weight: 100 },
+
+    // Scotch and Four Knights
+    { eco: 'C44', name: 'Scotch Game', moves: 'e4 e5 Nf3 Nc6 d4', weight: 12 },
+    { eco: 'C44', name: 'Scotch Game', moves: 'e4 e5 Nf3 Nc6 d4 exd4', weight: 100 },
+    { eco: 'C45', name: 'Scotch Game', moves: 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4', weight: 100 },
+    { eco: 'C45', name: 'Scotch Game', moves: 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Nf6', weight: 50 },
+    { eco: 'C45', name: 'Scotch Game: Classical Variation', moves: 'e4 e5 Nf3 Nc6 d4 exd4 Nxd4 Bc5', weight: 50 },
+    { eco: 'C46', name: 'Three Knights Opening', moves: 'e4 e5 Nf3 Nc6 Nc3', weight: 8 },
+    { eco: 'C47', name: 'Four Knights Game', moves: 'e4 e5 Nf3 Nc6 Nc3 Nf6', weight: 100 },
+    { eco: 'C47', name: 'Four Knights Game: Scotch Variation', moves: 'e4 e5 Nf3 Nc6 Nc3 Nf6 d4', weight: 40 },
+    { eco: 'C47', name: 'Four Knights Game: Scotch Variation', moves: 'e4 e5 Nf3 Nc6 Nc3 Nf6 d4 exd4', weight: 100 },
+    { eco: 'C47', name: 'Four Knights Game: Scotch Variation', moves: 'e4 e5 Nf3 Nc6 Nc3 Nf6 d4 exd4 Nxd4', weight: 100 },
+    { eco: 'C48', name: 'Four Knights Game: Spanish Variation', moves: 'e4 e5 Nf3 Nc6 Nc3 Nf6 Bb5', weight: 60 },
+
+    // Petrov, Philidor and other king's pawn games
+    { eco: 'C41', name: 'Philidor Defence', moves: 'e4 e5 Nf3 d6', weight: 5 },
+    { eco: 'C41', name: 'Philidor Defence', moves: 'e4 e5 Nf3 d6 d4', weight: 100 },
+    { eco: 'C41', name: 'Philidor Defence', moves: 'e4 e5 Nf3 d6 d4 exd4', weight: 50 },
+    { eco: 'C41', name: 'Philidor Defence', moves: 'e4 e5 Nf3 d6 d4 exd4 Nxd4', weight: 100 },
+    { eco: 'C41', name: 'Philidor Defence', moves: 'e4 e5 Nf3 d6 d4 Nf6', weight: 50 },
+    { eco: 'C42', name: "Petrov's Defence", moves: 'e4 e5 Nf3 Nf6', weight: 15 },
+    { eco: 'C42', name: "Petrov's Defence", moves: 'e4 e5 Nf3 Nf6 Nxe5', weight: 70 },
+    { eco: 'C42', name: "Petrov's Defence", moves: 'e4 e5 Nf3 Nf6 Nxe5 d6', weight: 100 },
+    { eco: 'C42', name: "Petrov's Defence", moves: 'e4 e5 Nf3 Nf6 Nxe5 d6 Nf3', weight: 100 },
+    { eco: 'C42', name: "Petrov's Defence", moves: 'e4 e5 Nf3 Nf6 Nxe5 d6 Nf3 Nxe4', weight: 100 },
+    { eco: 'C42', name: "Petrov's Defence: Classical Attack", moves: 'e4 e5 Nf3 Nf6 Nxe5 d6 Nf3 Nxe4 d4', weight: 100 },
+    { eco: 'C43', name: "Petrov's Defence: Modern Attack", moves: 'e4 e5 Nf3 Nf6 d4', weight: 30 },
+    { eco: 'C43', name: "Petrov's Defence: Modern Attack", moves: 'e4 e5 Nf3 Nf6 d4 Nxe4', weight: 100 },
+    { eco: 'C23', name: "Bishop's Opening", moves: 'e4 e5 Bc4', weight: 5 },
+    { eco: 'C24', name: "Bishop's Opening: Berlin Defence", moves: 'e4 e5 Bc4 Nf6', weight: 100 },
+    { eco: 'C25', name: 'Vienna Game', moves: 'e4 e5 Nc3', weight: 6 },
+    { eco: 'C25', name: 'Vienna Game', moves: 'e4 e5 Nc3 Nc6', weight: 30 },
+    { eco: 'C26', name: 'Vienna Game', moves: 'e4 e5 Nc3 Nf6', weight: 70 },
+    { eco: 'C30', name: "King's Gambit", moves: 'e4 e5 f4', weight: 4 },
+    { eco: 'C30', name: "King's Gambit Declined: Classical Variation", moves: 'e4 e5 f4 Bc5', weight: 30 },
+    { eco: 'C33', name: "King's Gambit Accepted", moves: 'e4 e5 f4 exf4', weight: 70 },
+    { eco: 'C34', name: "King's Gambit Accepted", moves: 'e4 e5 f4 exf4 Nf3', weight: 100 },
+    { eco: 'C36', name: "King's Gambit Accepted: Modern Defence", moves: 'e4 e5 f4 exf4 Nf3 d5', weight: 50 },
+    { eco: 'C37', name: "King's Gambit Accepted", moves: 'e4 e5 f4 exf4 Nf3 g5', weight: 50 },
+
+    // Sicilian Defence
+    { eco: 'B20', name: 'Sicilian Defence', moves: 'e4 c5', weight: 35 },
+    { eco: 'B22', name: 'Sicilian Defence: Alapin Variation', moves: 'e4 c5 c3', weight: 13 },
+    { eco: 'B22', name: 'Sicilian Defence: Alapin Variation', moves: 'e4 c5 c3 Nf6', weight: 50 },
+    { eco: 'B22', name: 'Sicilian Defence: Alapin Variation', moves: 'e4 c5 c3 d5', weight: 50 },
+    { eco: 'B23', name: 'Sicilian Defence: Closed', moves: 'e4 c5 Nc3', weight: 12 },
+    { eco: 'B23', name: 'Sicilian Defence: Closed', moves: 'e4 c5 Nc3 Nc6', weight: 100 },
+    { eco: 'B24', name: 'Sicilian Defence: Closed', moves: 'e4 c5 Nc3 Nc6 g3', weight: 100 },
+    { eco: 'B27', name: 'Sicilian Defence', moves: 'e4 c5 Nf3', weight: 75 },
+    { eco: 'B50', name: 'Sicilian Defence', moves: 'e4 c5 Nf3 d6', weight: 45 },
+    { eco: 'B51', name: 'Sicilian Defence: Moscow Variation', moves: 'e4 c5 Nf3 d6 Bb5+', weight: 15 },
+    { eco: 'B51', name: 'Sicilian Defence: Moscow Variation', moves: 'e4 c5 Nf3 d6 Bb5+ Nd7', weight: 40 },
+    { eco: 'B52', name: 'Sicilian Defence: Moscow Variation', moves: 'e4 c5 Nf3 d6 Bb5+ Bd7', weight: 60 },
+    { eco: 'B53', name: 'Sicilian Defence', moves: 'e4 c5 Nf3 d6 d4', weight: 85 },
+    { eco: 'B53', name: 'Sicilian Defence', moves: 'e4 c5 Nf3 d6 d4 cxd4', weight: 100 },
+    { eco: 'B53', name: 'Sicilian Defence', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4', weight: 100 },
+    { eco: 'B54', name: 'Sicilian Defence', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6', weight: 100 },
+    { eco: 'B56', name: 'Sicilian Defence', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3', weight: 100 },
+    { eco: 'B56', name: 'Sicilian Defence: Classical Variation', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6', weight: 20 },
+    { eco: 'B70', name: 'Sicilian Defence: Dragon Variation', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6', weight: 20 },
+    { eco: 'B72', name: 'Sicilian Defence: Dragon Variation', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3', weight: 100 },
+    { eco: 'B72', name: 'Sicilian Defence: Dragon Variation', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7', weight: 100 },
+    { eco: 'B75', name: 'Sicilian Defence: Dragon, Yugoslav Attack', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 f3', weight: 100 },
+    { eco: 'B76', name: 'Sicilian Defence: Dragon, Yugoslav Attack', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 g6 Be3 Bg7 f3 O-O', weight: 100 },
+    { eco: 'B80', name: 'Sicilian Defence: Scheveningen Variation', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 e6', weight: 15 },
+    { eco: 'B90', name: 'Sicilian Defence: Najdorf Variation', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6', weight: 45 },
+    { eco: 'B90', name: 'Sicilian Defence: Najdorf, English Attack', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Be3', weight: 35 },
+    { eco: 'B90', name: 'Sicilian Defence: Najdorf, English Attack', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Be3 e5', weight: 60 },
+    { eco: 'B90', name: 'Sicilian Defence: Najdorf, English Attack', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Be3 e6', weight: 40 },
+    { eco: 'B92', name: 'Sicilian Defence: Najdorf, Opocensky Variation', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Be2', weight: 20 },
+    { eco: 'B92', name: 'Sicilian Defence: Najdorf, Opocensky Variation', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Be2 e5', weight: 100 },
+    { eco: 'B94', name: 'Sicilian Defence: Najdorf Variation', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Bg5', weight: 25 },
+    { eco: 'B96', name: 'Sicilian Defence: Najdorf Variation', moves: 'e4 c5 Nf3 d6 d4 cxd4 Nxd4 Nf6 Nc3 a6 Bg5 e6', weight: 100 },
+    { eco: 'B30', name: 'Sicilian Defence', moves: 'e4 c5 Nf3 Nc6', weight: 30 },
+    { eco: 'B30', name: 'Sicilian Defence: Rossolimo Variation', moves: 'e4 c5 Nf3 Nc6 Bb5', weight: 30 },
+    { eco: 'B30', name: 'Sicilian Defence: Rossolimo Variation', moves: 'e4 c5 Nf3 Nc6 Bb5 e6', weight: 40 },
+    { eco: 'B31', name: 'Sicilian Defence: Rossolimo Variation', moves: 'e4 c5 Nf3 Nc6 Bb5 g6', weight: 60 },
+    { eco: 'B32', name: 'Sicilian Defence: Open', moves: 'e4 c5 Nf3 Nc6 d4', weight: 70 },
+    { eco: 'B32', name: 'Sicilian Defence: Open', moves: 'e4 c5 Nf3 Nc6 d4 cxd4', weight: 100 },
+    { eco: 'B32', name: 'Sicilian Defence: Open', moves: 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4', weight: 100 },
+    { eco: 'B33', name: 'Sicilian Defence: Open', moves: 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Nf6', weight: 70 },
+    { eco: 'B33', name: 'Sicilian Defence: Open', moves: 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Nf6 Nc3', weight: 100 },
+    { eco: 'B33', name: 'Sicilian Defence: Sveshnikov Variation', moves: 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Nf6 Nc3 e5', weight: 60 },
+    { eco: 'B33', name: 'Sicilian Defence: Sveshnikov Variation', moves: 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Nf6 Nc3 e5 Ndb5', weight: 100 },
+    { eco: 'B33', name: 'Sicilian Defence: Sveshnikov Variation', moves: 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Nf6 Nc3 e5 Ndb5 d6', weight: 100 },
+    { eco: 'B56', name: 'Sicilian Defence: Classical Variation', moves: 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 Nf6 Nc3 d6', weight: 40 },
+    { eco: 'B34', name: 'Sicilian Defence: Accelerated Dragon', moves: 'e4 c5 Nf3 Nc6 d4 cxd4 Nxd4 g6', weight: 30 },
+    { eco: 'B40', name: 'Sicilian Defence: French Variation', moves: 'e4 c5 Nf3 e6', weight: 25 },
+    { eco: 'B40', name: 'Sicilian Defence: French Variation', moves: 'e4 c5 Nf3 e6 d4', weight: 100 },
+    { eco: 'B40', name: 'Sicilian Defence: French Variation', moves: 'e4 c5 Nf3 e6 d4 cxd4', weight: 100 },
+    { eco: 'B40', name: 'Sicilian Defence: French Variation', moves: 'e4 c5 Nf3 e6 d4 cxd4 Nxd4', weight: 100 },
+    { eco: 'B40', name: 'Sicilian Defence: French Variation', moves: 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nf6', weight: 25 },
+    { eco: 'B40', name: 'Sicilian Defence: French Variation', moves: 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nf6 Nc3', weight: 100 },
+    { eco: 'B45', name: 'Sicilian Defence: Four Knights Variation', moves: 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nf6 Nc3 Nc6', weight: 50 },
+    { eco: 'B80', name: 'Sicilian Defence: Scheveningen Variation', moves: 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nf6 Nc3 d6', weight: 50 },
+    { eco: 'B41', name: 'Sicilian Defence: Kan Variation', moves: 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 a6', weight: 40 },
+    { eco: 'B42', name: 'Sicilian Defence: Kan Variation', moves: 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 a6 Bd3', weight: 50 },
+    { eco: 'B43', name: 'Sicilian Defence: Kan Variation', moves: 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 a6 Nc3', weight: 50 },
+    { eco: 'B44', name: 'Sicilian Defence: Taimanov Variation', moves: 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nc6', weight: 35 },
+    { eco: 'B45', name: 'Sicilian Defence: Taimanov Variation', moves: 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nc6 Nc3', weight: 100 },
+    { eco: 'B46', name: 'Sicilian Defence: Taimanov Variation', moves: 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nc6 Nc3 a6', weight: 40 },
+    { eco: 'B47', name: 'Sicilian Defence: Taimanov Variation', moves: 'e4 c5 Nf3 e6 d4 cxd4 Nxd4 Nc6 Nc3 Qc7', weight: 60 },
+
+    // French Defence
+    { eco: 'C00', name: 'French Defence', moves: 'e4 e6', weight: 12 },
+    { eco: 'C00', name: "French Defence: King's Indian Attack", moves: 'e4 e6 d3', weight: 10 },
+    { eco: 'C00', name: "French Defence: King's Indian Attack", moves: 'e4 e6 d3 d5', weight: 100 },
+    { eco: 'C00', name: "French Defence: King's Indian Attack", moves: 'e4 e6 d3 d5 Nd2', weight: 100 },
+    { eco: 'C00', name: 'French Defence', moves: 'e4 e6 d4', weight: 90 },
+    { eco: 'C00', name: 'French Defence', moves: 'e4 e6 d4 d5', weight: 100 },
+    { eco: 'C01', name: 'French Defence: Exchange Variation', moves: 'e4 e6 d4 d5 exd5', weight: 5 },
+    { eco: 'C01', name: 'French Defence: Exchange Variation', moves: 'e4 e6 d4 d5 exd5 exd5', weight: 100 },
+    { eco: 'C02', name: 'French Defence: Advance Variation', moves: 'e4 e6 d4 d5 e5', weight: 30 },
+    { eco: 'C02', name: 'French Defence: Advance Variation', moves: 'e4 e6 d4 d5 e5 c5', weight: 100 },
+    { eco: 'C02', name: 'French Defence: Advance Variation', moves: 'e4 e6 d4 d5 e5 c5 c3', weight: 100 },
+    { eco: 'C02', name: 'French Defence: Advance Variation', moves: 'e4 e6 d4 d5 e5 c5 c3 Nc6', weight: 100 },
+    { eco: 'C02', name: 'French Defence: Advance Variation', moves: 'e4 e6 d4 d5 e5 c5 c3 Nc6 Nf3', weight: 100 },
+    { eco: 'C02', name: 'French Defence: Advance Variation', moves: 'e4 e6 d4 d5 e5 c5 c3 Nc6 Nf3 Qb6', weight: 100 },
+    { eco: 'C03', name: 'French Defence: Tarrasch Variation', moves: 'e4 e6 d4 d5 Nd2', weight: 25 },
+    { eco: 'C03', name: 'French Defence: Tarrasch Variation', moves: 'e4 e6 d4 d5 Nd2 Be7', weight: 20 },
+    { eco: 'C05', name: 'French Defence: Tarrasch, Closed Variation', moves: 'e4 e6 d4 d5 Nd2 Nf6', weight: 40 },
+    { eco: 'C05', name: 'French Defence: Tarrasch, Closed Variation', moves: 'e4 e6 d4 d5 Nd2 Nf6 e5', weight: 100 },
+    { eco: 'C05', name: 'French Defence: Tarrasch, Closed Variation', moves: 'e4 e6 d4 d5 Nd2 Nf6 e5 Nfd7', weight: 100 },
+    { eco: 'C07', name: 'French Defence: Tarrasch, Open Variation', moves: 'e4 e6 d4 d5 Nd2 c5', weight: 40 },
+    { eco: 'C07', name: 'French Defence: Tarrasch, Open Variation', moves: 'e4 e6 d4 d5 Nd2 c5 Ngf3', weight: 40 },
+    { eco: 'C07', name: 'French Defence: Tarrasch, Open Variation', moves: 'e4 e6 d4 d5 Nd2 c5 exd5', weight: 60 },
+    { eco: 'C07', name: 'French Defence: Tarrasch, Open Variation', moves: 'e4 e6 d4 d5 Nd2 c5 exd5 Qxd5', weight: 50 },
+    { eco: 'C08', name: 'French Defence: Tarrasch, Open Variation', moves: 'e4 e6 d4 d5 Nd2 c5 exd5 exd5', weight: 50 },
+    { eco: 'C10', name: 'French Defence', moves: 'e4 e6 d4 d5 Nc3', weight: 40 },
+    { eco: 'C10', name: 'French Defence: Rubinstein Variation', moves: 'e4 e6 d4 d5 Nc3 dxe4', weight: 10 },
+    { eco: 'C10', name: 'French Defence: Rubinstein Variation', moves: 'e4 e6 d4 d5 Nc3 dxe4 Nxe4', weight: 100 },
+    { eco: 'C11', name: 'French Defence: Classical Variation', moves: 'e4 e6 d4 d5 Nc3 Nf6', weight: 50 },
+    { eco: 'C11', name: 'French Defence: Steinitz Variation', moves: 'e4 e6 d4 d5 Nc3 Nf6 e5', weight: 50 },
+    { eco: 'C11', name: 'French Defence: Steinitz Variation', moves: 'e4 e6 d4 d5 Nc3 Nf6 e5 Nfd7', weight: 100 },
+    { eco: 'C11', name: 'French Defence: Steinitz Variation', moves: 'e4 e6 d4 d5 Nc3 Nf6 e5 Nfd7 f4', weight: 100 },
+    { eco: 'C11', name: 'French Defence: Steinitz Variation', moves: 'e4 e6 d4 d5 Nc3 Nf6 e5 Nfd7 f4 c5', weight: 100 },
+    { eco: 'C13', name: 'French Defence: Classical Variation', moves: 'e4 e6 d4 d5 Nc3 Nf6 Bg5', weight: 50 },
+    { eco: 'C15', name: 'French Defence: Winawer Variation', moves: 'e4 e6 d4 d5 Nc3 Bb4', weight: 40 },
+    { eco: 'C16', name: 'French Defence: Winawer Variation', moves: 'e4 e6 d4 d5 Nc3 Bb4 e5', weight: 100 },
+    { eco: 'C17', name: 'French Defence: Winawer Variation', moves: 'e4 e6 d4 d5 Nc3 Bb4 e5 c5', weight: 100 },
+    { eco: 'C17', name: 'French Defence: Winawer Variation', moves: 'e4 e6 d4 d5 Nc3 Bb4 e5 c5 a3', weight: 100 },
+    { eco: 'C18', name: 'French Defence: Winawer Variation', moves: 'e4 e6 d4 d5 Nc3 Bb4 e5 c5 a3 Bxc3+', weight: 100 },
+    { eco: 'C18', name: 'French Defence: Winawer Variation', moves: 'e4 e6 d4 d5 Nc3 Bb4 e5 c5 a3 Bxc3+ bxc3', weight: 100 },
+    { eco: 'C18', name: 'French Defence: Winawer Variation', moves: 'e4 e6 d4 d5 Nc3 Bb4 e5 c5 a3 Bxc3+ bxc3 Ne7', weight: 100 },
+
+    // Caro-Kann Defence
+    { eco: 'B10', name: 'Caro-Kann Defence', moves: 'e4 c6', weight: 10 },
+    { eco: 'B10', name: 'Caro-Kann Defence', moves: 'e4 c6 Nc3', weight: 10 },
+    { eco: 'B10', name: 'Caro-Kann Defence', moves: 'e4 c6 Nc3 d5', weight: 100 },
+    { eco: 'B10', name: 'Caro-Kann Defence: Accelerated Panov Attack', moves: 'e4 c6 c4', weight: 5 },
+    { eco: 'B10', name: 'Caro-Kann Defence: Accelerated Panov Attack', moves: 'e4 c6 c4 d5', weight: 100 },
+    { eco: 'B12', name: 'Caro-Kann Defence', moves: 'e4 c6 d4', weight: 85 },
+    { eco: 'B12', name: 'Caro-Kann Defence', moves: 'e4 c6 d4 d5', weight: 100 },
+    { eco: 'B12', name: 'Caro-Kann Defence: Advance Variation', moves: 'e4 c6 d4 d5 e5', weight: 35 },
+    { eco: 'B12', name: 'Caro-Kann Defence: Advance Variation', moves: 'e4 c6 d4 d5 e5 Bf5', weight: 100 },
+    { eco: 'B12', name: 'Caro-Kann Defence: Advance, Short Variation', moves: 'e4 c6 d4 d5 e5 Bf5 Nf3', weight: 60 },
+    { eco: 'B12', name: 'Caro-Kann Defence: Advance, Short Variation', moves: 'e4 c6 d4 d5 e5 Bf5 Nf3 e6', weight: 100 },
+    { eco: 'B12', name: 'Caro-Kann Defence: Advance Variation', moves: 'e4 c6 d4 d5 e5 Bf5 Nc3', weight: 40 },
+    { eco: 'B12', name: 'Caro-Kann Defence: Advance Variation', moves: 'e4 c6 d4 d5 e5 Bf5 Nc3 e6', weight: 100 },
+    { eco: 'B13', name: 'Caro-Kann Defence: Exchange Variation', moves: 'e4 c6 d4 d5 exd5', weight: 15 },
+    { eco: 'B13', name: 'Caro-Kann Defence: Exchange Variation', moves: 'e4 c6 d4 d5 exd5 cxd5', weight: 100 },
+    { eco: 'B13', name: 'Caro-Kann Defence: Exchange Variation', moves: 'e4 c6 d4 d5 exd5 cxd5 Bd3', weight: 50 },
+    { eco: 'B13', name: 'Caro-Kann Defence: Exchange Variation', moves: 'e4 c6 d4 d5 exd5 cxd5 Bd3 Nc6', weight: 100 },
+    { eco: 'B14', name: 'Caro-Kann Defence: Panov Attack', moves: 'e4 c6 d4 d5 exd5 cxd5 c4', weight: 50 },
+    { eco: 'B14', name: 'Caro-Kann Defence: Panov Attack', moves: 'e4 c6 d4 d5 exd5 cxd5 c4 Nf6', weight: 100 },
+    { eco: 'B15', name: 'Caro-Kann Defence', moves: 'e4 c6 d4 d5 Nc3', weight: 40 },
+    { eco: 'B15', name: 'Caro-Kann Defence', moves: 'e4 c6 d4 d5 Nc3 dxe4', weight: 100 },
+    { eco: 'B15', name: 'Caro-Kann Defence', moves: 'e4 c6 d4 d5 Nc3 dxe4 Nxe4', weight: 100 },
+    { eco: 'B15', name: 'Caro-Kann Defence', moves: 'e4 c6 d4 d5 Nd2', weight: 10 },
+    { eco: 'B15', name: 'Caro-Kann Defence', moves: 'e4 c6 d4 d5 Nd2 dxe4', weight: 100 },
+    { eco: 'B15', name: 'Caro-Kann Defence', moves: 'e4 c6 d4 d5 Nd2 dxe4 Nxe4', weight: 100 },
+    { eco: 'B17', name: 'Caro-Kann Defence: Karpov Variation', moves: 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Nd7', weight: 40 },
+    { eco: 'B18', name: 'Caro-Kann Defence: Classical Variation', moves: 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Bf5', weight: 60 },
+    { eco: 'B18', name: 'Caro-Kann Defence: Classical Variation', moves: 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Bf5 Ng3', weight: 100 },
+    { eco: 'B18', name: 'Caro-Kann Defence: Classical Variation', moves: 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Bf5 Ng3 Bg6', weight: 100 },
+    { eco: 'B19', name: 'Caro-Kann Defence: Classical Variation', moves: 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Bf5 Ng3 Bg6 h4', weight: 100 },
+    { eco: 'B19', name: 'Caro-Kann Defence: Classical Variation', moves: 'e4 c6 d4 d5 Nc3 dxe4 Nxe4 Bf5 Ng3 Bg6 h4 h6', weight: 100 },
+
+    // Other replies to 1.e4
+    { eco: 'B01', name: 'Scandinavian Defence', moves: 'e4 d5', weight: 3 },
+    { eco: 'B01', name: 'Scandinavian Defence', moves: 'e4 d5 exd5', weight: 100 },
+    { eco: 'B01', name: 'Scandinavian Defence', moves: 'e4 d5 exd5 Qxd5', weight: 70 },
+    { eco: 'B01', name: 'Scandinavian Defence', moves: 'e4 d5 exd5 Qxd5 Nc3', weight: 100 },
+    { eco: 'B01', name: 'Scandinavian Defence', moves: 'e4 d5 exd5 Qxd5 Nc3 Qa5', weight: 50 },
+    { eco: 'B01', name: 'Scandinavian Defence', moves: 'e4 d5 exd5 Qxd5 Nc3 Qd6', weight: 30 },
+    { eco: 'B01', name: 'Scandinavian Defence', moves: 'e4 d5 exd5 Qxd5 Nc3 Qd8', weight: 20 },
+    { eco: 'B01', name: 'Scandinavian Defence: Modern Variation', moves: 'e4 d5 exd5 Nf6', weight: 30 },
+    { eco: 'B01', name: 'Scandinavian Defence: Modern Variation', moves: 'e4 d5 exd5 Nf6 d4', weight: 100 },
+    { eco: 'B01', name: 'Scandinavian Defence: Modern Variation', moves: 'e4 d5 exd5 Nf6 d4 Nxd5', weight: 100 },
+    { eco: 'B02', name: "Alekhine's Defence", moves: 'e4 Nf6', weight: 2 },
+    { eco: 'B02', name: "Alekhine's Defence", moves: 'e4 Nf6 e5', weight: 100 },
+    { eco: 'B02', name: "Alekhine's Defence", moves: 'e4 Nf6 e5 Nd5', weight: 100 },
+    { eco: 'B03', name: "Alekhine's Defence", moves: 'e4 Nf6 e5 Nd5 d4', weight: 100 },
+    { eco: 'B03', name: "Alekhine's Defence", moves: 'e4 Nf6 e5 Nd5 d4 d6', weight: 100 },
+    { eco: 'B04', name: "Alekhine's Defence: Modern Variation", moves: 'e4 Nf6 e5 Nd5 d4 d6 Nf3', weight: 100 },
+    { eco: 'B04', name: "Alekhine's Defence: Modern Variation", moves: 'e4 Nf6 e5 Nd5 d4 d6 Nf3 g6', weight: 50 },
+    { eco: 'B05', name: "Alekhine's Defence: Modern Variation", moves: 'e4 Nf6 e5 Nd5 d4 d6 Nf3 Bg4', weight: 50 },
+    { eco: 'B06', name: 'Modern Defence', moves: 'e4 g6', weight: 2 },
+    { eco: 'B06', name: 'Modern Defence', moves: 'e4 g6 d4', weight: 100 },
+    { eco: 'B06', name: 'Modern Defence', moves: 'e4 g6 d4 Bg7', weight: 100 },
+    { eco: 'B06', name: 'Modern Defence', moves: 'e4 g6 d4 Bg7 Nc3', weight: 100 },
+    { eco: 'B06', name: 'Modern Defence', moves: 'e4 g6 d4 Bg7 Nc3 d6', weight: 100 },
+    { eco: 'B07', name: 'Pirc Defence', moves: 'e4 d6', weight: 4 },
+    { eco: 'B07', name: 'Pirc Defence', moves: 'e4 d6 d4', weight: 100 },
+    { eco: 'B07', name: 'Pirc Defence', moves: 'e4 d6 d4 Nf6', weight: 100 },
+    { eco: 'B07', name: 'Pirc Defence', moves: 'e4 d6 d4 Nf6 Nc3', weight: 100 },
+    { eco: 'B07', name: 'Pirc Defence', moves: 'e4 d6 d4 Nf6 Nc3 g6', weight: 100 },
+    { eco: 'B07', name: 'Pirc Defence', moves: 'e4 d6 d4 Nf6 Nc3 g6 Be3', weight: 30 },
+    { eco: 'B07', name: 'Pirc Defence', moves: 'e4 d6 d4 Nf6 Nc3 g6 Be3 Bg7', weight: 100 },
+    { eco: 'B08', name: 'Pirc Defence: Classical Variation', moves: 'e4 d6 d4 Nf6 Nc3 g6 Nf3', weight: 40 },
+    { eco: 'B08', name: 'Pirc Defence: Classical Variation', moves: 'e4 d6 d4 Nf6 Nc3 g6 Nf3 Bg7', weight: 100 },
+    { eco: 'B09', name: 'Pirc Defence: Austrian Attack', moves: 'e4 d6 d4 Nf6 Nc3 g6 f4', weight: 30 },
+    { eco: 'B09', name: 'Pirc Defence: Austrian Attack', moves: 'e4 d6 d4 Nf6 Nc3 g6 f4 Bg7', weight: 100 },
+
+    // 1.d4 d5
+    { eco: 'A40', name: "Queen's Pawn Opening", moves: 'd4', weight: 40 },
+    { eco: 'A40', name: "Queen's Pawn Opening: Horwitz Defence", moves: 'd4 e6', weight: 0 },
+    { eco: 'A40', name: 'Englund Gambit', moves: 'd4 e5', weight: 0 },
+    { eco: 'A43', name: 'Old Benoni Defence', moves: 'd4 c5', weight: 0 },
+    { eco: 'D00', name: "Queen's Pawn Game", moves: 'd4 d5', weight: 45 },
+    { eco: 'D00', name: "Queen's Pawn Game: London System", moves: 'd4 d5 Bf4', weight: 10 },
+    { eco: 'D00', name: "Queen's Pawn Game: London System", moves: 'd4 d5 Bf4 Nf6', weight: 60 },
+    { eco: 'D00', name: "Queen's Pawn Game: London System", moves: 'd4 d5 Bf4 Nf6 e3', weight: 100 },
+    { eco: 'D00', name: "Queen's Pawn Game: London System", moves: 'd4 d5 Bf4 Nf6 e3 e6', weight: 50 },
+    { eco: 'D00', name: "Queen's Pawn Game: London System", moves: 'd4 d5 Bf4 Nf6 e3 c5', weight: 50 },
+    { eco: 'D00', name: "Queen's Pawn Game: London System", moves: 'd4 d5 Bf4 c5', weight: 40 },
+    { eco: 'D00', name: "Queen's Pawn Game: London System", moves: 'd4 d5 Bf4 c5 e3', weight: 100 },
+    { eco: 'D00', name: "Queen's Pawn Game: London System", moves: 'd4 d5 Bf4 c5 e3 Nc6', weight: 100 },
+    { eco: 'D02', name: "Queen's Pawn Game", moves: 'd4 d5 Nf3', weight: 15 },
+    { eco: 'D02', name: "Queen's Pawn Game", moves: 'd4 d5 Nf3 Nf6', weight: 100 },
+    { eco: 'D02', name: "Queen's Pawn Game: London System", moves: 'd4 d5 Nf3 Nf6 Bf4', weight: 50 },
+    { eco: 'D06', name: "Queen's Gambit", moves: 'd4 d5 Nf3 Nf6 c4', weight: 50 },
+    { eco: 'D30', name: "Queen's Gambit Declined", moves: 'd4 d5 Nf3 Nf6 c4 e6', weight: 50 },
+    { eco: 'D11', name: 'Slav Defence', moves: 'd4 d5 Nf3 Nf6 c4 c6', weight: 50 },
+    { eco: 'D06', name: "Queen's Gambit", moves: 'd4 d5 c4', weight: 75 },
+    { eco: 'D07', name: "Queen's Gambit Declined: Chigorin Defence", moves: 'd4 d5 c4 Nc6', weight: 0 },
+    { eco: 'D08', name: "Queen's Gambit Declined: Albin Countergambit", moves: 'd4 d5 c4 e5', weight: 0 },
+
+    // Queen's Gambit Declined
+    { eco: 'D30', name: "Queen's Gambit Declined", moves: 'd4 d5 c4 e6', weight: 45 },
+    { eco: 'D30', name: "Queen's Gambit Declined", moves: 'd4 d5 c4 e6 Nf3', weight: 30 },
+    { eco: 'D30', name: "Queen's Gambit Declined", moves: 'd4 d5 c4 e6 Nf3 Nf6', weight: 100 },
+    { eco: 'D31', name: "Queen's Gambit Declined", moves: 'd4 d5 c4 e6 Nc3', weight: 70 },
+    { eco: 'D31', name: "Queen's Gambit Declined: Alatortsev Variation", moves: 'd4 d5 c4 e6 Nc3 Be7', weight: 30 },
+    { eco: 'D35', name: "Queen's Gambit Declined", moves: 'd4 d5 c4 e6 Nc3 Nf6', weight: 70 },
+    { eco: 'D35', name: "Queen's Gambit Declined: Exchange Variation", moves: 'd4 d5 c4 e6 Nc3 Nf6 cxd5', weight: 30 },
+    { eco: 'D35', name: "Queen's Gambit Declined: Exchange Variation", moves: 'd4 d5 c4 e6 Nc3 Nf6 cxd5 exd5', weight: 100 },
+    { eco: 'D35', name: "Queen's Gambit Declined: Exchange Variation", moves: 'd4 d5 c4 e6 Nc3 Nf6 cxd5 exd5 Bg5', weight: 100 },
+    { eco: 'D37', name: "Queen's Gambit Declined: Three Knights Variation", moves: 'd4 d5 c4 e6 Nc3 Nf6 Nf3', weight: 20 },
+    { eco: 'D50', name: "Queen's Gambit Declined", moves: 'd4 d5 c4 e6 Nc3 Nf6 Bg5', weight: 50 },
+    { eco: 'D53', name: "Queen's Gambit Declined", moves: 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7', weight: 100 },
+    { eco: 'D53', name: "Queen's Gambit Declined", moves: 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3', weight: 100 },
+    { eco: 'D55', name: "Queen's Gambit Declined", moves: 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O', weight: 100 },
+    { eco: 'D55', name: "Queen's Gambit Declined", moves: 'd4 d5 c4 e6 Nc3 Nf6 Bg5 Be7 e3 O-O Nf3', weight: 100 },
+
+    // Slav and Semi-Slav
+    { eco: 'D10', name: 'Slav Defence', moves: 'd4 d5 c4 c6', weight: 40 },
+    { eco: 'D10', name: 'Slav Defence', moves: 'd4 d5 c4 c6 Nc3', weight: 30 },
+    { eco: 'D10', name: 'Slav Defence', moves: 'd4 d5 c4 c6 Nc3 Nf6', weight: 100 },
+    { eco: 'D11', name: 'Slav Defence', moves: 'd4 d5 c4 c6 Nf3', weight: 70 },
+    { eco: 'D11', name: 'Slav Defence', moves: 'd4 d5 c4 c6 Nf3 Nf6', weight: 100 },
+    { eco: 'D15', name: 'Slav Defence', moves: 'd4 d5 c4 c6 Nf3 Nf6 Nc3', weight: 100 },
+    { eco: 'D15', name: 'Slav Defence', moves: 'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4', weight: 40 },
+    { eco: 'D16', name: 'Slav Defence: Alapin Variation', moves: 'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4 a4', weight: 100 },
+    { eco: 'D17', name: 'Slav Defence: Czech Variation', moves: 'd4 d5 c4 c6 Nf3 Nf6 Nc3 dxc4 a4 Bf5', weight: 100 },
+    { eco: 'D43', name: 'Semi-Slav Defence', moves: 'd4 d5 c4 c6 Nf3 Nf6 Nc3 e6', weight: 60 },
+    { eco: 'D43', name: 'Semi-Slav Defence', moves: 'd4 d5 c4 c6 Nf3 Nf6 Nc3 e6 Bg5', weight: 40 },
+    { eco: 'D45', name: 'Semi-Slav Defence', moves: 'd4 d5 c4 c6 Nf3 Nf6 Nc3 e6 e3', weight: 60 },
+    { eco: 'D45', name: 'Semi-Slav Defence', moves: 'd4 d5 c4 c6 Nf3 Nf6 Nc3 e6 e3 Nbd7', weight: 100 },
+    { eco: 'D46', name: 'Semi-Slav Defence', moves: 'd4 d5 c4 c6 Nf3 Nf6 Nc3 e6 e3 Nbd7 Bd3', weight: 100 },
+    { eco: 'D46', name: 'Semi-Slav Defence: Meran Variation', moves: 'd4 d5 c4 c6 Nf3 Nf6 Nc3 e6 e3 Nbd7 Bd3 dxc4', weight: 100 },
+    { eco: 'D47', name: 'Semi-Slav Defence: Meran Variation', moves: 'd4 d5 c4 c6 Nf3 Nf6 Nc3 e6 e3 Nbd7 Bd3 dxc4 Bxc4', weight: 100 },
+    { eco: 'D47', name: 'Semi-Slav Defence: Meran Variation', moves: 'd4 d5 c4 c6 Nf3 Nf6 Nc3 e6 e3 Nbd7 Bd3 dxc4 Bxc4 b5', weight: 100 },
+
+    // Queen's Gambit Accepted
+    { eco: 'D20', name: "Queen's Gambit Accepted", moves: 'd4 d5 c4 dxc4', weight: 15 },
+    { eco: 'D20', name: "Queen's Gambit Accepted", moves: 'd4 d5 c4 dxc4 e3', weight: 25 },
+    { eco: 'D20', name: "Queen's Gambit Accepted: Central Variation", moves: 'd4 d5 c4 dxc4 e4', weight: 15 },
+    { eco: 'D21', name: "Queen's Gambit Accepted", moves: 'd4 d5 c4 dxc4 Nf3', weight: 60 },
+    { eco: 'D23', name: "Queen's Gambit Accepted", moves: 'd4 d5 c4 dxc4 Nf3 Nf6', weight: 100 },
+    { eco: 'D25', name: "Queen's Gambit Accepted", moves: 'd4 d5 c4 dxc4 Nf3 Nf6 e3', weight: 100 },
+    { eco: 'D26', name: "Queen's Gambit Accepted", moves: 'd4 d5 c4 dxc4 Nf3 Nf6 e3 e6', weight: 100 },
+    { eco: 'D26', name: "Queen's Gambit Accepted", moves: 'd4 d5 c4 dxc4 Nf3 Nf6 e3 e6 Bxc4', weight: 100 },
+    { eco: 'D27', name: "Queen's Gambit Accepted: Classical Variation", moves: 'd4 d5 c4 dxc4 Nf3 Nf6 e3 e6 Bxc4 c5', weight: 100 },
+    { eco: 'D27', name: "Queen's Gambit Accepted: Classical Variation", moves: 'd4 d5 c4 dxc4 Nf3 Nf6 e3 e6 Bxc4 c5 O-O', weight: 100 },
+
+    // Indian defences
+    { eco: 'A45', name: 'Indian Defence', moves: 'd4 Nf6', weight: 50 },
+    { eco: 'A45', name: 'Indian Defence: London System', moves: 'd4 Nf6 Bf4', weight: 5 },
+    { eco: 'A45', name: 'Indian Defence: London System', moves: 'd4 Nf6 Bf4 e6', weight: 40 },
+    { eco: 'D00', name: "Queen's Pawn Game: London System", moves: 'd4 Nf6 Bf4 d5', weight: 60 },
+    { eco: 'A46', name: 'Indian Defence', moves: 'd4 Nf6 Nf3', weight: 20 },
+    { eco: 'A46', name: 'Indian Defence', moves: 'd4 Nf6 Nf3 e6', weight: 35 },
+    { eco: 'A46', name: 'Indian Defence: Torre Attack', moves: 'd4 Nf6 Nf3 e6 Bg5', weight: 20 },
+    { eco: 'A46', name: 'Indian Defence: London System', moves: 'd4 Nf6 Nf3 e6 Bf4', weight: 20 },
+    { eco: 'E10', name: 'Indian Defence', moves: 'd4 Nf6 Nf3 e6 c4', weight: 60 },
+    { eco: 'A48', name: 'Indian Defence: East Indian Defence', moves: 'd4 Nf6 Nf3 g6', weight: 35 },
+    { eco: 'A48', name: 'Indian Defence: East Indian Defence', moves: 'd4 Nf6 Nf3 g6 g3', weight: 40 },
+    { eco: 'E60', name: "King's Indian Defence", moves: 'd4 Nf6 Nf3 g6 c4', weight: 60 },
+    { eco: 'D02', name: "Queen's Pawn Game", moves: 'd4 Nf6 Nf3 d5', weight: 30 },
+    { eco: 'A50', name: 'Indian Defence', moves: 'd4 Nf6 c4', weight: 75 },
+    { eco: 'E00', name: 'Indian Defence', moves: 'd4 Nf6 c4 e6', weight: 45 },
+    { eco: 'E00', name: 'Indian Defence', moves: 'd4 Nf6 c4 e6 Nc3', weight: 50 },
+    { eco: 'D35', name: "Queen's Gambit Declined", moves: 'd4 Nf6 c4 e6 Nc3 d5', weight: 30 },
+    { eco: 'E01', name: 'Catalan Opening', moves: 'd4 Nf6 c4 e6 g3', weight: 10 },
+    { eco: 'E01', name: 'Catalan Opening', moves: 'd4 Nf6 c4 e6 g3 d5', weight: 100 },
+    { eco: 'E01', name: 'Catalan Opening', moves: 'd4 Nf6 c4 e6 g3 d5 Bg2', weight: 100 },
+    { eco: 'E04', name: 'Catalan Opening: Open Defence', moves: 'd4 Nf6 c4 e6 g3 d5 Bg2 dxc4', weight: 50 },
+    { eco: 'E06', name: 'Catalan Opening: Closed', moves: 'd4 Nf6 c4 e6 g3 d5 Bg2 Be7', weight: 50 },
+    { eco: 'E10', name: 'Indian Defence', moves: 'd4 Nf6 c4 e6 Nf3', weight: 40 },
+    { eco: 'D30', name: "Queen's Gambit Declined", moves: 'd4 Nf6 c4 e6 Nf3 d5', weight: 40 },
+    { eco: 'E11', name: 'Bogo-Indian Defence', moves: 'd4 Nf6 c4 e6 Nf3 Bb4+', weight: 20 },
+    { eco: 'E11', name: 'Bogo-Indian Defence', moves: 'd4 Nf6 c4 e6 Nf3 Bb4+ Bd2', weight: 60 },
+    { eco: 'E11', name: 'Bogo-Indian Defence', moves: 'd4 Nf6 c4 e6 Nf3 Bb4+ Nbd2', weight: 40 },
+    { eco: 'E12', name: "Queen's Indian Defence", moves: 'd4 Nf6 c4 e6 Nf3 b6', weight: 40 },
+    { eco: 'E12', name: "Queen's Indian Defence: Petrosian Variation", moves: 'd4 Nf6 c4 e6 Nf3 b6 a3', weight: 40 },
+    { eco: 'E15', name: "Queen's Indian Defence", moves: 'd4 Nf6 c4 e6 Nf3 b6 g3', weight: 60 },
+    { eco: 'E15', name: "Queen's Indian Defence", moves: 'd4 Nf6 c4 e6 Nf3 b6 g3 Ba6', weight: 60 },
+    { eco: 'E15', name: "Queen's Indian Defence", moves: 'd4 Nf6 c4 e6 Nf3 b6 g3 Bb7', weight: 40 },
+    { eco: 'E20', name: 'Nimzo-Indian Defence', moves: 'd4 Nf6 c4 e6 Nc3 Bb4', weight: 70 },
+    { eco: 'E21', name: 'Nimzo-Indian Defence: Three Knights Variation', moves: 'd4 Nf6 c4 e6 Nc3 Bb4 Nf3', weight: 20 },
+    { eco: 'E32', name: 'Nimzo-Indian Defence: Classical Variation', moves: 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2', weight: 40 },
+    { eco: 'E32', name: 'Nimzo-Indian Defence: Classical Variation', moves: 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2 O-O', weight: 50 },
+    { eco: 'E32', name: 'Nimzo-Indian Defence: Classical Variation', moves: 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2 O-O a3', weight: 100 },
+    { eco: 'E32', name: 'Nimzo-Indian Defence: Classical Variation', moves: 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2 O-O a3 Bxc3+', weight: 100 },
+    { eco: 'E32', name: 'Nimzo-Indian Defence: Classical Variation', moves: 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2 O-O a3 Bxc3+ Qxc3', weight: 100 },
+    { eco: 'E34', name: 'Nimzo-Indian Defence: Classical, Noa Variation', moves: 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2 d5', weight: 30 },
+    { eco: 'E38', name: 'Nimzo-Indian Defence: Classical Variation', moves: 'd4 Nf6 c4 e6 Nc3 Bb4 Qc2 c5', weight: 20 },
+    { eco: 'E40', name: 'Nimzo-Indian Defence: Rubinstein Variation', moves: 'd4 Nf6 c4 e6 Nc3 Bb4 e3', weight: 40 },
+    { eco: 'E41', name: 'Nimzo-Indian Defence: Rubinstein Variation', moves: 'd4 Nf6 c4 e6 Nc3 Bb4 e3 O-O', weight: 100 },
+
+    // King's Indian and Grünfeld
+    { eco: 'E60', name: "King's Indian Defence", moves: 'd4 Nf6 c4 g6', weight: 40 },
+    { eco: 'E60', name: "King's Indian Defence: Fianchetto Variation", moves: 'd4 Nf6 c4 g6 g3', weight: 15 },
+    { eco: 'E60', name: "King's Indian Defence: Fianchetto Variation", moves: 'd4 Nf6 c4 g6 g3 Bg7', weight: 100 },
+    { eco: 'E60', name: "King's Indian Defence: Fianchetto Variation", moves: 'd4 Nf6 c4 g6 g3 Bg7 Bg2', weight: 100 },
+    { eco: 'E60', name: "King's Indian Defence: Fianchetto Variation", moves: 'd4 Nf6 c4 g6 g3 Bg7 Bg2 O-O', weight: 100 },
+    { eco: 'E62', name: "King's Indian Defence: Fianchetto Variation", moves: 'd4 Nf6 c4 g6 g3 Bg7 Bg2 O-O Nf3', weight: 100 },
+    { eco: 'E62', name: "King's Indian Defence: Fianchetto Variation", moves: 'd4 Nf6 c4 g6 g3 Bg7 Bg2 O-O Nf3 d6', weight: 100 },
+    { eco: 'E62', name: "King's Indian Defence: Fianchetto Variation", moves: 'd4 Nf6 c4 g6 g3 Bg7 Bg2 O-O Nf3 d6 O-O', weight: 100 },
+    { eco: 'E60', name: "King's Indian Defence", moves: 'd4 Nf6 c4 g6 Nf3', weight: 10 },
+    { eco: 'E60', name: "King's Indian Defence", moves: 'd4 Nf6 c4 g6 Nf3 Bg7', weight: 100 },
+    { eco: 'E61', name: "King's Indian Defence", moves: 'd4 Nf6 c4 g6 Nf3 Bg7 Nc3', weight: 100 },
+    { eco: 'E61', name: "King's Indian Defence", moves: 'd4 Nf6 c4 g6 Nc3', weight: 75 },
+    { eco: 'E61', name: "King's Indian Defence", moves: 'd4 Nf6 c4 g6 Nc3 Bg7', weight: 60 },
+    { eco: 'E70', name: "King's Indian Defence", moves: 'd4 Nf6 c4 g6 Nc3 Bg7 e4', weight: 100 },
+    { eco: 'E70', name: "King's Indian Defence", moves: 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6', weight: 100 },
+    { eco: 'E73', name: "King's Indian Defence: Averbakh Variation", moves: 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Be2', weight: 25 },
+    { eco: 'E73', name: "King's Indian Defence: Averbakh Variation", moves: 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Be2 O-O', weight: 100 },
+    { eco: 'E73', name: "King's Indian Defence: Averbakh Variation", moves: 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Be2 O-O Bg5', weight: 100 },
+    { eco: 'E80', name: "King's Indian Defence: Sämisch Variation", moves: 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f3', weight: 25 },
+    { eco: 'E81', name: "King's Indian Defence: Sämisch Variation", moves: 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f3 O-O', weight: 100 },
+    { eco: 'E81', name: "King's Indian Defence: Sämisch Variation", moves: 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 f3 O-O Be3', weight: 100 },
+    { eco: 'E90', name: "King's Indian Defence: Normal Variation", moves: 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3', weight: 50 },
+    { eco: 'E90', name: "King's Indian Defence: Normal Variation", moves: 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O', weight: 100 },
+    { eco: 'E91', name: "King's Indian Defence: Classical Variation", moves: 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2', weight: 100 },
+    { eco: 'E92', name: "King's Indian Defence: Classical Variation", moves: 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5', weight: 100 },
+    { eco: 'E94', name: "King's Indian Defence: Orthodox Variation", moves: 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5 O-O', weight: 100 },
+    { eco: 'E97', name: "King's Indian Defence: Orthodox Variation", moves: 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5 O-O Nc6', weight: 100 },
+    { eco: 'E97', name: "King's Indian Defence: Orthodox Variation", moves: 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5 O-O Nc6 d5', weight: 100 },
+    { eco: 'E97', name: "King's Indian Defence: Orthodox Variation", moves: 'd4 Nf6 c4 g6 Nc3 Bg7 e4 d6 Nf3 O-O Be2 e5 O-O Nc6 d5 Ne7', weight: 100 },
+    { eco: 'D80', name: 'Grünfeld Defence', moves: 'd4 Nf6 c4 g6 Nc3 d5', weight: 40 },
+    { eco: 'D82', name: 'Grünfeld Defence', moves: 'd4 Nf6 c4 g6 Nc3 d5 Bf4', weight: 20 },
+    { eco: 'D85', name: 'Grünfeld Defence: Exchange Variation', moves: 'd4 Nf6 c4 g6 Nc3 d5 cxd5', weight: 50 },
+    { eco: 'D85', name: 'Grünfeld Defence: Exchange Variation', moves: 'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5', weight: 100 },
+    { eco: 'D85', name: 'Grünfeld Defence: Exchange Variation', moves: 'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5 e4', weight: 100 },
+    { eco: 'D85', name: 'Grünfeld Defence: Exchange Variation', moves: 'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5 e4 Nxc3', weight: 100 },
+    { eco: 'D85', name: 'Grünfeld Defence: Exchange Variation', moves: 'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5 e4 Nxc3 bxc3', weight: 100 },
+    { eco: 'D85', name: 'Grünfeld Defence: Exchange Variation', moves: 'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5 e4 Nxc3 bxc3 Bg7', weight: 100 },
+    { eco: 'D85', name: 'Grünfeld Defence: Exchange Variation', moves: 'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5 e4 Nxc3 bxc3 Bg7 Nf3', weight: 50 },
+    { eco: 'D86', name: 'Grünfeld Defence: Exchange Variation', moves: 'd4 Nf6 c4 g6 Nc3 d5 cxd5 Nxd5 e4 Nxc3 bxc3 Bg7 Bc4', weight: 50 },
+    { eco: 'D90', name: 'Grünfeld Defence: Three Knights Variation', moves: 'd4 Nf6 c4 g6 Nc3 d5 Nf3', weight: 30 },
+    { eco: 'D90', name: 'Grünfeld Defence: Three Knights Variation', moves: 'd4 Nf6 c4 g6 Nc3 d5 Nf3 Bg7', weight: 100 },
+
+    // Benoni and Benko
+    { eco: 'A56', name: 'Benoni Defence', moves: 'd4 Nf6 c4 c5', weight: 15 },
+    { eco: 'A56', name: 'Benoni Defence', moves: 'd4 Nf6 c4 c5 d5', weight: 100 },
+    { eco: 'A57', name: 'Benko Gambit', moves: 'd4 Nf6 c4 c5 d5 b5', weight: 40 },
+    { eco: 'A57', name: 'Benko Gambit', moves: 'd4 Nf6 c4 c5 d5 b5 Nf3', weight: 40 },
+    { eco: 'A57', name: 'Benko Gambit', moves: 'd4 Nf6 c4 c5 d5 b5 cxb5', weight: 60 },
+    { eco: 'A58', name: 'Benko Gambit Accepted', moves: 'd4 Nf6 c4 c5 d5 b5 cxb5 a6', weight: 100 },
+    { eco: 'A60', name: 'Benoni Defence: Modern Variation', moves: 'd4 Nf6 c4 c5 d5 e6', weight: 60 },
+    { eco: 'A60', name: 'Benoni Defence: Modern Variation', moves: 'd4 Nf6 c4 c5 d5 e6 Nc3', weight: 100 },
+    { eco: 'A60', name: 'Benoni Defence: Modern Variation', moves: 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5', weight: 100 },
+    { eco: 'A61', name: 'Benoni Defence: Modern Variation', moves: 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5', weight: 100 },
+    { eco: 'A61', name: 'Benoni Defence: Modern Variation', moves: 'd4 Nf6 c4 c5 d5 e6 Nc3 exd5 cxd5 d6', weight: 100 },
+
+    // Dutch Defence
+    { eco: 'A80', name: 'Dutch Defence', moves: 'd4 f5', weight: 5 },
+    { eco: 'A80', name: 'Dutch Defence', moves: 'd4 f5 Nf3', weight: 20 },
+    { eco: 'A80', name: 'Dutch Defence', moves: 'd4 f5 Nf3 Nf6', weight: 100 },
+    { eco: 'A81', name: 'Dutch Defence', moves: 'd4 f5 g3', weight: 50 },
+    { eco: 'A81', name: 'Dutch Defence', moves: 'd4 f5 g3 Nf6', weight: 100 },
+    { eco: 'A81', name: 'Dutch Defence', moves: 'd4 f5 g3 Nf6 Bg2', weight: 100 },
+    { eco: 'A81', name: 'Dutch Defence: Leningrad Variation', moves: 'd4 f5 g3 Nf6 Bg2 g6', weight: 40 },
+    { eco: 'A81', name: 'Dutch Defence', moves: 'd4 f5 g3 Nf6 Bg2 e6', weight: 60 },
+    { eco: 'A84', name: 'Dutch Defence', moves: 'd4 f5 c4', weight: 30 },
+    { eco: 'A84', name: 'Dutch Defence', moves: 'd4 f5 c4 Nf6', weight: 100 },
+
+    // English Opening
+    { eco: 'A10', name: 'English Opening', moves: 'c4', weight: 10 },
+    { eco: 'A13', name: 'English Opening: Agincourt Defence', moves: 'c4 e6', weight: 10 },
+    { eco: 'A13', name: 'English Opening: Agincourt Defence', moves: 'c4 e6 Nc3', weight: 50 },
+    { eco: 'A13', name: 'English Opening: Agincourt Defence', moves: 'c4 e6 Nc3 d5', weight: 100 },
+    { eco: 'A13', name: 'English Opening: Agincourt Defence', moves: 'c4 e6 Nf3', weight: 50 },
+    { eco: 'A13', name: 'English Opening: Agincourt Defence', moves: 'c4 e6 Nf3 d5', weight: 100 },
+    { eco: 'A15', name: 'English Opening: Anglo-Indian Defence', moves: 'c4 Nf6', weight: 35 },
+    { eco: 'A15', name: 'English Opening: Anglo-Indian Defence', moves: 'c4 Nf6 g3', weight: 20 },
+    { eco: 'A15', name: 'English Opening: Anglo-Indian Defence', moves: 'c4 Nf6 g3 g6', weight: 50 },
+    { eco: 'A15', name: 'English Opening: Anglo-Indian Defence', moves: 'c4 Nf6 g3 e6', weight: 50 },
+    { eco: 'A15', name: 'English Opening: Anglo-Indian Defence', moves: 'c4 Nf6 Nf3', weight: 20 },
+    { eco: 'A15', name: 'English Opening: Anglo-Indian Defence', moves: 'c4 Nf6 Nf3 g6', weight: 50 },
+    { eco: 'A15', name: 'English Opening: Anglo-Indian Defence', moves: 'c4 Nf6 Nf3 e6', weight: 50 },
+    { eco: 'A16', name: 'English Opening: Anglo-Indian Defence', moves: 'c4 Nf6 Nc3', weight: 60 },
+    { eco: 'A16', name: 'English Opening: Anglo-Indian Defence', moves: 'c4 Nf6 Nc3 g6', weight: 30 },
+    { eco: 'A17', name: 'English Opening: Anglo-Indian Defence', moves: 'c4 Nf6 Nc3 e6', weight: 30 },
+    { eco: 'A22', name: "English Opening: King's English Variation", moves: 'c4 Nf6 Nc3 e5', weight: 40 },
+    { eco: 'A20', name: "English Opening: King's English Variation", moves: 'c4 e5', weight: 35 },
+    { eco: 'A20', name: "English Opening: King's English Variation", moves: 'c4 e5 g3', weight: 30 },
+    { eco: 'A20', name: "English Opening: King's English Variation", moves: 'c4 e5 g3 Nc6', weight: 40 },
+    { eco: 'A20', name: "English Opening: King's English Variation", moves: 'c4 e5 g3 Nf6', weight: 60 },
+    { eco: 'A20', name: "English Opening: King's English Variation", moves: 'c4 e5 g3 Nf6 Bg2', weight: 100 },
+    { eco: 'A20', name: "English Opening: King's English Variation", moves: 'c4 e5 g3 Nf6 Bg2 d5', weight: 100 },
+    { eco: 'A21', name: "English Opening: King's English Variation", moves: 'c4 e5 Nc3', weight: 70 },
+    { eco: 'A22', name: "English Opening: King's English Variation", moves: 'c4 e5 Nc3 Nf6', weight: 60 },
+    { eco: 'A22', name: "English Opening: King's English Variation", moves: 'c4 e5 Nc3 Nf6 g3', weight: 50 },
+    { eco: 'A22', name: "English Opening: King's English Variation", moves: 'c4 e5 Nc3 Nf6 g3 d5', weight: 100 },
+    { eco: 'A22', name: "English Opening: King's English Variation", moves: 'c4 e5 Nc3 Nf6 Nf3', weight: 50 },
+    { eco: 'A28', name: 'English Opening: Four Knights System', moves: 'c4 e5 Nc3 Nf6 Nf3 Nc6', weight: 100 },
+    { eco: 'A25', name: 'English Opening: Closed', moves: 'c4 e5 Nc3 Nc6', weight: 40 },
+    { eco: 'A25', name: 'English Opening: Closed', moves: 'c4 e5 Nc3 Nc6 g3', weight: 100 },
+    { eco: 'A25', name: 'English Opening: Closed', moves: 'c4 e5 Nc3 Nc6 g3 g6', weight: 100 },
+    { eco: 'A25', name: 'English Opening: Closed', moves: 'c4 e5 Nc3 Nc6 g3 g6 Bg2', weight: 100 },
+    { eco: 'A25', name: 'English Opening: Closed', moves: 'c4 e5 Nc3 Nc6 g3 g6 Bg2 Bg7', weight: 100 },
+    { eco: 'A30', name: 'English Opening: Symmetrical Variation', moves: 'c4 c5', weight: 20 },
+    { eco: 'A30', name: 'English Opening: Symmetrical Variation', moves: 'c4 c5 Nf3', weight: 50 },
+    { eco: 'A30', name: 'English Opening: Symmetrical Variation', moves: 'c4 c5 Nf3 Nf6', weight: 100 },
+    { eco: 'A34', name: 'English Opening: Symmetrical Variation', moves: 'c4 c5 Nf3 Nf6 Nc3', weight: 100 },
+    { eco: 'A34', name: 'English Opening: Symmetrical Variation', moves: 'c4 c5 Nf3 Nf6 Nc3 Nc6', weight: 100 },
+    { eco: 'A34', name: 'English Opening: Symmetrical Variation', moves: 'c4 c5 Nc3', weight: 50 },
+    { eco: 'A34', name: 'English Opening: Symmetrical Variation', moves: 'c4 c5 Nc3 Nc6', weight: 100 },
+    { eco: 'A36', name: 'English Opening: Symmetrical Variation', moves: 'c4 c5 Nc3 Nc6 g3', weight: 100 },
+    { eco: 'A36', name: 'English Opening: Symmetrical Variation', moves: 'c4 c5 Nc3 Nc6 g3 g6', weight: 100 },
+    { eco: 'A36', name: 'English Opening: Symmetrical Variation', moves: 'c4 c5 Nc3 Nc6 g3 g6 Bg2', weight: 100 },
+    { eco: 'A36', name: 'English Opening: Symmetrical Variation', moves: 'c4 c5 Nc3 Nc6 g3 g6 Bg2 Bg7', weight: 100 },
+
+    // Réti Opening
+    { eco: 'A04', name: 'Réti Opening', moves: 'Nf3', weight: 10 },
+    { eco: 'A04', name: 'Réti Opening', moves: 'Nf3 c5', weight: 20 },
+    { eco: 'A30', name: 'English Opening: Symmetrical Variation', moves: 'Nf3 c5 c4', weight: 50 },
+    { eco: 'B27', name: 'Sicilian Defence', moves: 'Nf3 c5 e4', weight: 50 },
+    { eco: 'A05', name: 'Réti Opening', moves: 'Nf3 Nf6', weight: 40 },
+    { eco: 'A05', name: "Réti Opening: King's Indian Attack", moves: 'Nf3 Nf6 g3', weight: 20 },
+    { eco: 'A05', name: "Réti Opening: King's Indian Attack", moves: 'Nf3 Nf6 g3 g6', weight: 60 },
+    { eco: 'A07', name: "Réti Opening: King's Indian Attack", moves: 'Nf3 Nf6 g3 d5', weight: 40 },
+    { eco: 'A15', name: 'English Opening: Anglo-Indian Defence', moves: 'Nf3 Nf6 c4', weight: 60 },
+    { eco: 'A46', name: 'Indian Defence', moves: 'Nf3 Nf6 d4', weight: 20 },
+    { eco: 'A06', name: 'Réti Opening', moves: 'Nf3 d5', weight: 40 },
+    { eco: 'D02', name: "Queen's Pawn Game", moves: 'Nf3 d5 d4', weight: 40 },
+    { eco: 'A07', name: "Réti Opening: King's Indian Attack", moves: 'Nf3 d5 g3', weight: 30 },
+    { eco: 'A07', name: "Réti Opening: King's Indian Attack", moves: 'Nf3 d5 g3 Nf6', weight: 60 },
+    { eco: 'A07', name: "Réti Opening: King's Indian Attack", moves: 'Nf3 d5 g3 g6', weight: 40 },
+    { eco: 'A09', name: 'Réti Opening', moves: 'Nf3 d5 c4', weight: 30 },
+    { eco: 'A09', name: 'Réti Opening: Advance Variation', moves: 'Nf3 d5 c4 d4', weight: 30 },
+    { eco: 'A11', name: 'English Opening: Caro-Kann Defensive System', moves: 'Nf3 d5 c4 c6', weight: 30 },
+    { eco: 'A13', name: 'English Opening: Agincourt Defence', moves: 'Nf3 d5 c4 e6', weight: 40 },
+
+    // Rare first moves, named but never played by the AI
+    { eco: 'A00', name: 'Polish Opening', moves: 'b4', weight: 0 },
+    { eco: 'A00', name: 'Hungarian Opening', moves: 'g3', weight: 0 },
+    { eco: 'A00', name: 'Van Geet Opening', moves: 'Nc3', weight: 0 },
+    { eco: 'A00', name: "Van't Kruijs Opening", moves: 'e3', weight: 0 },
+    { eco: 'A00', name: 'Mieses Opening', moves: 'd3', weight: 0 },
+    { eco: 'A00', name: "Anderssen's Opening", moves: 'a3', weight: 0 },
+    { eco: 'A01', name: 'Nimzo-Larsen Attack', moves: 'b3', weight: 0 },
+    { eco: 'A02', name: "Bird's Opening", moves: 'f4', weight: 0 }
+];
+
+/**
+ * Opening book class
+ * Maps positions, by ChessPosition.getPositionKey(), to the opening they belong
+ * to and the book moves that can be played from them. Keying by position lets
+ * transpositions into a book line find it whatever the move order.
+ */
+class OpeningBook {
+    /**
+     * Build a book by playing out its lines
+     * @param {Array} [lines] - Book lines shaped like OPENING_LINES
+     * @throws {Error} If a line contains an illegal move
+     */
+    constructor(lines = OPENING_LINES) {
+        this.entries = new Map(); // By position key: {eco, name, moves: [{move, weight}]}
+        
+        // Every line is played on one position, taking back only the moves it doesn't
+        // share with the line before, so the common openings are played out once
+        const position = new BOOK_SCRIPTS.ChessPosition();
+        const played = [];
+        for (const line of lines) {
+            this.addLine(position, played, line);
+        }
+    }
+
+    /**
+     * Get the book built from OPENING_LINES, building it on first use
+     * Every AI shares it, as building it plays out every line
+     * @returns {OpeningBook} The default book
+     */
+    static getDefault() {
+        if (!OpeningBook.defaultBook) {
+            OpeningBook.defaultBook = new OpeningBook();
+        }
+        return OpeningBook.defaultBook;
+    }
+
+    /**
+     * Play a line out, naming the position it reaches and adding its last move
+     * @param {ChessPosition} position - Position after the moves in played; the line is played on it
+     * @param {Array} played - SAN moves played on the position so far, updated to the line's moves
+     * @param {Object} line - {eco, name, moves, weight} as in OPENING_LINES
+     * @throws {Error} If the line contains an illegal move
+     */
+    addLine(position, played, { eco, name, moves, weight }) {
+        const sans = moves.split(' ');
+        let shared = 0;
+        while (shared < played.length && shared < sans.length - 1 && played[shared] === sans[shared]) {
+            shared++;
+        }
+        while (played.length > shared) {
+            position.unmakeMove();
+            played.pop();
+        }
+        
+        let move = null;
+        let before = null;
+        for (const san of sans.slice(shared)) {
+            before = position.getPositionKey();
+            try {
+                move = position.moveFromSAN(san);
+            } catch (error) {
+                throw new Error(`Book line '${moves}': ${error.message}`);
+            }
+            position.makeMove(move);
+            played.push(san);
+        }
+        
+        const entry = this.getOrCreateEntry(before);
+        const existing = entry.moves.find(({ move: other }) => OpeningBook.sameMove(other, move));
+        if (existing) {
+            existing.weight = weight;
+        } else {
+            entry.moves.push({ move, weight });
+        }
+        
+        const reached = this.getOrCreateEntry(position.getPositionKey());
+        reached.eco = eco;
+        reached.name = name;
+    }
+
+    /**
+     * Get a position's entry, adding an empty one if the book doesn't have it yet
+     * @param {number} key - Position key
+     * @returns {Object} {eco, name, moves}
+     */
+    getOrCreateEntry(key) {
+        if (!this.entries.has(key)) {
+            this.entries.set(key, { eco: null, name: null, moves: [] });
+        }
+        return this.entries.get(key);
+    }
+
+    /**
+     * Get the book moves the AI may play from a position
+     * @param {ChessPosition} position - Position to look up
+     * @returns {Array} {move, weight} for each book move with a weight above 0; empty once out of book
+     */
+    getMoves(position) {
+        const entry = this.entries.get(position.getPositionKey());
+        return entry ? entry.moves.filter(({ weight }) => weight > 0) : [];
+    }
+
+    /**
+     * Choose a book move for the side to move
+     * @param {ChessPosition} position - Position to move in
+     * @param {number} [variety=1] - How much to vary the choice: 0 always plays the most
+     *     weighted move, 1 picks in proportion to the weights, and higher values even the
+     *     choices out further
+     * @param {Function} [random] - Returns a number in [0, 1), for repeatable tests
+     * @returns {Object|null} A copy of the chosen move, or null if the position is out of book
+     */
+    pickMove(position, variety = 1, random = Math.random) {
+        const moves = this.getMoves(position);
+        if (moves.length === 0) return null;
+        
+        if (variety <= 0) {
+            const best = moves.reduce((heaviest, candidate) => (candidate.weight > heaviest.weight ? candidate : heaviest));
+            return { ...best.move };
+        }
+        
+        const weights = moves.map(({ weight }) => weight ** (1 / variety));
+        let remaining = random() * weights.reduce((sum, weight) => sum + weight, 0);
+        for (let i = 0; i < moves.length; i++) {
+            remaining -= weights[i];
+            if (remaining < 0) return { ...moves[i].move };
+        }
+        return { ...moves[moves.length - 1].move };
+    }
+
+    /**
+     * Name the opening of a game: the last named book position it passed through
+     * @param {ChessPosition} position - Current position of the game
+     * @returns {Object|null} {eco, name}, or null if the game never reached a named position
+     */
+    getOpening(position) {
+        for (let i = position.positionHistory.length - 1; i >= 0; i--) {
+            const entry = this.entries.get(position.positionHistory[i]);
+            if (entry && entry.name) {
+                return { eco: entry.eco, name: entry.name };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check whether two moves are the same
+     * @param {Object} a - Move
+     * @param {Object} b - Move
+     * @returns {boolean} Whether they share squares and promotion piece
+     */
+    static sameMove(a, b) {
+        return a.fromRow === b.fromRow && a.fromCol === b.fromCol && a.toRow === b.toRow &&
+            a.toCol === b.toCol && a.promotion === b.promotion;
+    }
+}
+
+// Allow the book to be loaded with require() in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OpeningBook, OPENING_LINES };
+}
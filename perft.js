@@ -0,0 +1,131 @@
+/**
+ * Perft Harness
+ * Counts the leaf nodes of the legal move tree to a fixed depth and compares
+ * them with published counts, to prove the move generator is correct
+ *
+ * Usage:
+ *   node perft.js                  - run the standard test positions
+ *   node perft.js <depth> [fen]    - count one position, split by root move
+ */
+
+const { ChessPosition, STARTING_FEN } = require('./chess-rules.js');
+
+// Standard perft test positions with their known node counts, from depth 1 up
+// (see https://www.chessprogramming.org/Perft_Results). Depths are kept small
+// enough for the whole suite to run in about a minute.
+const PERFT_POSITIONS = [
+    {
+        name: 'Starting position',
+        fen: STARTING_FEN,
+        counts: [20, 400, 8902, 197281, 4865609]
+    },
+    {
+        name: 'Kiwipete',
+        fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+        counts: [48, 2039, 97862, 4085603]
+    },
+    {
+        name: 'Position 3',
+        fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+        counts: [14, 191, 2812, 43238, 674624]
+    },
+    {
+        name: 'Position 4',
+        fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+        counts: [6, 264, 9467, 422333]
+    },
+    {
+        name: 'Position 5',
+        fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8',
+        counts: [44, 1486, 62379, 2103487]
+    },
+    {
+        name: 'Position 6',
+        fen: 'r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10',
+        counts: [46, 2079, 89890, 3894594]
+    }
+];
+
+/**
+ * Count the leaf nodes of the legal move tree
+ * @param {ChessPosition} position - Position to count from; left unchanged
+ * @param {number} depth - Depth in plies
+ * @returns {number} Number of move sequences of that length
+ */
+function perft(position, depth) {
+    const moves = position.legalMoves();
+    if (depth === 1) return moves.length;
+    
+    let nodes = 0;
+    for (const move of moves) {
+        position.applyMove(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
+        nodes += perft(position, depth - 1);
+        position.unmakeMove();
+    }
+    
+    return nodes;
+}
+
+/**
+ * Print the node count below each root move, to narrow down a wrong total
+ * @param {ChessPosition} position - Position to count from
+ * @param {number} depth - Depth in plies
+ */
+function divide(position, depth) {
+    let total = 0;
+    
+    for (const move of position.legalMoves()) {
+        const san = position.toSAN(move);
+        position.applyMove(move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion);
+        const nodes = depth > 1 ? perft(position, depth - 1) : 1;
+        position.unmakeMove();
+        
+        console.log(`${san}: ${nodes}`);
+        total += nodes;
+    }
+    
+    console.log(`\nTotal: ${total}`);
+}
+
+/**
+ * Run every test position to its deepest known count
+ * @returns {boolean} Whether every count matched
+ */
+function runSuite() {
+    let passed = true;
+    
+    for (const { name, fen, counts } of PERFT_POSITIONS) {
+        const position = ChessPosition.fromFEN(fen);
+        
+        counts.forEach((expected, index) => {
+            const depth = index + 1;
+            const start = Date.now();
+            const nodes = perft(position, depth);
+            const ok = nodes === expected;
+            passed = passed && ok;
+            
+            console.log(`${ok ? 'ok  ' : 'FAIL'} ${name} depth ${depth}: ${nodes}` +
+                `${ok ? '' : ` (expected ${expected})`} in ${Date.now() - start} ms`);
+        });
+    }
+    
+    return passed;
+}
+
+if (require.main === module) {
+    const [depthArg, ...fenArgs] = process.argv.slice(2);
+    
+    if (depthArg === undefined) {
+        process.exitCode = runSuite() ? 0 : 1;
+    } else {
+        const depth = Number(depthArg);
+        if (!Number.isInteger(depth) || depth < 1) {
+            console.error('Depth must be a positive integer');
+            process.exitCode = 1;
+        } else {
+            divide(ChessPosition.fromFEN(fenArgs.length ? fenArgs.join(' ') : STARTING_FEN), depth);
+        }
+    }
+}
+
+module.exports = { perft, PERFT_POSITIONS };
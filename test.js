@@ -0,0 +1,772 @@
+/**
+ * Unit Tests
+ * Checks the scripts' behavior in Node with the built-in assert module
+ *
+ * Usage:
+ *   node test.js                   - run every test
+ *   node test.js <text>            - run the tests whose name contains the text
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { ChessPosition, STARTING_FEN } = require('./chess-rules.js');
+const { ChessAI } = require('./chess-ai.js');
+const { ChessClock } = require('./chess-clock.js');
+const { GameArchive } = require('./game-archive.js');
+const { GameReview } = require('./game-review.js');
+const { OpeningBook } = require('./opening-book.js');
+const { EndgameTables } = require('./endgame-tables.js');
+
+/**
+ * Play moves given in SAN
+ * @param {ChessPosition} position - Position to play them in
+ * @param {string} moves - Space-separated SAN moves
+ * @returns {ChessPosition} The same position, after the moves
+ */
+function play(position, moves) {
+    for (const san of moves.split(' ')) {
+        position.makeMove(position.moveFromSAN(san));
+    }
+    return position;
+}
+
+
+/**
+ * List the legal moves of a position in SAN
+ * @param {ChessPosition} position - Position to list the moves of
+ * @returns {Array} SAN strings
+ */
+function sanMoves(position) {
+    return position.legalMoves().map(move => position.toSAN(move));
+}
+
+/**
+ * Turn a FEN around so the colors swap, for checking a result doesn't depend on color
+ * Only the placement and side to move are kept; castling and en passant are cleared
+ * @param {string} fen - Forsyth-Edwards Notation of the position
+ * @returns {string} The same position with White and Black swapped
+ */
+function swapColors(fen) {
+    const [placement, side] = fen.split(' ');
+    const swapped = placement.split('/').reverse().join('/')
+        .replace(/[a-z]/gi, letter => (letter === letter.toLowerCase() ? letter.toUpperCase() : letter.toLowerCase()));
+    return `${swapped} ${side === 'w' ? 'b' : 'w'} - - 0 1`;
+}
+
+/**
+ * Load the page's scripts into one context, in the order index.html loads them
+ * The DOM is left out, so only methods that don't draw can be called
+ * @param {Object} [globals] - Extra globals for the scripts, such as localStorage
+ * @returns {Object} The vm context, to read the scripts' globals with vm.runInContext()
+ */
+function loadPage(globals = {}) {
+    const html = fs.readFileSync(path.join(__dirname, 'index.html'), 'utf8');
+    const context = vm.createContext({ document: { addEventListener() {} }, console, ...globals });
+    for (const [, src] of html.matchAll(/<script src="([^"]+)"><\/script>/g)) {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, src), 'utf8'), context, { filename: src });
+    }
+    return context;
+}
+
+// Tests by name; each throws an AssertionError if it fails
+const TESTS = {
+    'Rules engine API': () => {
+        const position = new ChessPosition();
+        assert.strictEqual(position.legalMoves().length, 20);
+        assert.strictEqual(position.isCheck(), false);
+        assert.strictEqual(position.result(), null);
+        
+        // Every move can be taken back, leaving the position as it was
+        for (const move of position.legalMoves()) {
+            position.makeMove(move);
+            assert.strictEqual(position.currentPlayer, 'black');
+            position.unmakeMove();
+            assert.strictEqual(position.toFEN(), STARTING_FEN);
+        }
+        
+        play(position, 'e4 f5 Qh5+');
+        assert.strictEqual(position.isCheck(), true);
+        assert.deepStrictEqual(position.legalMoves().map(move => position.toSAN(move)), ['g6']);
+        assert.strictEqual(position.moveHistory.length, 3);
+    },
+
+    'Castling': () => {
+        assert.ok(sanMoves(ChessPosition.fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1')).includes('O-O'));
+        
+        // Not out of, through or into check, and not past a piece; the b-file square may be attacked
+        const castles = fen => sanMoves(ChessPosition.fromFEN(fen)).filter(san => san.startsWith('O-O'));
+        assert.deepStrictEqual(castles('4r1k1/8/8/8/8/8/8/R3K2R w KQ - 0 1'), []);
+        assert.deepStrictEqual(castles('5rk1/8/8/8/8/8/8/R3K2R w KQ - 0 1'), ['O-O-O']);
+        assert.deepStrictEqual(castles('1k4r1/8/8/8/8/8/8/R3K2R w KQ - 0 1'), ['O-O-O']);
+        assert.deepStrictEqual(castles('1r4k1/8/8/8/8/8/8/R3K2R w KQ - 0 1').sort(), ['O-O', 'O-O-O']);
+        assert.deepStrictEqual(castles('6k1/8/8/8/8/8/8/RN2K2R w KQ - 0 1'), ['O-O']);
+        
+        // The king and rook land on their squares, and moving either gives up the right
+        const position = ChessPosition.fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+        assert.strictEqual(play(position, 'O-O').toFEN(), 'r3k2r/8/8/8/8/8/8/R4RK1 b kq - 1 1');
+        assert.strictEqual(play(position, 'Rh7').toFEN(), 'r3k3/7r/8/8/8/8/8/R4RK1 w q - 2 2');
+        position.unmakeMove();
+        position.unmakeMove();
+        assert.strictEqual(play(position, 'Rxa8+').toFEN(), 'R3k2r/8/8/8/8/8/8/4K2R b Kk - 0 1');
+        assert.strictEqual(play(position, 'Ke7').toFEN(), 'R6r/4k3/8/8/8/8/8/4K2R w K - 1 2');
+    },
+
+    'En passant': () => {
+        const position = play(new ChessPosition(), 'e4 a6 e5 d5');
+        assert.ok(sanMoves(position).includes('exd6'));
+        
+        // The captured pawn leaves its own square, and comes back when the capture is taken back
+        assert.strictEqual(play(position, 'exd6').toFEN(), 'rnbqkbnr/1pp1pppp/p2P4/8/8/8/PPPP1PPP/RNBQKBNR b KQkq - 0 3');
+        position.unmakeMove();
+        assert.strictEqual(position.toFEN(), 'rnbqkbnr/1pp1pppp/p7/3pP3/8/8/PPPP1PPP/RNBQKBNR w KQkq d6 0 3');
+        
+        // Only straight after the double step
+        assert.ok(!sanMoves(play(position, 'Nf3 Nf6')).includes('exd6'));
+        
+        // Not when taking both pawns off the rank would expose the king
+        assert.ok(!sanMoves(ChessPosition.fromFEN('8/8/8/KPp4r/8/8/8/7k w - c6 0 1')).includes('bxc6'));
+        assert.ok(sanMoves(ChessPosition.fromFEN('8/8/8/1Pp4r/8/8/8/K6k w - c6 0 1')).includes('bxc6'));
+    },
+
+    'Checkmate and stalemate': () => {
+        assert.deepStrictEqual(play(new ChessPosition(), 'f3 e5 g4 Qh4#').result(),
+            { winner: 'black', reason: 'checkmate' });
+        assert.deepStrictEqual(ChessPosition.fromFEN('7k/5Q2/6K1/8/8/8/8/8 b - - 0 1').result(),
+            { winner: null, reason: 'stalemate' });
+        assert.strictEqual(new ChessPosition().result(), null);
+    },
+
+    'Fifty-move rule': () => {
+        const position = ChessPosition.fromFEN('4k3/8/8/8/8/8/R7/4K3 w - - 99 60');
+        assert.strictEqual(position.result(), null);
+        play(position, 'Ra3');
+        assert.deepStrictEqual(position.result(), { winner: null, reason: 'fifty-move rule' });
+        position.unmakeMove();
+        assert.strictEqual(position.result(), null);
+        
+        // A pawn move resets the count
+        const pawnMove = play(ChessPosition.fromFEN('4k3/8/8/8/8/8/P7/4K3 w - - 99 60'), 'a3');
+        assert.strictEqual(pawnMove.halfmoveClock, 0);
+        assert.strictEqual(pawnMove.result(), null);
+    },
+
+    'Threefold repetition': () => {
+        const position = play(new ChessPosition(), 'Nf3 Nf6 Ng1 Ng8 Nf3 Nf6 Ng1');
+        assert.strictEqual(position.result(), null);
+        play(position, 'Ng8');
+        assert.deepStrictEqual(position.result(), { winner: null, reason: 'threefold repetition' });
+        
+        // The same placement with different castling rights is a different position
+        const castling = play(new ChessPosition(), 'Nf3 Nf6 Rg1 Rg8 Rh1 Rh8 Rg1 Rg8 Rh1 Rh8');
+        assert.strictEqual(castling.result(), null);
+    },
+
+    'Insufficient material': () => {
+        const drawn = [
+            '4k3/8/8/8/8/8/8/4K3 w - - 0 1',
+            '4k3/8/8/8/8/8/8/2B1K3 w - - 0 1',
+            '4k3/8/8/8/8/8/8/1N2K3 b - - 0 1',
+            '2b1k3/8/8/8/8/8/8/4KB2 w - - 0 1'
+        ];
+        for (const fen of drawn) {
+            assert.deepStrictEqual(ChessPosition.fromFEN(fen).result(), { winner: null, reason: 'insufficient material' }, fen);
+        }
+        
+        const playable = [
+            '3bk3/8/8/8/8/8/8/4KB2 w - - 0 1',
+            '4k3/8/8/8/8/8/8/1NN1K3 w - - 0 1',
+            '4k3/8/8/8/8/8/P7/4K3 w - - 0 1'
+        ];
+        for (const fen of playable) {
+            assert.strictEqual(ChessPosition.fromFEN(fen).result(), null, fen);
+        }
+        
+        const knight = ChessPosition.fromFEN('4k3/8/8/8/8/8/8/1N2K3 w - - 0 1');
+        assert.strictEqual(knight.hasMatingMaterial('white'), false);
+        assert.strictEqual(ChessPosition.fromFEN('4k3/8/8/8/8/8/8/R3K3 w - - 0 1').hasMatingMaterial('white'), true);
+    },
+
+    'FEN round-trips': () => {
+        const fens = [
+            STARTING_FEN,
+            'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+            'rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3',
+            '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 b - - 12 40'
+        ];
+        for (const fen of fens) {
+            assert.strictEqual(ChessPosition.fromFEN(fen).toFEN(), fen);
+        }
+        assert.strictEqual(new ChessPosition().toFEN(), STARTING_FEN);
+        assert.strictEqual(play(new ChessPosition(), 'e4 c5 Nf3').toFEN(),
+            'rnbqkbnr/pp1ppppp/8/2p5/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq - 1 2');
+    },
+
+    'FEN errors': () => {
+        assert.throws(() => ChessPosition.fromFEN('8/8/8/8 w - -'), /8 ranks/);
+        assert.throws(() => ChessPosition.fromFEN('rnbqkbnr/pppppppp w KQkq -'), /fields|ranks/);
+        assert.throws(() => ChessPosition.fromFEN('8/8/8/8/8/8/8/8 w - - 0 1'));
+    },
+
+    'SAN notation': () => {
+        const position = ChessPosition.fromFEN('4k3/P7/8/8/8/8/8/1N2KN2 w - - 0 1');
+        const san = sanMoves(position);
+        assert.ok(san.includes('Nbd2') && san.includes('Nfd2'), 'knight moves to d2 name their file');
+        assert.ok(san.includes('a8=Q+') && san.includes('a8=N'), 'promotions name the piece');
+        
+        const castling = ChessPosition.fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+        assert.strictEqual(castling.toSAN(castling.moveFromSAN('O-O')), 'O-O');
+        assert.strictEqual(castling.toSAN(castling.moveFromSAN('O-O-O')), 'O-O-O');
+        
+        assert.strictEqual(play(new ChessPosition(), 'f3 e5 g4').toSAN(new ChessPosition().moveFromSAN('e4')), 'e4');
+        assert.throws(() => new ChessPosition().moveFromSAN('e5'));
+    },
+
+    'PGN round-trips': () => {
+        const game = play(new ChessPosition(), 'e4 e5 Nf3 Nc6 Bb5 a6 Ba4 Nf6 O-O Be7 Re1 b5 Bb3 d6 c3 O-O h3 Nb8 d4 Nbd7');
+        const pgn = game.toPGN({ White: 'Alice', Black: 'Bob "B" Jones' });
+        const { position, tags } = ChessPosition.fromPGN(pgn);
+        assert.strictEqual(position.toFEN(), game.toFEN());
+        assert.deepStrictEqual(position.getSANHistory(), game.getSANHistory());
+        assert.strictEqual(tags.White, 'Alice');
+        assert.strictEqual(tags.Black, 'Bob "B" Jones');
+        assert.strictEqual(tags.Result, '*');
+        
+        // A game set up from a FEN with Black to move keeps its start position
+        const setUp = play(ChessPosition.fromFEN('4k3/8/8/8/8/8/2p5/R3K3 b Q - 0 30'), 'c1=Q+ Ke2 Qxa1');
+        const reloaded = ChessPosition.fromPGN(setUp.toPGN());
+        assert.strictEqual(reloaded.tags.FEN, setUp.startFEN);
+        assert.ok(setUp.toPGN().includes('30... c1=Q+ 31. Ke2 Qxa1'));
+        assert.strictEqual(reloaded.position.toFEN(), setUp.toFEN());
+    },
+
+    'PGN reading': () => {
+        const { position } = ChessPosition.fromPGN(
+            '[Event "Test"]\n\n1. e4 {best by test} e5 (1... c5 2. Nf3) 2. Nf3 $1 Nc6 ; a comment\n3. Bb5 1-0\n');
+        assert.deepStrictEqual(position.getSANHistory(), ['e4', 'e5', 'Nf3', 'Nc6', 'Bb5']);
+        
+        assert.throws(() => ChessPosition.fromPGN('1. e4 e5 2. Ke3'), /Move 2\. Ke3/);
+        assert.throws(() => ChessPosition.fromPGN('[Event Test]\n\n1. e4'), /Invalid PGN tag/);
+    },
+
+    'Zobrist keys and transposition table': () => {
+        // Kiwipete has castling, en passant and promotions within a few moves
+        const fen = 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1';
+        const position = ChessPosition.fromFEN(fen);
+        const freshKey = () => ChessPosition.fromFEN(position.toFEN()).getPositionKey();
+        
+        // The key kept up to date by make and unmake matches one computed from scratch
+        let seed = 1;
+        for (let game = 0; game < 20; game++) {
+            const keys = [position.getPositionKey()];
+            for (let ply = 0; ply < 12; ply++) {
+                const moves = position.legalMoves();
+                if (moves.length === 0) break;
+                seed = (seed * 16807) % 2147483647;
+                position.makeMove(moves[seed % moves.length]);
+                assert.strictEqual(position.getPositionKey(), freshKey(), position.toFEN());
+                keys.push(position.getPositionKey());
+            }
+            while (position.moveHistory.length > 0) {
+                keys.pop();
+                position.unmakeMove();
+                assert.strictEqual(position.getPositionKey(), keys[keys.length - 1]);
+            }
+        }
+        assert.strictEqual(position.toFEN(), fen);
+        
+        // Move orders reaching the same position share a key; the side to move changes it
+        assert.strictEqual(play(new ChessPosition(), 'Nf3 Nf6 Nc3').getPositionKey(),
+            play(new ChessPosition(), 'Nc3 Nf6 Nf3').getPositionKey());
+        assert.notStrictEqual(ChessPosition.fromFEN('4k3/8/8/8/8/8/8/4K3 w - - 0 1').getPositionKey(),
+            ChessPosition.fromFEN('4k3/8/8/8/8/8/8/4K3 b - - 0 1').getPositionKey());
+        
+        // A search leaves the position as it was, with the reply to its best move stored
+        const ai = new ChessAI('hard');
+        const move = ai.getHardMove(position, 'white', { maxDepth: 3 });
+        assert.strictEqual(position.toFEN(), fen);
+        position.makeMove(move);
+        const entry = ai.probeTable(position.getPositionKey(), 1, 'white');
+        position.unmakeMove();
+        assert.ok(entry && entry.depth >= 2, 'the reply is stored');
+        
+        // Entries read back from the other side negate the score and swap a lower bound (1) for an upper one (2)
+        ai.storeTable(12345, 4, 80, 1, move, 0, 'white');
+        assert.deepStrictEqual(ai.probeTable(12345, 0, 'white'), { depth: 4, score: 80, bound: 1, bestMove: move });
+        assert.deepStrictEqual(ai.probeTable(12345, 0, 'black'), { depth: 4, score: -80, bound: 2, bestMove: move });
+        assert.strictEqual(ai.probeTable(12346, 0, 'white'), null);
+    },
+
+    'Evaluation breakdown': () => {
+        const ai = new ChessAI('hard');
+        const fens = [
+            'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+            'r1bq1rk1/pp2bppp/2n1pn2/3p4/2PP4/2N2N2/PP2BPPP/R2QKB1R w KQ - 0 8',
+            '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 b - - 12 40',
+            '4k3/8/8/8/8/8/8/4K2R w K - 0 1'
+        ];
+        
+        // The start position is level, term by term
+        const start = ai.evaluationBreakdown(new ChessPosition());
+        assert.strictEqual(start.total, 0);
+        assert.strictEqual(start.phase, 24);
+        
+        for (const fen of fens) {
+            const position = ChessPosition.fromFEN(fen);
+            const breakdown = ai.evaluationBreakdown(position);
+            
+            // The terms add up to the total, which evaluatePosition() turns to either side
+            const { total, phase, ...terms } = breakdown;
+            assert.strictEqual(Object.values(terms).reduce((sum, value) => sum + value, 0), total, fen);
+            assert.strictEqual(ai.evaluatePosition(position, 'white'), total);
+            assert.strictEqual(ai.evaluatePosition(position, 'black'), -total);
+            assert.ok(phase >= 0 && phase <= 24, fen);
+            
+            // Swapping the colors negates every term
+            const swapped = ai.evaluationBreakdown(ChessPosition.fromFEN(swapColors(fen)));
+            for (const term of Object.keys(terms)) {
+                assert.strictEqual(swapped[term] + terms[term], 0, `${term} in ${fen}`);
+            }
+            assert.strictEqual(swapped.phase, phase);
+        }
+        
+        // An extra rook counts as the rook's material weight, and bare kings as nothing
+        const rook = ai.evaluationBreakdown(ChessPosition.fromFEN(fens[3]));
+        assert.strictEqual(rook.material, ai.weights.material.rook);
+        assert.strictEqual(ai.evaluationBreakdown(ChessPosition.fromFEN('4k3/8/8/8/8/8/8/4K3 w - - 0 1')).material, 0);
+    },
+
+    'Clock time controls': () => {
+        assert.deepStrictEqual(ChessClock.parse('3+2'), { base: 180000, increment: 2000, delay: 0 });
+        assert.deepStrictEqual(ChessClock.parse('5d3'), { base: 300000, increment: 0, delay: 3000 });
+        assert.deepStrictEqual(ChessClock.parse('0.5+0'), { base: 30000, increment: 0, delay: 0 });
+        assert.strictEqual(ChessClock.parse('none'), null);
+        assert.throws(() => ChessClock.parse('3:2'), /Invalid time control/);
+        assert.throws(() => ChessClock.parse('0+2'), /Invalid time control/);
+        
+        assert.deepStrictEqual(ChessClock.toPGNTags(ChessClock.parse('3+2')), { TimeControl: '180+2' });
+        assert.deepStrictEqual(ChessClock.toPGNTags(ChessClock.parse('5d3')), { TimeControl: '300+0', TimeDelay: '3' });
+        
+        assert.strictEqual(ChessClock.format(65000), '1:05');
+        assert.strictEqual(ChessClock.format(9500), '0:09.5');
+    },
+
+    'Clock increment': () => {
+        const clock = new ChessClock(ChessClock.parse('1+2'));
+        
+        // The first move is free, then Black's clock runs
+        clock.press('white', 0);
+        assert.strictEqual(clock.getRemaining('white', 5000), 60000);
+        assert.strictEqual(clock.getRemaining('black', 5000), 55000);
+        
+        clock.press('black', 5000);
+        assert.strictEqual(clock.getRemaining('black', 9000), 57000);
+        assert.strictEqual(clock.getRemaining('white', 9000), 56000);
+        
+        // Paused clocks don't run, and snapshots restore paused
+        clock.pause(10000);
+        assert.strictEqual(clock.getRemaining('white', 99000), 55000);
+        clock.restore({ white: 1000, black: 2000 });
+        assert.strictEqual(clock.running, null);
+        
+        clock.start('white', 0);
+        assert.strictEqual(clock.getFlaggedColor(999), null);
+        assert.strictEqual(clock.getFlaggedColor(1000), 'white');
+        assert.strictEqual(clock.getRemaining('white', 5000), 0);
+    },
+
+    'Clock delay': () => {
+        const clock = new ChessClock(ChessClock.parse('1d3'));
+        clock.start('white', 0);
+        assert.strictEqual(clock.getRemaining('white', 2000), 60000);
+        assert.strictEqual(clock.getRemaining('white', 5000), 58000);
+        
+        // No increment: a quick move keeps the time, a slow one pays what it went over
+        clock.press('white', 2000);
+        assert.strictEqual(clock.getRemaining('white', 2000), 60000);
+        clock.press('black', 10000);
+        assert.strictEqual(clock.getRemaining('black', 10000), 55000);
+        
+        // The AI spends most of the delay on top of its share of the clock
+        const ai = new ChessAI('hard');
+        assert.strictEqual(ai.allocateTime(60000), 2000);
+        assert.strictEqual(ai.allocateTime(60000, 0, 3000), 4400);
+    },
+
+    'Saved game validation': () => {
+        const storage = new Map();
+        const localStorage = {
+            getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: (key) => storage.delete(key)
+        };
+        const quiet = { warn() {}, log() {}, error() {} };
+        const page = loadPage({ localStorage, console: quiet });
+        const [ChessGame, ChessPosition, key, version] = ['ChessGame', 'ChessPosition', 'SAVED_GAME_KEY', 'SAVE_VERSION']
+            .map(name => vm.runInContext(name, page));
+        const game = Object.create(ChessGame.prototype);
+        // Objects made in the page's context have its prototypes, so compare them as JSON
+        const plain = (value) => JSON.parse(JSON.stringify(value));
+        const save = (data) => storage.set(key, typeof data === 'string' ? data : JSON.stringify(data));
+        const played = play(new ChessPosition(), 'e4 e5 Nf3');
+        const valid = {
+            version,
+            game: played.serialize(),
+            finished: false,
+            clock: { white: 60000, black: 55000 },
+            clockHistory: [{ white: 60000, black: 60000 }, 'bad'],
+            hints: { white: 1, black: 0 }
+        };
+        
+        // A good save replays to the same position
+        save(valid);
+        const loaded = game.loadSavedGame();
+        assert.strictEqual(loaded.position.toFEN(), played.toFEN());
+        assert.deepStrictEqual(plain(loaded.clock), valid.clock);
+        assert.deepStrictEqual(plain(loaded.clockHistory), [valid.clockHistory[0], null]);
+        assert.deepStrictEqual(plain(loaded.hints), valid.hints);
+        
+        // Damaged clocks and hint counts are dropped, keeping the game
+        save({ ...valid, clock: { white: -1, black: 0 }, clockHistory: 'x', hints: { white: 0.5, black: 0 } });
+        const repaired = game.loadSavedGame();
+        assert.strictEqual(repaired.clock, null);
+        assert.deepStrictEqual(plain(repaired.clockHistory), []);
+        assert.deepStrictEqual(plain(repaired.hints), { white: 0, black: 0 });
+        
+        // Nothing to resume: no save, a finished game or one that hasn't started
+        storage.clear();
+        assert.strictEqual(game.loadSavedGame(), null);
+        for (const data of [{ ...valid, finished: true }, { ...valid, game: new ChessPosition().serialize() }]) {
+            save(data);
+            assert.strictEqual(game.loadSavedGame(), null);
+        }
+        
+        // Corrupt saves are discarded
+        const illegal = { ...valid.game, moves: [...valid.game.moves, { fromRow: 0, fromCol: 0, toRow: 5, toCol: 0 }] };
+        const corrupt = ['{"version":', { ...valid, version: version + 1 }, { ...valid, game: illegal },
+            { ...valid, game: { startFEN: 'not a FEN', moves: [] } }, { ...valid, game: null }];
+        for (const data of corrupt) {
+            save(data);
+            assert.strictEqual(game.loadSavedGame(), null, JSON.stringify(data));
+            assert.strictEqual(storage.has(key), false, 'the corrupt save is removed');
+        }
+    },
+
+    'Archive stats': () => {
+        const game = (mode, difficulty, playerColor, result) => ({ mode, difficulty, playerColor, result });
+        const records = [
+            game('computer', 'hard', 'white', '1-0'),
+            game('computer', 'hard', 'black', '1-0'),
+            game('computer', 'hard', 'black', '0-1'),
+            game('computer', 'easy', 'white', '1/2-1/2'),
+            game('computer', 'easy', 'black', '1/2-1/2'),
+            game('human', null, null, '1-0')
+        ];
+        
+        assert.deepStrictEqual(records.map(record => GameArchive.getPlayerOutcome(record)),
+            ['win', 'loss', 'win', 'draw', 'draw', null]);
+        
+        // Human games aren't counted, and only difficulties played appear
+        assert.deepStrictEqual(GameArchive.computeStats(records), {
+            hard: { win: 2, draw: 0, loss: 1 },
+            easy: { win: 0, draw: 2, loss: 0 }
+        });
+        assert.deepStrictEqual(GameArchive.computeStats([]), {});
+    },
+
+    'Review accuracy': () => {
+        assert.ok(Math.abs(GameReview.moveAccuracy({ color: 'white', before: 50, after: 50 }) - 100) < 0.001);
+        assert.ok(Math.abs(GameReview.moveAccuracy({ color: 'black', before: 50, after: -200 }) - 100) < 0.001,
+            'an improving move costs nothing');
+        
+        const blunder = GameReview.moveAccuracy({ color: 'white', before: 300, after: -300 });
+        const mistake = GameReview.moveAccuracy({ color: 'white', before: 300, after: 100 });
+        assert.ok(blunder < mistake && mistake < 100);
+        assert.ok(blunder >= 0);
+        assert.strictEqual(GameReview.moveAccuracy({ color: 'black', before: -300, after: 300 }), blunder);
+        assert.strictEqual(GameReview.moveAccuracy({ color: 'white', before: 1000, after: -1000 }) >= 0, true);
+        
+        assert.strictEqual(GameReview.classify(0), 'best');
+        assert.strictEqual(GameReview.classify(60), 'inaccuracy');
+        assert.strictEqual(GameReview.classify(300), 'blunder');
+        
+        const summary = GameReview.summarize([
+            { color: 'white', before: 0, after: 0, loss: 0, label: 'best' },
+            { color: 'black', before: 0, after: 400, loss: 400, label: 'blunder' },
+            { color: 'white', before: 400, after: 340, loss: 60, label: 'inaccuracy' }
+        ]);
+        assert.strictEqual(summary.white.moves, 2);
+        assert.strictEqual(summary.white.averageLoss, 30);
+        assert.strictEqual(summary.white.inaccuracy, 1);
+        assert.strictEqual(summary.black.blunder, 1);
+        assert.ok(summary.white.accuracy > summary.black.accuracy);
+        assert.strictEqual(GameReview.summarize([]).white.accuracy, null);
+    },
+
+    'Opening book': () => {
+        const book = new OpeningBook([
+            { eco: 'B00', name: "King's Pawn", moves: 'e4', weight: 3 },
+            { eco: 'A40', name: "Queen's Pawn", moves: 'd4', weight: 1 },
+            { eco: 'A00', name: 'Grob', moves: 'g4', weight: 0 },
+            { eco: 'C20', name: "King's Pawn Game", moves: 'e4 e5', weight: 1 }
+        ]);
+        const start = new ChessPosition();
+        const [e4, d4] = ['e4', 'd4'].map(san => start.moveFromSAN(san));
+        
+        // Moves with no weight name a position but are never played
+        assert.deepStrictEqual(book.getMoves(start).map(({ move, weight }) => [start.toSAN(move), weight]), [['e4', 3], ['d4', 1]]);
+        assert.deepStrictEqual(book.getOpening(play(new ChessPosition(), 'g4')), { eco: 'A00', name: 'Grob' });
+        
+        // Variety 0 plays the heaviest move; higher variety evens the choice out
+        assert.ok(OpeningBook.sameMove(book.pickMove(start, 0, () => 0.99), e4));
+        assert.ok(OpeningBook.sameMove(book.pickMove(start, 1, () => 0), e4));
+        assert.ok(OpeningBook.sameMove(book.pickMove(start, 1, () => 0.9), d4));
+        assert.ok(OpeningBook.sameMove(book.pickMove(start, 1, () => 0.65), e4));
+        assert.ok(OpeningBook.sameMove(book.pickMove(start, 2, () => 0.65), d4));
+        assert.ok(!OpeningBook.sameMove(e4, d4));
+        assert.ok(!OpeningBook.sameMove({ ...e4, promotion: 'queen' }, e4));
+        
+        // Picked moves are copies, so playing them can't change the book
+        book.pickMove(start, 0).toRow = 0;
+        assert.ok(OpeningBook.sameMove(book.pickMove(start, 0), e4));
+        
+        // Out of book there is no move, but the game keeps its last opening name
+        const left = play(new ChessPosition(), 'e4 e5 Nf3');
+        assert.strictEqual(book.pickMove(left), null);
+        assert.deepStrictEqual(book.getMoves(left), []);
+        assert.deepStrictEqual(book.getOpening(left), { eco: 'C20', name: "King's Pawn Game" });
+        assert.strictEqual(book.getOpening(play(new ChessPosition(), 'c4')), null);
+        assert.throws(() => new OpeningBook([{ eco: 'A00', name: 'Bad', moves: 'e5', weight: 1 }]), /Book line 'e5'/);
+        
+        // The default book finds transpositions into its lines
+        const ruy = play(new ChessPosition(), 'e4 e5 Nf3 Nc6 Bb5');
+        assert.deepStrictEqual(OpeningBook.getDefault().getOpening(ruy), { eco: 'C60', name: 'Ruy Lopez' });
+        const transposed = play(new ChessPosition(), 'Nf3 Nc6 e4 e5');
+        assert.deepStrictEqual(OpeningBook.getDefault().getOpening(transposed).eco, 'C44');
+        assert.ok(OpeningBook.getDefault().getMoves(transposed).length > 0);
+        
+        // The AI plays book moves only while the book is on
+        const ai = new ChessAI('easy');
+        const bookMove = ai.getBookMove(start, 'white');
+        assert.ok(OpeningBook.getDefault().getMoves(start).some(({ move }) => OpeningBook.sameMove(move, bookMove)));
+        ai.useBook = false;
+        assert.strictEqual(ai.getBookMove(start, 'white'), null);
+    },
+
+    'Endgame table probes': () => {
+        const tables = EndgameTables.getDefault();
+        assert.deepStrictEqual(tables.probe(ChessPosition.fromFEN('7k/8/5KQ1/8/8/8/8/8 w - - 0 1')),
+            { outcome: 'win', plies: 1 });
+        assert.deepStrictEqual(tables.probe(ChessPosition.fromFEN('7k/6Q1/5K2/8/8/8/8/8 b - - 0 1')),
+            { outcome: 'loss', plies: 0 });
+        assert.deepStrictEqual(tables.probe(ChessPosition.fromFEN('8/8/8/8/8/8/6kQ/K7 b - - 0 1')),
+            { outcome: 'draw', plies: null }, 'the queen can be taken');
+        assert.deepStrictEqual(tables.probe(ChessPosition.fromFEN('8/8/8/8/8/4k3/4P3/4K3 w - - 0 1')),
+            { outcome: 'draw', plies: null }, 'the defending king has the opposition');
+        assert.deepStrictEqual(tables.probe(ChessPosition.fromFEN('4k3/8/8/8/8/8/8/1N2K3 w - - 0 1')),
+            { outcome: 'draw', plies: null });
+        
+        assert.strictEqual(tables.probe(new ChessPosition()), null);
+        assert.strictEqual(tables.probe(ChessPosition.fromFEN('4k3/8/8/8/8/8/8/R3K3 w Q - 0 1')), null,
+            'castling rights are not covered');
+        assert.strictEqual(tables.probe(ChessPosition.fromFEN('4k3/8/8/8/8/8/8/RR2K3 w - - 0 1')), null);
+        
+        // Swapping the colors gives the same result
+        for (const fen of ['8/8/8/8/8/1k6/4P3/4K3 w - - 0 1', '8/8/3k4/8/8/8/8/R3K3 b - - 0 1']) {
+            assert.deepStrictEqual(tables.probe(ChessPosition.fromFEN(swapColors(fen))),
+                tables.probe(ChessPosition.fromFEN(fen)), fen);
+        }
+    },
+
+    'Endgame table lines': () => {
+        const tables = EndgameTables.getDefault();
+        const fens = [
+            '8/8/3k4/8/8/8/8/R3K3 w - - 0 1',
+            '8/8/8/8/8/1k6/4P3/4K3 w - - 0 1',
+            '8/8/8/3k4/8/8/8/1r4QK w - - 0 1'
+        ];
+        
+        // The best line of a won position ends in mate after the number of plies the table gives
+        for (const fen of fens) {
+            const position = ChessPosition.fromFEN(fen);
+            const { outcome, plies } = tables.probe(position);
+            assert.strictEqual(outcome, 'win', fen);
+            
+            const line = tables.getLine(position, tables.bestMove(position));
+            assert.strictEqual(line.length, plies, fen);
+            assert.strictEqual(position.toFEN(), fen, 'getLine leaves the position unchanged');
+            
+            line.forEach(move => position.makeMove(move));
+            assert.strictEqual(position.result().reason, 'checkmate', fen);
+        }
+    },
+
+    'Endgame tables not generated yet': () => {
+        const tables = new EndgameTables();
+        const wanted = [];
+        tables.onMissing = (type) => wanted.push(type);
+        const fen = '8/8/3k4/8/2r5/8/4Q3/4K3 w - - 0 1';
+        const position = ChessPosition.fromFEN(fen);
+        
+        // A probe that can't wait reports the table and the ones it leads into, once each
+        assert.strictEqual(tables.probe(position, { generate: false }), null);
+        assert.strictEqual(tables.probe(position, { generate: false }), null);
+        assert.deepStrictEqual(wanted, ['queen-rook', 'queen', 'rook']);
+        
+        // The search keeps to its time limit instead of generating them
+        const ai = new ChessAI('time-1');
+        ai.tables = tables;
+        ai.timeBudget = 200;
+        const started = Date.now();
+        assert.ok(ai.getBestMove(position, 'white'));
+        assert.ok(Date.now() - started < 1500, `searched for ${Date.now() - started} ms`);
+        assert.strictEqual(position.toFEN(), fen);
+        
+        // Tables generated elsewhere are used once they arrive
+        const ready = EndgameTables.getDefault();
+        for (const type of wanted) {
+            tables.addTable(type, ready.getTable(type));
+        }
+        assert.deepStrictEqual(tables.probe(position, { generate: false }), ready.probe(position));
+        assert.deepStrictEqual(ai.getTableMove(position, 'white'), ready.bestMove(position));
+        assert.strictEqual(wanted.length, 3);
+    },
+
+    'Endgame tables on every level': () => {
+        const tables = EndgameTables.getDefault();
+        const fen = '8/8/3k4/8/8/8/8/R3K3 w - - 0 1';
+        const expected = tables.bestMove(ChessPosition.fromFEN(fen));
+        for (const difficulty of ['easy', 'medium', 'hard', 'time-1']) {
+            assert.deepStrictEqual(new ChessAI(difficulty).getBestMove(ChessPosition.fromFEN(fen), 'white'), expected, difficulty);
+        }
+        
+        // Even Easy mates in the number of plies the table gives, whoever defends
+        const position = ChessPosition.fromFEN(fen);
+        const { plies } = tables.probe(position);
+        const ai = new ChessAI('easy');
+        while (!position.result()) {
+            position.makeMove(ai.getBestMove(position, position.currentPlayer));
+        }
+        assert.strictEqual(position.moveHistory.length, plies);
+        assert.strictEqual(position.result().reason, 'checkmate');
+    },
+
+    'Hint counting': () => {
+        const page = loadPage();
+        const [ChessGame, ChessPosition] = ['ChessGame', 'ChessPosition'].map(name => vm.runInContext(name, page));
+        
+        // A game in its opening, with the drawing and the hint search stubbed out
+        const game = Object.create(ChessGame.prototype);
+        const shown = [];
+        const searches = [];
+        Object.assign(game, {
+            position: play(new ChessPosition(), 'e4 e5'),
+            viewPly: null,
+            gameOver: false,
+            gameMode: 'human',
+            hint: null,
+            hintId: 0,
+            hintWorker: null,
+            hintsUsed: { white: 0, black: 0 },
+            saveGame() {},
+            renderBoard() {},
+            updateStatus: (message) => shown.push(message),
+            announce: (message) => shown.push(`announced: ${message}`),
+            createSearchWorker: () => ({ postMessage: (data) => searches.push(data), terminate() {} })
+        });
+        const move = game.position.moveFromSAN('Nf3');
+        
+        // Both steps of one hint count once
+        game.showHint();
+        assert.strictEqual(searches.length, 1);
+        game.handleHintMessage({ type: 'analysis-done', id: searches[0].id, move });
+        game.showHint();
+        game.showHint();
+        assert.deepStrictEqual({ ...game.hintsUsed }, { white: 1, black: 0 });
+        assert.strictEqual(shown[shown.length - 1], 'announced: Hint: Nf3');
+        
+        // A search that finds nothing says so instead of leaving the searching message up
+        game.hint = null;
+        game.showHint();
+        game.handleHintMessage({ type: 'analysis-done', id: searches[1].id, move: null });
+        assert.deepStrictEqual(shown.slice(-3), ['Looking for a good move...',
+            'No hint found for this position', 'announced: No hint found for this position']);
+        assert.strictEqual(game.hint, null);
+        assert.deepStrictEqual({ ...game.hintsUsed }, { white: 1, black: 0 });
+    },
+
+    'Analysis by depth': () => {
+        const fen = 'r1bqkbnr/pppp1ppp/2n5/1B2p3/4P3/5N2/PPPP1PPP/RNBQK2R b KQkq - 3 3';
+        const position = ChessPosition.fromFEN(fen);
+        
+        // analyze() reports every depth the step-by-step analysis yields, and returns the last
+        const depths = [...new ChessAI().analyzeByDepth(position, { multiPV: 2, maxDepth: 3 })];
+        const reported = [];
+        const analysis = new ChessAI().analyze(position, { multiPV: 2, maxDepth: 3, onDepth: (step) => reported.push(step) });
+        assert.deepStrictEqual(depths.map(step => step.depth), [1, 2, 3]);
+        assert.deepStrictEqual(reported, depths);
+        assert.deepStrictEqual(analysis, depths[2]);
+        assert.strictEqual(analysis.lines.length, 2);
+        
+        // An analysis left after its first depth leaves the position as it was
+        const steps = new ChessAI().analyzeByDepth(position, { maxDepth: 5 });
+        assert.strictEqual(steps.next().value.depth, 1);
+        assert.strictEqual(position.toFEN(), fen);
+        
+        // Nothing is yielded without legal moves
+        assert.deepStrictEqual([...new ChessAI().analyzeByDepth(ChessPosition.fromFEN('7k/6Q1/5K2/8/8/8/8/8 b - - 0 1'))], []);
+    },
+
+    'Search draws': () => {
+        const ai = new ChessAI('hard');
+        
+        // One repeat of a game position is enough, but a position only repeats after four plies
+        assert.strictEqual(ai.isSearchDraw(play(new ChessPosition(), 'Nf3 Nf6 Ng1')), false);
+        assert.strictEqual(ai.isSearchDraw(play(new ChessPosition(), 'Nf3 Nf6 Ng1 Ng8')), true);
+        assert.strictEqual(ai.isSearchDraw(play(new ChessPosition(), 'Nf3 Nf6 Ng1 Ng8 e4')), false);
+        
+        // The fifty-move rule draws, unless the last move mated
+        assert.strictEqual(ai.isSearchDraw(ChessPosition.fromFEN('k7/p7/8/8/8/8/P7/K1Q5 w - - 100 80')), true);
+        assert.strictEqual(ai.isSearchDraw(ChessPosition.fromFEN('k7/p7/8/8/8/8/P7/K1Q5 w - - 99 80')), false);
+        assert.strictEqual(ai.isSearchDraw(ChessPosition.fromFEN('7k/6Q1/5K2/8/8/8/8/8 b - - 100 80')), false);
+        
+        // Going back to a position the game has already had scores as a draw, however far ahead White is
+        const position = play(ChessPosition.fromFEN('k7/p7/8/8/8/8/P7/K1Q5 w - - 0 1'), 'Qc2 Kb8 Qc1 Ka8');
+        const { lines } = ai.analyze(position, { multiPV: 40, maxDepth: 3 });
+        const repeat = lines.find(line => position.toSAN(line.move) === 'Qc2');
+        assert.strictEqual(repeat.score, 0);
+        assert.ok(lines[0].score > 500);
+        assert.notStrictEqual(position.toSAN(ai.getHardMove(position, 'white', { maxDepth: 3 })), 'Qc2');
+    }
+};
+
+/**
+ * Run the tests
+ * @param {string} [filter] - Only run the tests whose name contains this text
+ * @returns {boolean} Whether every test passed
+ */
+function runTests(filter = '') {
+    let passed = true;
+    
+    for (const [name, test] of Object.entries(TESTS)) {
+        if (!name.toLowerCase().includes(filter.toLowerCase())) continue;
+        
+        const start = Date.now();
+        try {
+            test();
+            console.log(`ok   ${name} in ${Date.now() - start} ms`);
+        } catch (error) {
+            passed = false;
+            console.log(`FAIL ${name}: ${error.message}`);
+        }
+    }
+    
+    return passed;
+}
+
+if (require.main === module) {
+    process.exitCode = runTests(process.argv.slice(2).join(' ')) ? 0 : 1;
+}
+
+module.exports = { TESTS, runTests };